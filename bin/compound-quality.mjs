@@ -1,17 +1,51 @@
 #!/usr/bin/env node
 
-import { spawnSync } from "node:child_process";
-import { existsSync } from "node:fs";
-import { mkdir, readdir, readFile, rm, writeFile } from "node:fs/promises";
-import { dirname, isAbsolute, join, relative, resolve } from "node:path";
+import { spawn, spawnSync } from "node:child_process";
+import { createHash } from "node:crypto";
+import { createWriteStream, existsSync, readFileSync, realpathSync, rmSync } from "node:fs";
+import { appendFile, mkdir, mkdtemp, readdir, readFile, rm, stat, writeFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+import { isIPv4, isIPv6 } from "node:net";
+import { tmpdir } from "node:os";
+import { dirname, isAbsolute, join, posix, relative, resolve } from "node:path";
 import process from "node:process";
-import { fileURLToPath } from "node:url";
+import { fileURLToPath, pathToFileURL } from "node:url";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const PACKAGE_ROOT = resolve(__dirname, "..");
 
-const REQUIRED_COMMAND_NAMES = ["typecheck", "lint", "test", "build"];
+const BUILTIN_COMMAND_COMPONENTS = {
+  typecheck: "typeSafety",
+  lint: "lintCompliance",
+  test: "testHealth",
+  build: "buildStability",
+};
+const COMMAND_ROLES = ["scored", "gate", "informational"];
+const DEFAULT_COMMAND_WEIGHT = 0.1;
+const MAX_FAILING_TESTS = 100;
+const MAX_DIAGNOSTICS = 1000;
+const LINT_PATTERN_PREFIX = "lint:";
+const BASELINE_FILENAME = "baseline.json";
+const HISTORY_FILENAME = "history.jsonl";
+const SCORECARD_HISTORY_LIMIT = 50;
+const TREND_DEFAULT_WINDOW = 5;
+// A score drop is flagged when it falls this many standard deviations below the preceding window's mean,
+// and by at least TREND_MIN_DROP points so rounding noise on a flat history is not reported.
+const TREND_DROP_SIGMA = 2;
+const TREND_MIN_DROP = 1;
+const RATCHET_MODES = ["no-increase", "max-regression", "absolute"];
+const RATCHET_METRIC_DIRECTIONS = {
+  typeErrors: "lower",
+  lintViolations: "lower",
+  lintWarnings: "lower",
+  testsPassed: "higher",
+  testsFailed: "lower",
+  testsSkipped: "lower",
+  coveragePct: "higher",
+  buildTimeMs: "lower",
+};
+const MAX_PROMPT_CONTEXT_LINES = 20;
 const DEFAULT_VERIFY_CONFIG = {
   enabled: false,
   policyPacks: [],
@@ -27,6 +61,8 @@ const DEFAULT_VERIFY_CONFIG = {
 const BUILTIN_POLICY_PACKS = {
   "autonomy-core": join(PACKAGE_ROOT, "policy-packs", "autonomy-core.json"),
 };
+const CONFIG_SCHEMA_PATH = join(PACKAGE_ROOT, "schemas", "compound-quality.schema.json");
+const VERIFY_GATE_TYPES = ["command", "custom_script", "diff_coverage", "file_exists", "json_schema", "regex"];
 const DEFAULT_WEIGHTS = {
   typeSafety: 0.25,
   testHealth: 0.3,
@@ -52,8 +88,15 @@ const DEFAULT_COMMANDS = {
 function printUsage() {
   console.log("Usage:");
   console.log("  compound-quality init --config <path>");
-  console.log("  compound-quality reflect --config <path>");
-  console.log("  compound-quality verify --config <path> [--task-id <KEY>] [--json]");
+  console.log("  compound-quality reflect --config <path> [--base <ref>]");
+  console.log("  compound-quality baseline --config <path>");
+  console.log("  compound-quality compare --config <path> --base <ref> [--head <ref>] [--json]");
+  console.log("  compound-quality mark-prevented <pattern> --config <path> [--rule <rule>] [--commit <sha>] [--json]");
+  console.log("  compound-quality trend --config <path> [--window <n>] [--json]");
+  console.log("  compound-quality config print --config <path> [--resolved] [--json]");
+  console.log("  compound-quality doctor --config <path> [--json]");
+  console.log("  compound-quality verify --config <path> [--task-id <KEY>] [--base <ref>] [--json]");
+  console.log("  compound-quality verify --config <path> --explain|--dry-run [--task-id <KEY>] [--base <ref>] [--json]");
   console.log("  compound-quality dispatch --config <path>");
   console.log("  compound-quality ralph-loop <start|pause|status|step> --config <path> [--json]");
   console.log("  compound-quality rw <start|pause|status|step> --config <path> [--json]");
@@ -65,6 +108,14 @@ function parseArgs(argv) {
   let configPath = ".compound-quality.json";
   let json = false;
   let taskId = "";
+  let base = "";
+  let head = "HEAD";
+  let rule = "";
+  let commit = "";
+  let window = TREND_DEFAULT_WINDOW;
+  let resolved = false;
+  let explain = false;
+  let dryRun = false;
   const positionals = [];
 
   for (let i = 0; i < args.length; i += 1) {
@@ -78,14 +129,65 @@ function parseArgs(argv) {
       i += 1;
       continue;
     }
+    if (args[i] === "--base" && args[i + 1]) {
+      base = args[i + 1];
+      i += 1;
+      continue;
+    }
+    if (args[i] === "--head" && args[i + 1]) {
+      head = args[i + 1];
+      i += 1;
+      continue;
+    }
+    if (args[i] === "--rule" && args[i + 1]) {
+      rule = args[i + 1];
+      i += 1;
+      continue;
+    }
+    if (args[i] === "--commit" && args[i + 1]) {
+      commit = args[i + 1];
+      i += 1;
+      continue;
+    }
+    if (args[i] === "--window" && args[i + 1]) {
+      window = Number(args[i + 1]);
+      i += 1;
+      continue;
+    }
     if (args[i] === "--json") {
       json = true;
       continue;
     }
+    if (args[i] === "--resolved") {
+      resolved = true;
+      continue;
+    }
+    if (args[i] === "--explain") {
+      explain = true;
+      continue;
+    }
+    if (args[i] === "--dry-run") {
+      dryRun = true;
+      continue;
+    }
     positionals.push(args[i]);
   }
 
-  return { mode, configPath, action: positionals[0], json, taskId };
+  return {
+    mode,
+    configPath,
+    action: positionals[0],
+    json,
+    taskId,
+    base,
+    head,
+    rule,
+    commit,
+    window,
+    resolved,
+    explain,
+    dryRun,
+  };
 }
 
 function countMatches(input, expression) {
@@ -100,8 +202,150 @@ function stripAnsi(input) {
   return input.replace(ANSI_PATTERN, "");
 }
 
-function parseTypeErrors(output) {
-  return countMatches(stripAnsi(output), /error TS\d+:/g);
+const TYPE_DIAGNOSTIC_PATTERNS = [
+  /(?:^|\s)([^\s()]+)\((\d+),(\d+)\): error (TS\d+): (.*)$/,
+  /(?:^|\s)([^\s]+?):(\d+):(\d+) - error (TS\d+): (.*)$/,
+  /(?:^|\s)()()()error (TS\d+): (.*)$/,
+];
+
+function normalizeDiagnosticPath(file) {
+  if (!file) return null;
+  return file.replace(/\\/g, "/").replace(/^\.\//, "");
+}
+
+function parseTypeDiagnostics(output, command) {
+  const diagnostics = [];
+  for (const line of stripAnsi(output).split("\n")) {
+    for (const pattern of TYPE_DIAGNOSTIC_PATTERNS) {
+      const match = line.match(pattern);
+      if (!match) continue;
+      diagnostics.push({
+        file: normalizeDiagnosticPath(match[1]),
+        line: match[2] ? Number(match[2]) : null,
+        column: match[3] ? Number(match[3]) : null,
+        code: match[4],
+        message: match[5].trim(),
+        command,
+      });
+      break;
+    }
+  }
+  return diagnostics;
+}
+
+function dedupeDiagnostics(diagnostics) {
+  const seen = new Map();
+  for (const diagnostic of diagnostics) {
+    const key = [
+      diagnostic.file,
+      diagnostic.line,
+      diagnostic.column,
+      diagnostic.code ?? diagnostic.rule,
+      diagnostic.severity,
+      diagnostic.message,
+    ].join("\u0000");
+    if (!seen.has(key)) seen.set(key, diagnostic);
+  }
+  return [...seen.values()];
+}
+
+function normalizeDiagnosticMessage(message) {
+  return String(message ?? "")
+    .replace(/\d+/g, "#")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function diagnosticFingerprint(source, diagnostic) {
+  return createHash("sha1")
+    .update(
+      [source, diagnostic.file ?? "", diagnostic.code ?? diagnostic.rule ?? "", normalizeDiagnosticMessage(diagnostic.message)].join(
+        "\u0000",
+      ),
+    )
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function buildBaselineEntries(diagnosticsBySource) {
+  const entries = {};
+  for (const [source, diagnostics] of Object.entries(diagnosticsBySource)) {
+    for (const diagnostic of diagnostics) {
+      const fingerprint = diagnosticFingerprint(source, diagnostic);
+      entries[fingerprint] ??= {
+        source,
+        file: diagnostic.file ?? null,
+        code: diagnostic.code ?? diagnostic.rule ?? null,
+        message: normalizeDiagnosticMessage(diagnostic.message),
+        count: 0,
+      };
+      entries[fingerprint].count += 1;
+    }
+  }
+  return entries;
+}
+
+// Splits diagnostics into new ones and ones covered by the baseline. A fingerprint baselined N times
+// absorbs its first N occurrences; `seen` holds the current count per fingerprint for shrinking.
+function partitionByBaseline(diagnostics, source, entries) {
+  const seen = new Map();
+  const fresh = [];
+  let known = 0;
+  for (const diagnostic of diagnostics) {
+    const fingerprint = diagnosticFingerprint(source, diagnostic);
+    const count = (seen.get(fingerprint) ?? 0) + 1;
+    seen.set(fingerprint, count);
+    if (entries[fingerprint]?.source === source && count <= entries[fingerprint].count) {
+      known += 1;
+    } else {
+      fresh.push(diagnostic);
+    }
+  }
+  return { fresh, known, seen };
+}
+
+// Lowers baselined counts to what the current run still reports, so fixed diagnostics can't come back unnoticed.
+function shrinkBaseline(entries, source, seen) {
+  let fixed = 0;
+  for (const [fingerprint, entry] of Object.entries(entries)) {
+    if (entry.source !== source) continue;
+    const remaining = Math.min(entry.count, seen.get(fingerprint) ?? 0);
+    fixed += entry.count - remaining;
+    if (remaining === 0) {
+      delete entries[fingerprint];
+    } else {
+      entry.count = remaining;
+    }
+  }
+  return fixed;
+}
+
+function groupDiagnostics(diagnostics, key) {
+  const groups = new Map();
+  for (const diagnostic of diagnostics) {
+    const value = diagnostic[key] ?? "(global)";
+    groups.set(value, [...(groups.get(value) ?? []), diagnostic]);
+  }
+  return [...groups.entries()].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+}
+
+function renderDiagnosticGroups(diagnostics, codeKey = "code", limit = 20) {
+  if (diagnostics.length === 0) return ["- No diagnostics."];
+  const summarize = (entries, key) => {
+    const counts = groupDiagnostics(entries, key).map(([value, items]) => `${value}${items.length > 1 ? ` x${items.length}` : ""}`);
+    return counts.length > 5 ? `${counts.slice(0, 5).join(", ")}, ...` : counts.join(", ");
+  };
+  const byFile = groupDiagnostics(diagnostics, "file");
+  const byCode = groupDiagnostics(diagnostics, codeKey);
+  return [
+    "### By file",
+    ...byFile.slice(0, limit).map(([file, items]) => `- ${file}: ${items.length} (${summarize(items, codeKey)})`),
+    ...(byFile.length > limit ? [`- ...and ${byFile.length - limit} more files`] : []),
+    "",
+    `### By ${codeKey}`,
+    ...byCode.slice(0, limit).map(([code, items]) => `- ${code}: ${items.length} (${summarize(items, "file")})`),
+    ...(byCode.length > limit ? [`- ...and ${byCode.length - limit} more ${codeKey}s`] : []),
+  ];
 }
 
 function parseLintViolations(output, exitCode) {
@@ -116,92 +360,672 @@ function parseLintViolations(output, exitCode) {
     .filter((line) => /\berror\b/i.test(line) && !/\bno errors?\b/i.test(line)).length;
 }
 
-function parseTests(output) {
-  const normalized = stripAnsi(output);
-  const lines = normalized.split("\n");
-  let passed = 0;
-  let failed = 0;
+function countKeyword(line, keywords) {
+  let total = 0;
+  for (const keyword of keywords) {
+    const match = line.match(new RegExp(`(\\d+)\\s+${keyword}\\b`, "i"));
+    if (match) total += Number(match[1]);
+  }
+  return total;
+}
+
+function sumSummaryLines(lines, linePattern, keywords) {
+  const summaries = lines.filter((line) => linePattern.test(line));
+  if (summaries.length === 0) return null;
+  const counts = { passed: 0, failed: 0, skipped: 0 };
+  for (const line of summaries) {
+    for (const [key, names] of Object.entries(keywords)) {
+      counts[key] += countKeyword(line, names);
+    }
+  }
+  return counts;
+}
 
+function countMatchingLines(lines, patterns) {
+  const counts = { passed: 0, failed: 0, skipped: 0 };
+  let matched = false;
   for (const line of lines) {
-    const vitest = line.match(/Tests\s+(\d+)\s+passed(?:\s+\|\s+(\d+)\s+failed)?/i);
-    if (vitest) {
-      passed += Number(vitest[1] ?? 0);
-      failed += Number(vitest[2] ?? 0);
-      continue;
+    for (const [key, pattern] of Object.entries(patterns)) {
+      if (pattern.test(line)) {
+        counts[key] += 1;
+        matched = true;
+        break;
+      }
     }
+  }
+  return matched ? counts : null;
+}
 
-    const jest = line.match(/Tests?:\s*(\d+)\s+passed(?:,\s*(\d+)\s+failed)?/i);
-    if (jest) {
-      passed += Number(jest[1] ?? 0);
-      failed += Number(jest[2] ?? 0);
+const TEST_OUTPUT_PARSERS = {
+  vitest: (lines) =>
+    sumSummaryLines(lines, /^\s*Tests\s+\d+\s+(?:passed|failed|skipped|todo)\b/i, {
+      passed: ["passed"],
+      failed: ["failed"],
+      skipped: ["skipped", "todo"],
+    }),
+  jest: (lines) =>
+    sumSummaryLines(lines, /^\s*Tests?:\s*\d+\s+(?:passed|failed|skipped|todo)\b/i, {
+      passed: ["passed"],
+      failed: ["failed"],
+      skipped: ["skipped", "todo"],
+    }),
+  pytest: (lines) =>
+    sumSummaryLines(lines, /^(?!test result:)[=\s]*\d+ (?:passed|failed|errors?|skipped)\b.* in [\d.]+s\b/i, {
+      passed: ["passed", "xpassed"],
+      failed: ["failed", "errors?"],
+      skipped: ["skipped", "xfailed"],
+    }),
+  go: (lines) =>
+    countMatchingLines(lines, {
+      passed: /^\s*--- PASS:/,
+      failed: /^\s*--- FAIL:/,
+      skipped: /^\s*--- SKIP:/,
+    }) ??
+    countMatchingLines(lines, {
+      passed: /^ok\s+\S+\s+(?:\(cached\)|[\d.]+s)/,
+      failed: /^FAIL\s+\S+\s+(?:[\d.]+s|\[)/,
+    }),
+  cargo: (lines) =>
+    sumSummaryLines(lines, /^test result: \w+\. \d+ passed;/, {
+      passed: ["passed"],
+      failed: ["failed"],
+      skipped: ["ignored"],
+    }),
+  mocha: (lines) =>
+    sumSummaryLines(lines, /^\s*\d+ (?:passing|failing|pending)\b/, {
+      passed: ["passing"],
+      failed: ["failing"],
+      skipped: ["pending"],
+    }),
+  tap: (lines) => {
+    const summary = { passed: 0, failed: 0, skipped: 0 };
+    let hasSummary = false;
+    for (const line of lines) {
+      const match = line.match(/^# (pass|fail|skip|skipped|todo)\s+(\d+)\s*$/);
+      if (!match) continue;
+      hasSummary = true;
+      const key = match[1] === "pass" ? "passed" : match[1] === "fail" ? "failed" : "skipped";
+      summary[key] += Number(match[2]);
     }
+    if (hasSummary) return summary;
+    return countMatchingLines(lines, {
+      skipped: /^(?:not )?ok \d+\b.*#\s*(?:SKIP|TODO)\b/i,
+      passed: /^ok \d+\b/,
+      failed: /^not ok \d+\b/,
+    });
+  },
+};
+const TEST_PARSER_NAMES = ["auto", "none", ...Object.keys(TEST_OUTPUT_PARSERS)];
+
+function parseTests(output, parserName = "auto") {
+  const lines = stripAnsi(output).split("\n");
+  const parserNames = parserName === "auto" ? Object.keys(TEST_OUTPUT_PARSERS) : [parserName];
+  const result = { passed: 0, failed: 0, skipped: 0, parsers: [] };
+
+  for (const name of parserNames) {
+    const counts = TEST_OUTPUT_PARSERS[name]?.(lines);
+    if (!counts) continue;
+    result.passed += counts.passed;
+    result.failed += counts.failed;
+    result.skipped += counts.skipped;
+    result.parsers.push(name);
   }
 
-  return { passed, failed };
+  return result;
 }
 
 function toScore(raw) {
   return Number(Math.max(0, Math.min(100, raw)).toFixed(2));
 }
 
-function computeComponentScores(metrics, weights) {
+function computeComponentScores(metrics, { weights, normalize }, commandScores = {}) {
   const typeSafety = toScore(metrics.typeErrors === 0 ? 100 : 100 - metrics.typeErrors * 8);
   const testTotal = metrics.testsPassed + metrics.testsFailed;
   const testHealth = testTotal === 0 ? toScore(metrics.testsFailed === 0 ? 70 : 20) : toScore((metrics.testsPassed / testTotal) * 100);
   const lintCompliance = toScore(metrics.lintViolations === 0 ? 100 : 100 - metrics.lintViolations * 4);
   const coverageLevel = toScore(metrics.coveragePct);
   const buildStability = metrics.buildExitCode === 0 ? 100 : 0;
+  const available = {
+    ...commandScores,
+    typeSafety,
+    testHealth,
+    lintCompliance,
+    coverageLevel,
+    buildStability,
+  };
 
-  const overall = toScore(
-    typeSafety * weights.typeSafety +
-      testHealth * weights.testHealth +
-      lintCompliance * weights.lintCompliance +
-      coverageLevel * weights.coverageLevel +
-      buildStability * weights.buildStability,
-  );
+  const components = {};
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const [key, weight] of Object.entries(weights)) {
+    if (available[key] === undefined) continue;
+    components[key] = available[key];
+    weightedSum += available[key] * weight;
+    totalWeight += weight;
+  }
 
   return {
-    overall,
-    components: {
-      typeSafety,
-      testHealth,
-      lintCompliance,
-      coverageLevel,
-      buildStability,
-    },
+    overall: normalize ? (totalWeight > 0 ? toScore(weightedSum / totalWeight) : 0) : toScore(weightedSum),
+    components,
   };
 }
 
+// A config with exactly the four built-in commands in their default role keeps the original score: the weighted
+// sum of all five components, not renormalized. Omitted, custom or re-roled commands switch to renormalized weights.
+function resolveComponentWeights(config) {
+  const classic =
+    config.commands.length === Object.keys(BUILTIN_COMMAND_COMPONENTS).length &&
+    config.commands.every((entry) => entry.builtin && entry.role === "scored");
+  if (classic) {
+    return { weights: Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map((key) => [key, config.weights[key]])), normalize: false };
+  }
+  const scored = config.commands.filter((entry) => entry.role === "scored");
+  const builtinComponents = new Set(["coverageLevel", ...scored.map((entry) => BUILTIN_COMMAND_COMPONENTS[entry.name])]);
+  const weights = {};
+  for (const component of Object.keys(DEFAULT_WEIGHTS)) {
+    if (builtinComponents.has(component)) weights[component] = config.weights[component];
+  }
+  for (const entry of scored) {
+    if (!entry.builtin) weights[entry.name] = entry.weight;
+  }
+  return { weights, normalize: true };
+}
+
+const PATTERN_STATES = ["observed", "promoted", "prevented", "regressed"];
+const RECOMMENDATION_RANKS = { none: 0, claude_rule: 1, lint_rule: 2 };
+const MAX_PATTERN_SIGHTINGS = 500;
+const MAX_PATTERN_RUNS = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entries written before per-run tracking only have a lifetime count; treat it as one run at lastSeenAt.
+function seedPatternRuns(entry) {
+  if (Array.isArray(entry?.runs)) return entry.runs;
+  return entry?.count > 0 ? [{ at: entry.lastSeenAt, total: entry.count, distinct: entry.count }] : [];
+}
+
+function patternRunWeight(run, decay, now) {
+  const ageDays = Math.max(0, (Date.parse(now) - Date.parse(run.at)) / DAY_MS);
+  if (decay.mode === "window") return ageDays <= decay.windowDays ? 1 : 0;
+  return 0.5 ** (ageDays / decay.halfLifeDays);
+}
+
+// Runs that no longer carry meaningful weight are dropped so patterns.json stays bounded.
+function trimPatternRuns(runs, decay, now) {
+  return runs.filter((run) => patternRunWeight(run, decay, now) >= 0.01).slice(-MAX_PATTERN_RUNS);
+}
+
+function decayedPatternCount(runs, decay, now) {
+  const total = runs.reduce((sum, run) => sum + run.distinct * patternRunWeight(run, decay, now), 0);
+  return Number(total.toFixed(2));
+}
+
+// Entries written before lifecycle tracking have no state; their recommendation tells whether they were promoted.
+function patternState(entry) {
+  if (PATTERN_STATES.includes(entry?.state)) return entry.state;
+  return entry?.recommendation && entry.recommendation !== "none" ? "promoted" : "observed";
+}
+
+function formatPrevention(prevention) {
+  const link = [prevention?.rule, prevention?.commit?.slice(0, 12)].filter(Boolean).join(" @ ");
+  return link ? `${link}, ` : "";
+}
+
+function renderPreventionReport(patterns, newRegressions) {
+  const entries = Object.entries(patterns ?? {});
+  const held = entries.filter(([, entry]) => patternState(entry) === "prevented");
+  const regressed = entries.filter(([, entry]) => patternState(entry) === "regressed");
+  if (held.length === 0 && regressed.length === 0) return [];
+  return [
+    "## Prevention",
+    "",
+    "### Holding",
+    ...(held.length > 0
+      ? held.map(
+          ([key, entry]) => `- ${key}: not seen since prevention (${formatPrevention(entry.prevention)}marked ${entry.prevention?.at})`,
+        )
+      : ["- None."]),
+    "",
+    "### Came back",
+    ...(regressed.length > 0
+      ? regressed.map(
+          ([key, entry]) =>
+            `- ${key}: ${entry.sightingsSincePrevention} sightings since prevention (${formatPrevention(entry.prevention)}first back ${entry.regressedAt})${newRegressions.includes(key) ? " **new this run**" : ""}`,
+        )
+      : ["- None."]),
+    "",
+  ];
+}
+
 function recommendationForCount(count, thresholds) {
   if (count >= thresholds.lintRule) return "lint_rule";
   if (count >= thresholds.claudeRule) return "claude_rule";
   return "none";
 }
 
-function detectPatterns(output, patternRules) {
-  const counts = {};
-  for (const rule of patternRules) {
-    try {
-      const regex = new RegExp(rule.pattern, rule.flags ?? "gi");
-      const count = countMatches(output, regex);
-      if (count > 0) counts[rule.key] = count;
-    } catch {
-      // ignore malformed regex in config
+const FILE_LOCATION_PATTERN = /((?:[A-Za-z]:)?[\w.@~/\\-]*\.[A-Za-z0-9]+)(?::(\d+)(?::\d+)?|\((\d+),\d+\))/;
+
+function toPatternOccurrence(command, text) {
+  const location = text.match(FILE_LOCATION_PATTERN);
+  return {
+    command,
+    text: text.length > 300 ? `${text.slice(0, 297)}...` : text,
+    file: location ? normalizeDiagnosticPath(location[1]) : null,
+    line: location ? Number(location[2] ?? location[3]) : null,
+  };
+}
+
+// Location numbers are left out so a sighting that only moved lines is still recognised as the same one.
+function sightingFingerprint(occurrence) {
+  const text = occurrence.text.replace(/(:\d+)+|\(\d+,\d+\)/g, "");
+  return createHash("sha1")
+    .update([occurrence.command ?? occurrence.tool ?? "", occurrence.file ?? "", text].join("\u0000"))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function recordPatternSighting(detected, key, count, occurrence, maxExamples) {
+  detected[key] ??= { count: 0, occurrences: [], fingerprints: new Set() };
+  detected[key].count += count;
+  detected[key].fingerprints.add(sightingFingerprint(occurrence));
+  if (detected[key].occurrences.length < maxExamples) detected[key].occurrences.push(occurrence);
+}
+
+// A rule written to span lines (a newline or [\s\S] in the pattern, or the `s` flag) can never match a single line.
+function isMultilinePatternRule(pattern, flags) {
+  return flags.includes("s") || /\n|\\n|\[\\s\\S\]|\[\\S\\s\]/.test(pattern);
+}
+
+// Matches rules line by line so every sighting can be attributed to the command and line that produced it.
+// Multi-line rules match the whole output instead; each match is recorded with its text folded onto one line.
+function detectPatterns(commandResults, patternRules, maxExamples) {
+  const rules = patternRules.map((rule) => {
+    const flags = rule.flags ?? "gi";
+    return {
+      key: rule.key,
+      regex: new RegExp(rule.pattern, flags.includes("g") ? flags : `${flags}g`),
+      multiline: isMultilinePatternRule(rule.pattern, flags),
+    };
+  });
+  const lineRules = rules.filter((rule) => !rule.multiline);
+  const outputRules = rules.filter((rule) => rule.multiline);
+
+  const detected = {};
+  for (const result of commandResults) {
+    const output = stripAnsi(`${result.stdout}\n${result.stderr}`);
+    for (const rule of outputRules) {
+      for (const match of output.matchAll(rule.regex)) {
+        const text = match[0].replace(/\s+/g, " ").trim();
+        if (text.length > 0) recordPatternSighting(detected, rule.key, 1, toPatternOccurrence(result.name, text), maxExamples);
+      }
+    }
+    for (const rawLine of output.split("\n")) {
+      const line = rawLine.trim();
+      if (line.length === 0) continue;
+      for (const rule of lineRules) {
+        const count = countMatches(line, rule.regex);
+        if (count > 0) recordPatternSighting(detected, rule.key, count, toPatternOccurrence(result.name, line), maxExamples);
+      }
     }
   }
-  return counts;
+  return detected;
+}
+
+function renderNewFilePatch(path, content) {
+  const lines = content.replace(/\n$/, "").split("\n");
+  return [
+    `diff --git a/${path} b/${path}`,
+    "new file mode 100644",
+    "--- /dev/null",
+    `+++ b/${path}`,
+    `@@ -0,0 +1,${lines.length} @@`,
+    ...lines.map((line) => `+${line}`),
+    "",
+  ].join("\n");
+}
+
+// Appends `addition` to an existing file, using its last lines as context so `git apply` can place the hunk.
+function renderAppendPatch(path, existing, addition) {
+  const endsWithNewline = existing.endsWith("\n");
+  const existingLines = existing.replace(/\n$/, "").split("\n");
+  const added = addition.replace(/\n$/, "").split("\n");
+  const context = existingLines.slice(-3);
+  const start = existingLines.length - context.length + 1;
+  const hunk = endsWithNewline
+    ? [...context.map((line) => ` ${line}`), ...added.map((line) => `+${line}`)]
+    : [
+        ...context.slice(0, -1).map((line) => ` ${line}`),
+        `-${context.at(-1)}`,
+        "\\ No newline at end of file",
+        `+${context.at(-1)}`,
+        ...added.map((line) => `+${line}`),
+      ];
+  return [
+    `diff --git a/${path} b/${path}`,
+    `--- a/${path}`,
+    `+++ b/${path}`,
+    `@@ -${start},${context.length} +${start},${context.length + added.length} @@`,
+    ...hunk,
+    "",
+  ].join("\n");
+}
+
+async function buildPolicyRulePatch(root, key, entry) {
+  const target = !existsSync(join(root, "CLAUDE.md")) && existsSync(join(root, "AGENTS.md")) ? "AGENTS.md" : "CLAUDE.md";
+  const section = [
+    "",
+    `## Prevent recurring error: ${key}`,
+    "",
+    `This error keeps coming back (${entry.recentCount ?? entry.count} recent sightings). Recent occurrences:`,
+    "",
+    ...(entry.examples ?? []).map((example) => `- ${formatPatternOccurrence(example)}`),
+    "",
+    "Before finishing a change:",
+    "",
+    "- Check whether the change can produce this error and rule out the cause shown above.",
+    "- Run the command that reported it and confirm the error is gone.",
+    "",
+  ].join("\n");
+  const targetPath = join(root, target);
+  if (!existsSync(targetPath)) {
+    return renderNewFilePatch(target, `# Agent Rules\n${section}`);
+  }
+  return renderAppendPatch(target, await readFile(targetPath, "utf8"), section);
+}
+
+// Returns the source lines behind each example, which make concrete invalid cases for a rule test.
+async function readExampleSourceLines(root, examples) {
+  const lines = [];
+  for (const example of examples ?? []) {
+    if (!example.file || !example.line) continue;
+    const sourcePath = resolve(root, example.file);
+    if (!existsSync(sourcePath)) continue;
+    const line = (await readFile(sourcePath, "utf8")).split("\n")[example.line - 1]?.trim();
+    if (line && !lines.includes(line)) lines.push(line);
+  }
+  return lines;
+}
+
+const IMPORT_SOURCE_PATTERN = /(?:\bfrom\s+|\brequire\(\s*|\bimport\s*\(\s*|^import\s+)(["'])([^"']+)\1/;
+
+// Drafts an ESLint rule for a promoted pattern. Examples that point at import statements become a
+// no-restricted-imports fragment; anything else gets a custom rule skeleton with a RuleTester test.
+async function buildLintRulePatch(root, key, entry, rule) {
+  const slug = slugify(key);
+  const message = `Matches recurring error pattern "${key}".`;
+  const sourceLines = await readExampleSourceLines(root, entry.examples);
+  const header = [
+    `// Draft generated by compound-quality for pattern "${key}".`,
+    ...(rule ? [`// Detected in command output by /${rule.pattern}/${rule.flags ?? "gi"}.`] : []),
+    "// Recent occurrences:",
+    ...(entry.examples ?? []).map((example) => `//   ${formatPatternOccurrence(example)}`),
+  ];
+
+  const importSources = [
+    ...new Set(sourceLines.map((line) => line.match(IMPORT_SOURCE_PATTERN)?.[2]).filter(Boolean)),
+  ];
+  if (importSources.length > 0) {
+    const fragment = [
+      ...header,
+      "// Spread into the rules of your eslint.config.js.",
+      "export default {",
+      "  rules: {",
+      '    "no-restricted-imports": [',
+      '      "error",',
+      "      {",
+      "        paths: [",
+      ...importSources.map((source) => `          { name: ${JSON.stringify(source)}, message: ${JSON.stringify(message)} },`),
+      "        ],",
+      "      },",
+      "    ],",
+      "  },",
+      "};",
+    ].join("\n");
+    return renderNewFilePatch(`eslint-rules/${slug}.config.mjs`, fragment);
+  }
+
+  const ruleSource = [
+    ...header,
+    "",
+    '/** @type {import("eslint").Rule.RuleModule} */',
+    "export default {",
+    "  meta: {",
+    '    type: "problem",',
+    `    docs: { description: ${JSON.stringify(`Prevent ${key}`)} },`,
+    `    messages: { forbidden: ${JSON.stringify(message)} },`,
+    "    schema: [],",
+    "  },",
+    "  create(context) {",
+    "    return {",
+    "      // TODO: replace with a selector for the construct that causes this error, then report it:",
+    '      // context.report({ node, messageId: "forbidden" });',
+    "    };",
+    "  },",
+    "};",
+  ].join("\n");
+  const testSource = [
+    'import { RuleTester } from "eslint";',
+    `import rule from "./${slug}.mjs";`,
+    "",
+    "new RuleTester().run(",
+    `  ${JSON.stringify(slug)},`,
+    "  rule,",
+    "  {",
+    "    valid: [],",
+    "    invalid: [",
+    ...(sourceLines.length > 0
+      ? sourceLines.map((line) => `      { code: ${JSON.stringify(line)}, errors: [{ messageId: "forbidden" }] },`)
+      : ["      // TODO: add the code that produced the occurrences listed in the rule file."]),
+    "    ],",
+    "  },",
+    ");",
+  ].join("\n");
+  return [
+    renderNewFilePatch(`eslint-rules/${slug}.mjs`, ruleSource),
+    renderNewFilePatch(`eslint-rules/${slug}.test.mjs`, testSource),
+  ].join("");
+}
+
+function formatPatternOccurrence(occurrence) {
+  const location = occurrence.file ? `${occurrence.file}${occurrence.line ? `:${occurrence.line}` : ""}` : null;
+  const origin = [occurrence.command ?? occurrence.tool, location].filter(Boolean).join(", ");
+  return `\`${occurrence.text}\`${origin ? ` (${origin})` : ""}`;
+}
+
+const ERROR_LINE_PATTERN = /\b(?:error|errors|failed|failure|fatal|exception|panic|cannot|unable to|not found)\b/i;
+const NON_ERROR_LINE_PATTERN = /\b(?:0|no) (?:errors?|failures?|failed)\b/i;
+const SIGNATURE_PLACEHOLDERS = {
+  "<str>": "(?:\"[^\"]*\"|'[^']*'|`[^`]*`)",
+  "<path>": "\\S+",
+  "<hex>": "0x[0-9a-fA-F]+",
+  "<id>": "[\\w$]+",
+  "<n>": "\\d+",
+};
+
+// Reduces an error line to its shape: quoted strings, paths, hex values, code identifiers and numbers become
+// placeholders, so "Cannot read 'foo' of src/a.ts:12" and "Cannot read 'bar' of lib/b.ts:7" share a signature.
+function normalizeErrorSignature(line) {
+  return line
+    .replace(/(["'`])(?:(?!\1).)*\1/g, "<str>")
+    .replace(/(?:[A-Za-z]:)?(?:[\w.@~-]*[/\\])+[\w.@-]+(?::\d+)*/g, "<path>")
+    .replace(/\b0x[0-9a-fA-F]+\b/g, "<hex>")
+    .replace(/\b(?!\w*(?:Error|Exception)\b)(?:[a-z]+[A-Z]\w*|[A-Z]\w*[a-z]\w*[A-Z]\w*|\w+_\w+)\b/g, "<id>")
+    .replace(/\d+/g, "<n>")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function signatureToRulePattern(signature) {
+  return signature
+    .split(/(<str>|<path>|<hex>|<id>|<n>)/)
+    .map((part) => SIGNATURE_PLACEHOLDERS[part] ?? part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("");
+}
+
+// Clusters error-looking lines that no configured rule matched into signatures, counting every line.
+function discoverErrorSignatures(commandResults, patternRules, maxExamples) {
+  const knownRules = patternRules.map((rule) => new RegExp(rule.pattern, (rule.flags ?? "gi").replace("g", "")));
+
+  const signatures = {};
+  for (const result of commandResults) {
+    for (const rawLine of `${result.stdout}\n${result.stderr}`.split("\n")) {
+      const line = stripAnsi(rawLine).trim();
+      if (line.length === 0 || line.length > 500) continue;
+      if (!ERROR_LINE_PATTERN.test(line) || NON_ERROR_LINE_PATTERN.test(line)) continue;
+      if (knownRules.some((regex) => regex.test(line))) continue;
+
+      const signature = normalizeErrorSignature(line);
+      // A signature needs some literal wording to be worth a rule, not just placeholders.
+      if ((signature.replace(/<\w+>/g, "").match(/[A-Za-z]{3,}/g) ?? []).length < 2) continue;
+
+      const key = `sig:${createHash("sha1").update(signature).digest("hex").slice(0, 10)}`;
+      signatures[key] ??= { signature, count: 0, examples: [] };
+      signatures[key].count += 1;
+      if (signatures[key].examples.length < maxExamples && !signatures[key].examples.some((example) => example.text === line)) {
+        signatures[key].examples.push(toPatternOccurrence(result.name, line));
+      }
+    }
+  }
+  return signatures;
+}
+
+// patterns.json files written before examples were recorded per sighting keep them as plain strings.
+function migratePatternsFile(patternsFile) {
+  for (const entry of Object.values(patternsFile?.patterns ?? {})) {
+    if (!Array.isArray(entry?.examples)) continue;
+    entry.examples = entry.examples.map((example) => (typeof example === "string" ? toPatternOccurrence(null, example) : example));
+  }
+  return patternsFile;
+}
+
+// Newest first; an example already stored is kept once, by its text.
+function mergePatternExamples(recent, previous, maxExamples) {
+  const merged = [];
+  for (const example of [...recent, ...(previous ?? [])]) {
+    if (typeof example?.text !== "string") continue;
+    if (!merged.some((entry) => entry.text === example.text)) merged.push(example);
+  }
+  return merged.slice(0, maxExamples);
+}
+
+// Folds this run's signatures into patterns.json. Everything is tracked (least recently seen dropped past
+// maxTracked); signatures whose cumulative count reaches minOccurrences are flagged as candidates.
+function updateSignatureCandidates(previousSignatures, discovered, discovery, now) {
+  const signatures = { ...(previousSignatures ?? {}) };
+  const newCandidates = [];
+  for (const [key, found] of Object.entries(discovered)) {
+    const existing = signatures[key];
+    const count = (existing?.count ?? 0) + found.count;
+    const candidate = count >= discovery.minOccurrences;
+    if (candidate && !existing?.candidate) newCandidates.push(key);
+    signatures[key] = {
+      signature: found.signature,
+      count,
+      candidate,
+      firstSeenAt: existing?.firstSeenAt ?? now,
+      lastSeenAt: now,
+      examples: mergePatternExamples(found.examples, existing?.examples, discovery.maxExamples),
+      suggestedRule: {
+        key: slugify(found.signature.replace(/<\w+>/g, " ")).slice(0, 48),
+        pattern: signatureToRulePattern(found.signature),
+        flags: "gi",
+      },
+    };
+  }
+
+  const tracked = Object.entries(signatures).sort(
+    (a, b) => String(b[1].lastSeenAt).localeCompare(String(a[1].lastSeenAt)) || b[1].count - a[1].count,
+  );
+  return { signatures: Object.fromEntries(tracked.slice(0, discovery.maxTracked)), newCandidates };
+}
+
+function detectLintRulePatterns(lintDiagnostics, maxExamples) {
+  const detected = {};
+  for (const diagnostic of lintDiagnostics) {
+    recordPatternSighting(
+      detected,
+      `${LINT_PATTERN_PREFIX}${diagnostic.rule}`,
+      1,
+      { command: null, tool: diagnostic.source, text: diagnostic.message, file: diagnostic.file, line: diagnostic.line },
+      maxExamples,
+    );
+  }
+  return detected;
+}
+
+function ratchetCoverageFloor(previousFloor, previousQualified, pct, qualified) {
+  if (!qualified) return previousFloor;
+  const candidateFloor = Math.max(0, Number((pct - 2).toFixed(2)));
+  return previousQualified ? Math.max(previousFloor, candidateFloor) : candidateFloor;
+}
+
+function findPackageCoverageRegressions(packages, floors) {
+  return (packages ?? [])
+    .filter((entry) => typeof floors?.[entry.dir] === "number" && entry.pct < floors[entry.dir])
+    .map((entry) => ({ dir: entry.dir, pct: entry.pct, floor: floors[entry.dir] }));
+}
+
+function describeRatchet(metric, ratchet) {
+  const bound = ratchet.mode === "absolute" ? `limit ${ratchet.limit}` : `best ${ratchet.best}, allowed ${ratchet.limit}`;
+  return `${metric} is ${ratchet.value} (${bound}, ${ratchet.mode})`;
+}
+
+function evaluateRatchets(ratchetConfig, metrics, previousRatchets, options) {
+  const ratchets = {};
+  const now = new Date().toISOString();
+  for (const [metric, rule] of Object.entries(ratchetConfig)) {
+    const value = metrics[metric];
+    const lowerIsBetter = rule.direction === "lower";
+    const isBetter = (candidate, reference) => (lowerIsBetter ? candidate < reference : candidate > reference);
+    const previousBest = previousRatchets[metric]?.best;
+    const hasBest = typeof previousBest === "number";
+
+    let limit;
+    if (rule.mode === "absolute") {
+      limit = rule.limit;
+    } else if (!hasBest) {
+      limit = value;
+    } else {
+      const tolerance =
+        rule.mode === "max-regression"
+          ? Math.max(rule.maxRegression ?? 0, (Math.abs(previousBest) * (rule.maxRegressionPct ?? 0)) / 100)
+          : 0;
+      limit = Number((lowerIsBetter ? previousBest + tolerance : previousBest - tolerance).toFixed(2));
+    }
+    const violated = isBetter(limit, value);
+
+    const canImprove =
+      options.qualified &&
+      !options.unqualifiedMetrics?.has(metric) &&
+      (metric !== "coveragePct" || options.coverageQualified);
+    const improved = canImprove && !violated && (!hasBest || isBetter(value, previousBest));
+    ratchets[metric] = {
+      mode: rule.mode,
+      direction: rule.direction,
+      value,
+      limit,
+      best: improved ? value : (previousBest ?? null),
+      bestAt: improved ? now : (previousRatchets[metric]?.bestAt ?? null),
+      status: violated ? "violated" : "ok",
+    };
+  }
+  return ratchets;
 }
 
 function buildActionItems(metrics) {
   const actions = [];
+  // Metrics of built-in commands run as `informational` are recorded but never turned into work.
+  const informational = new Set(metrics.informationalCommands ?? []);
 
-  if (metrics.typeErrors > 0) {
+  for (const [metric, ratchet] of metrics.ratchetViolations ?? []) {
+    actions.push(`Ratchet violated: ${describeRatchet(metric, ratchet)}; restore it before merging.`);
+  }
+  if (metrics.typeErrors > 0 && !informational.has("typecheck")) {
     actions.push(`Fix ${metrics.typeErrors} TypeScript errors before merge.`);
   }
-  if (metrics.lintViolations > 0) {
+  if (metrics.lintViolations > 0 && !informational.has("lint")) {
     actions.push(`Resolve ${metrics.lintViolations} lint violations.`);
   }
-  if (metrics.testsFailed > 0) {
+  if (metrics.testsFailed > 0 && !informational.has("test")) {
     actions.push(`Address ${metrics.testsFailed} failing tests.`);
   }
   if (!metrics.coverageQualified) {
@@ -211,9 +1035,20 @@ function buildActionItems(metrics) {
       `Coverage ${metrics.coveragePct.toFixed(2)}% is below floor ${metrics.coverageFloor.toFixed(2)}%; add tests before shipping.`,
     );
   }
-  if (metrics.buildExitCode !== 0) {
+  for (const regression of metrics.packageCoverageRegressions ?? []) {
+    actions.push(
+      `Coverage for package "${regression.dir}" is ${regression.pct.toFixed(2)}%, below its floor ${regression.floor.toFixed(2)}%; add tests in ${regression.dir}.`,
+    );
+  }
+  if (metrics.buildExitCode !== null && metrics.buildExitCode !== 0 && !informational.has("build")) {
     actions.push("Build is unstable; fix build failures before enabling automation.");
   }
+  for (const result of metrics.failedCommands ?? []) {
+    actions.push(`Command "${result.name}" failed with exit ${result.exitCode}; see ${result.logPath}.`);
+  }
+  for (const result of metrics.timedOutCommands ?? []) {
+    actions.push(`Command "${result.name}" timed out after ${result.timeoutMs}ms; find what keeps it from exiting.`);
+  }
 
   if (actions.length === 0) {
     actions.push("Quality gates passed. Promote one repeated issue pattern into prevention rules this session.");
@@ -222,45 +1057,453 @@ function buildActionItems(metrics) {
   return actions;
 }
 
-function normalizeConfig(userConfig) {
-  const qualityDir = userConfig.qualityDir ?? ".quality";
-  const coverage = userConfig.coverage ?? {};
-
-  const commandObject = userConfig.commands ?? {};
-  const commandEntries = REQUIRED_COMMAND_NAMES.map((name) => ({
+function normalizeCommandEntry(name, value) {
+  const spec = typeof value === "string" ? { command: value } : value;
+  if (!spec || typeof spec !== "object" || !spec.command || typeof spec.command !== "string") {
+    throw new Error(`Invalid command config for "${name}": expected a command string or an object with "command"`);
+  }
+  const role = spec.role ?? (BUILTIN_COMMAND_COMPONENTS[name] ? "scored" : "gate");
+  if (!COMMAND_ROLES.includes(role)) {
+    throw new Error(`commands.${name}.role must be one of: ${COMMAND_ROLES.join(", ")}`);
+  }
+  if (spec.weight !== undefined) {
+    if (BUILTIN_COMMAND_COMPONENTS[name]) {
+      throw new Error(`commands.${name}.weight is not supported; use weights.${BUILTIN_COMMAND_COMPONENTS[name]}`);
+    }
+    if (typeof spec.weight !== "number" || spec.weight < 0) {
+      throw new Error(`commands.${name}.weight must be a non-negative number`);
+    }
+  }
+  const testParser = spec.testParser ?? (name === "test" ? "auto" : "none");
+  if (!TEST_PARSER_NAMES.includes(testParser)) {
+    throw new Error(`commands.${name}.testParser must be one of: ${TEST_PARSER_NAMES.join(", ")}`);
+  }
+  const dependsOn = spec.dependsOn ?? [];
+  if (!Array.isArray(dependsOn) || dependsOn.some((entry) => typeof entry !== "string")) {
+    throw new Error(`commands.${name}.dependsOn must be an array of command names`);
+  }
+  if (spec.timeoutMs !== undefined && (!Number.isInteger(spec.timeoutMs) || spec.timeoutMs <= 0)) {
+    throw new Error(`commands.${name}.timeoutMs must be a positive integer`);
+  }
+  return {
     name,
-    command: commandObject[name],
-  }));
+    command: spec.command,
+    role,
+    weight: spec.weight ?? DEFAULT_COMMAND_WEIGHT,
+    builtin: Boolean(BUILTIN_COMMAND_COMPONENTS[name]),
+    testParser,
+    dependsOn: [...new Set(dependsOn)],
+    timeoutMs: spec.timeoutMs ?? null,
+  };
+}
 
+function validateCommandDependencies(commandEntries) {
+  const byName = new Map(commandEntries.map((entry) => [entry.name, entry]));
   for (const entry of commandEntries) {
-    if (!entry.command || typeof entry.command !== "string") {
-      throw new Error(`Missing required command config for "${entry.name}"`);
+    for (const dependency of entry.dependsOn) {
+      if (!byName.has(dependency)) {
+        throw new Error(`commands.${entry.name}.dependsOn references unknown command "${dependency}"`);
+      }
     }
   }
 
-  const packageDirs = Array.isArray(coverage.packageDirs) ? coverage.packageDirs : [];
-  if (packageDirs.length === 0) {
-    throw new Error("coverage.packageDirs must contain at least one package directory");
+  const visiting = new Set();
+  const visited = new Set();
+  const visit = (name, trail) => {
+    if (visited.has(name)) return;
+    if (visiting.has(name)) {
+      throw new Error(`Command dependency cycle: ${[...trail, name].join(" -> ")}`);
+    }
+    visiting.add(name);
+    for (const dependency of byName.get(name).dependsOn) {
+      visit(dependency, [...trail, name]);
+    }
+    visiting.delete(name);
+    visited.add(name);
+  };
+  for (const entry of commandEntries) {
+    visit(entry.name, []);
   }
+}
 
+function normalizeTestReportsConfig(testReports, defaultPackageDirs) {
+  if (!testReports) return null;
+  const files = typeof testReports.files === "string" ? [testReports.files] : testReports.files;
+  if (!Array.isArray(files) || files.length === 0 || files.some((entry) => typeof entry !== "string")) {
+    throw new Error("testReports.files must be a glob string or a non-empty array of glob strings");
+  }
   return {
-    qualityDir,
-    commands: commandEntries,
-    coverage: {
-      packageDirs,
-      summaryFile: coverage.summaryFile ?? "coverage/coverage-summary.json",
-      expectedPackages: coverage.expectedPackages ?? packageDirs.length,
-    },
-    patterns: {
-      rules: Array.isArray(userConfig.patterns?.rules) ? userConfig.patterns.rules : DEFAULT_PATTERN_RULES,
-      claudeRuleThreshold: userConfig.patterns?.claudeRuleThreshold ?? 3,
-      lintRuleThreshold: userConfig.patterns?.lintRuleThreshold ?? 5,
-    },
-    weights: {
-      ...DEFAULT_WEIGHTS,
+    packageDirs: Array.isArray(testReports.packageDirs) ? testReports.packageDirs : defaultPackageDirs,
+    files,
+  };
+}
+
+function normalizeLintReportsConfig(lintReports) {
+  if (lintReports === undefined) return [];
+  if (!Array.isArray(lintReports)) {
+    throw new Error("lintReports must be an array of { format, files } entries");
+  }
+  return lintReports.map((entry, index) => {
+    if (!LINT_REPORT_FORMATS.includes(entry?.format)) {
+      throw new Error(`lintReports[${index}].format must be one of: ${LINT_REPORT_FORMATS.join(", ")}`);
+    }
+    const files = typeof entry.files === "string" ? [entry.files] : entry.files;
+    if (!Array.isArray(files) || files.length === 0 || files.some((file) => typeof file !== "string")) {
+      throw new Error(`lintReports[${index}].files must be a glob string or a non-empty array of glob strings`);
+    }
+    return { format: entry.format, files };
+  });
+}
+
+function normalizePatternDecay(decay) {
+  const mode = decay?.mode ?? "half-life";
+  if (mode === "window") {
+    const windowDays = decay.windowDays ?? 30;
+    if (!(windowDays > 0)) throw new Error("patterns.decay.windowDays must be a positive number");
+    return { mode, windowDays };
+  }
+  if (mode !== "half-life") {
+    throw new Error('patterns.decay.mode must be "half-life" or "window"');
+  }
+  const halfLifeDays = decay?.halfLifeDays ?? 14;
+  if (!(halfLifeDays > 0)) throw new Error("patterns.decay.halfLifeDays must be a positive number");
+  return { mode, halfLifeDays };
+}
+
+function normalizeRatchetsConfig(ratchets) {
+  const normalized = {};
+  for (const [metric, rule] of Object.entries(ratchets ?? {})) {
+    if (!RATCHET_METRIC_DIRECTIONS[metric]) {
+      throw new Error(`ratchets.${metric} is not a ratchetable metric; use ${Object.keys(RATCHET_METRIC_DIRECTIONS).join(", ")}`);
+    }
+    const spec = typeof rule === "string" ? { mode: rule } : rule;
+    if (!RATCHET_MODES.includes(spec?.mode)) {
+      throw new Error(`ratchets.${metric}.mode must be one of: ${RATCHET_MODES.join(", ")}`);
+    }
+    if (spec.mode === "absolute" && typeof spec.limit !== "number") {
+      throw new Error(`ratchets.${metric}.limit must be a number for absolute ratchets`);
+    }
+    if (spec.direction !== undefined && !["lower", "higher"].includes(spec.direction)) {
+      throw new Error(`ratchets.${metric}.direction must be "lower" or "higher"`);
+    }
+    normalized[metric] = { ...spec, direction: spec.direction ?? RATCHET_METRIC_DIRECTIONS[metric] };
+  }
+  return normalized;
+}
+
+// Returns the error message for an invalid regular expression, or null when it compiles.
+function describeRegexError(pattern, flags) {
+  try {
+    new RegExp(pattern, flags);
+    return null;
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error);
+  }
+}
+
+function normalizePatternRules(rules) {
+  if (rules === undefined) return DEFAULT_PATTERN_RULES;
+  rules.forEach((rule, index) => {
+    const problem = describeRegexError(rule.pattern, rule.flags ?? "gi");
+    if (problem) throw new Error(`patterns.rules[${index}] (${rule.key}): ${problem}`);
+  });
+  return rules;
+}
+
+// Arrays of these entries are merged across `extends` layers by the identity field instead of being replaced.
+const CONFIG_KEYED_ARRAYS = {
+  "patterns.rules": "key",
+  "verify.gates": "id",
+};
+
+let configValidator = null;
+
+// Turns a validator path such as `$.verify.gates[2].command` into the config path used for provenance,
+// `verify.gates[build].command`.
+function toConfigPath(validatorPath, config) {
+  let path = "";
+  let value = config;
+  for (const [, name, index] of validatorPath.slice(1).matchAll(/\.([^.[]+)|\[(\d+)\]/g)) {
+    if (name !== undefined) {
+      path = path ? `${path}.${name}` : name;
+      value = value?.[name];
+      continue;
+    }
+    const identity = CONFIG_KEYED_ARRAYS[path.replace(/\[[^\]]*\]/g, "")];
+    value = value?.[Number(index)];
+    path = `${path}[${identity && value?.[identity] !== undefined ? value[identity] : index}]`;
+  }
+  return path;
+}
+
+// Finds the layer that set `path`, or for an object the layer that set something inside it.
+function findConfigSource(sources, path) {
+  if (sources.has(path)) return sources.get(path);
+  for (const [key, source] of sources) {
+    if (key.startsWith(`${path}.`) || key.startsWith(`${path}[`)) return source;
+  }
+  return null;
+}
+
+// Checks a parsed config against schemas/compound-quality.schema.json and returns one message per offending field,
+// e.g. `coverage.summaryFle: unexpected property (did you mean "summaryFile"?)`. With `sources` from an `extends`
+// chain, each message also names the file that set the field. Unknown top-level keys, which earlier versions
+// ignored and other tools may keep in the file, are `warnings` rather than `errors`.
+async function validateConfigShape(userConfig, sources = null) {
+  if (!configValidator) {
+    const schema = JSON.parse(await readFile(CONFIG_SCHEMA_PATH, "utf8"));
+    configValidator = createSchemaValidator(schema, { baseUri: pathToFileURL(CONFIG_SCHEMA_PATH).href });
+  }
+  const errors = [];
+  const warnings = [];
+  for (const error of configValidator.validate(userConfig)) {
+    const separator = error.indexOf(": ");
+    const path = toConfigPath(error.slice(0, separator), userConfig);
+    const source = sources ? findConfigSource(sources, path) : null;
+    const message = error.slice(separator + 2);
+    const topLevelKey = /^[^.[]+$/.test(path) && message.startsWith("unexpected property");
+    (topLevelKey ? warnings : errors).push(`${path || "config"}${source ? ` (from ${source})` : ""}: ${message}`);
+  }
+  return { errors, warnings };
+}
+
+function clearConfigSources(sources, path) {
+  for (const key of [...sources.keys()]) {
+    if (key === path || key.startsWith(`${path}.`) || key.startsWith(`${path}[`)) sources.delete(key);
+  }
+}
+
+// Merges one config layer over the layers before it. Objects merge key by key and a `null` value removes the
+// inherited key. Rules and gates merge by `key`/`id`, and an entry with `"$remove": true` drops the inherited one.
+// Any other value, arrays included, replaces what it inherits. `sources` records which layer set every leaf.
+function mergeConfigLayer(base, value, source, sources, path = "") {
+  if (isSchemaObject(value)) {
+    const merged = isSchemaObject(base) ? { ...base } : {};
+    if (!isSchemaObject(base)) clearConfigSources(sources, path);
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (child === null) {
+        delete merged[key];
+        clearConfigSources(sources, childPath);
+      } else {
+        merged[key] = mergeConfigLayer(merged[key], child, source, sources, childPath);
+      }
+    }
+    return merged;
+  }
+  const identity = CONFIG_KEYED_ARRAYS[path];
+  if (identity && Array.isArray(value)) {
+    const merged = Array.isArray(base) ? [...base] : [];
+    if (!Array.isArray(base)) clearConfigSources(sources, path);
+    for (const entry of value) {
+      const id = entry?.[identity];
+      const entryPath = `${path}[${id}]`;
+      const index = merged.findIndex((existing) => existing?.[identity] === id);
+      if (entry?.$remove === true) {
+        clearConfigSources(sources, entryPath);
+        if (index !== -1) merged.splice(index, 1);
+        // Gate removals are kept so they also drop gates that policy packs add later (see mergeGates).
+        if (path === "verify.gates") {
+          merged.push({ [identity]: id, $remove: true });
+          sources.set(`${entryPath}.${identity}`, source);
+          sources.set(`${entryPath}.$remove`, source);
+        }
+        continue;
+      }
+      const inherited = index === -1 || merged[index].$remove === true ? undefined : merged[index];
+      const next = mergeConfigLayer(inherited, entry, source, sources, entryPath);
+      if (index === -1) merged.push(next);
+      else merged[index] = next;
+    }
+    return merged;
+  }
+  clearConfigSources(sources, path);
+  sources.set(path, source);
+  return value;
+}
+
+// Resolves an `extends` reference from the file that declares it: `builtin:<name>`, a `./` or `../` path (relative
+// to that file), or an installed npm package (its main JSON file or its `.compound-quality.json`) or a file inside one.
+function resolveConfigReference(reference, fromFile) {
+  if (typeof reference !== "string" || reference.length === 0) {
+    throw new Error(`extends entries must be non-empty strings (in ${relative(process.cwd(), fromFile)})`);
+  }
+  if (reference.startsWith("builtin:")) {
+    const builtInPath = BUILTIN_POLICY_PACKS[reference.slice("builtin:".length)];
+    if (!builtInPath) throw new Error(`Unknown builtin config: ${reference} (extended from ${relative(process.cwd(), fromFile)})`);
+    return builtInPath;
+  }
+  if (reference.startsWith("./") || reference.startsWith("../") || isAbsolute(reference)) {
+    return resolve(dirname(fromFile), reference);
+  }
+  const require = createRequire(fromFile);
+  const nameSegments = reference.startsWith("@") ? 2 : 1;
+  if (reference.split("/").length > nameSegments) {
+    try {
+      return require.resolve(reference);
+    } catch {
+      // reported below
+    }
+  } else {
+    // A bare package name is a config only through a JSON `main`; otherwise its .compound-quality.json is used.
+    try {
+      const manifestPath = require.resolve(`${reference}/package.json`);
+      const { main } = JSON.parse(readFileSync(manifestPath, "utf8"));
+      return join(dirname(manifestPath), typeof main === "string" && main.endsWith(".json") ? main : ".compound-quality.json");
+    } catch {
+      // package.json may be hidden by `exports`; then only a JSON entry point can be the config
+      try {
+        const entryPath = require.resolve(reference);
+        if (entryPath.endsWith(".json")) return entryPath;
+      } catch {
+        // reported below
+      }
+    }
+  }
+  throw new Error(
+    `Cannot find config package "${reference}" (extended from ${relative(process.cwd(), fromFile)}); install it or use a ./relative path`,
+  );
+}
+
+async function readConfigJson(path, label) {
+  if (!existsSync(path)) throw new Error(`Config not found: ${label} -> ${path}`);
+  try {
+    return JSON.parse(await readFile(path, "utf8"));
+  } catch (error) {
+    throw new Error(`${label} is not valid JSON: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+// Reads a config and everything it `extends`, depth first and in order, so later layers win and the file itself wins
+// over all of them. Returns the merged config, which layer set each value (`sources`, path -> label) and the layers in
+// the order they were applied. `name` and `description` describe a shared config and are not inherited.
+async function resolveConfigFile(configPath) {
+  const root = resolve(process.cwd());
+  const sources = new Map();
+  const layers = [];
+  let config = {};
+
+  const applyLayer = async (path, label, chain) => {
+    if (chain.includes(path)) {
+      throw new Error(`Config extends cycle: ${[...chain, path].map((entry) => relative(root, entry) || entry).join(" -> ")}`);
+    }
+    const layer = await readConfigJson(path, label);
+    if (!isSchemaObject(layer)) throw new Error(`${label} must contain a JSON object`);
+    const { extends: references, ...own } = layer;
+    for (const reference of references === undefined ? [] : [references].flat()) {
+      const basePath = resolveConfigReference(reference, path);
+      const baseLabel = reference.startsWith("builtin:") || !/^(\.|\/)/.test(reference) ? reference : relative(root, basePath);
+      await applyLayer(basePath, baseLabel, [...chain, path]);
+    }
+    if (chain.length > 0) {
+      delete own.name;
+      delete own.description;
+    }
+    // Until a layer sets patterns.rules the built-in rules are in effect, so a layer that inherits them (or removes
+    // one of them) merges into them by key rather than replacing them; a standalone list still replaces them.
+    const rules = own.patterns?.rules;
+    if (
+      Array.isArray(rules) &&
+      config.patterns?.rules === undefined &&
+      (layers.length > 0 || rules.some((rule) => rule?.$remove === true))
+    ) {
+      config = mergeConfigLayer(config, { patterns: { rules: DEFAULT_PATTERN_RULES } }, "built-in defaults", sources);
+    }
+    config = mergeConfigLayer(config, own, label, sources);
+    layers.push({ label, path });
+  };
+
+  await applyLayer(resolve(configPath), relative(root, configPath) || configPath, []);
+  return { config, sources, layers };
+}
+
+// Resolves and validates the config, keeping which layer set each field for callers that report it.
+async function loadResolvedConfigFile(configPath) {
+  const resolved = await resolveConfigFile(configPath);
+  const { errors, warnings } = await validateConfigShape(resolved.config, resolved.layers.length > 1 ? resolved.sources : null);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config ${configPath}:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+  }
+  return { ...resolved, warnings };
+}
+
+async function loadConfigFile(configPath) {
+  return (await loadResolvedConfigFile(configPath)).config;
+}
+
+function normalizeConfig(userConfig) {
+  const qualityDir = userConfig.qualityDir ?? ".quality";
+  const coverage = userConfig.coverage ?? {};
+
+  const commandObject = userConfig.commands ?? {};
+  const commandEntries = Object.entries(commandObject).map(([name, value]) => normalizeCommandEntry(name, value));
+  if (commandEntries.length === 0) {
+    throw new Error("commands must define at least one command");
+  }
+  validateCommandDependencies(commandEntries);
+
+  const concurrency = userConfig.concurrency ?? 1;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error("concurrency must be a positive integer");
+  }
+
+  const packageDirs = Array.isArray(coverage.packageDirs) ? coverage.packageDirs : [];
+  if (packageDirs.length === 0) {
+    throw new Error("coverage.packageDirs must contain at least one package directory");
+  }
+  const coverageFormat = coverage.format ?? "istanbul";
+  if (!COVERAGE_FORMATS[coverageFormat]) {
+    throw new Error(`coverage.format must be one of: ${Object.keys(COVERAGE_FORMATS).join(", ")}`);
+  }
+  const coverageMetrics = coverage.metrics ?? { lines: 1 };
+  for (const [metric, weight] of Object.entries(coverageMetrics)) {
+    if (!COVERAGE_METRICS.includes(metric)) {
+      throw new Error(`coverage.metrics.${metric} is not a coverage metric; use ${COVERAGE_METRICS.join(", ")}`);
+    }
+    if (typeof weight !== "number" || weight < 0) {
+      throw new Error(`coverage.metrics.${metric} must be a non-negative weight`);
+    }
+  }
+
+  return {
+    qualityDir,
+    commands: commandEntries,
+    concurrency,
+    coverage: {
+      packageDirs,
+      format: coverageFormat,
+      summaryFile: coverage.summaryFile ?? COVERAGE_FORMATS[coverageFormat],
+      diffFile: coverage.diffFile ?? DIFF_COVERAGE_FILES[coverageFormat],
+      diffInclude: coverage.diffInclude ?? DIFF_COVERAGE_INCLUDE,
+      diffExclude: coverage.diffExclude ?? DIFF_COVERAGE_EXCLUDE,
+      expectedPackages: coverage.expectedPackages ?? packageDirs.length,
+      metrics: coverageMetrics,
+    },
+    testReports: normalizeTestReportsConfig(userConfig.testReports, packageDirs),
+    lintReports: normalizeLintReportsConfig(userConfig.lintReports),
+    patterns: {
+      rules: normalizePatternRules(userConfig.patterns?.rules),
+      claudeRuleThreshold: userConfig.patterns?.claudeRuleThreshold ?? 3,
+      lintRuleThreshold: userConfig.patterns?.lintRuleThreshold ?? 5,
+      maxExamples: userConfig.patterns?.maxExamples ?? 5,
+      decay: normalizePatternDecay(userConfig.patterns?.decay),
+      discovery: {
+        enabled: userConfig.patterns?.discovery?.enabled ?? true,
+        minOccurrences: userConfig.patterns?.discovery?.minOccurrences ?? 3,
+        maxExamples: userConfig.patterns?.discovery?.maxExamples ?? 3,
+        maxTracked: userConfig.patterns?.discovery?.maxTracked ?? 200,
+      },
+    },
+    weights: {
+      ...DEFAULT_WEIGHTS,
       ...(userConfig.weights ?? {}),
     },
+    ratchets: normalizeRatchetsConfig(userConfig.ratchets),
+    compare: {
+      setupCommand: userConfig.compare?.setupCommand ?? null,
+    },
     maxSuggestedUpdateFiles: userConfig.maxSuggestedUpdateFiles ?? 25,
+    maxLogRuns: userConfig.maxLogRuns ?? 10,
   };
 }
 
@@ -308,6 +1551,7 @@ async function createDefaultConfig(configPath, root, options = {}) {
     version: 1,
     qualityDir: ".quality",
     commands,
+    concurrency: 1,
     coverage: {
       packageDirs,
       summaryFile: "coverage/coverage-summary.json",
@@ -319,7 +1563,13 @@ async function createDefaultConfig(configPath, root, options = {}) {
       rules: DEFAULT_PATTERN_RULES,
     },
     weights: DEFAULT_WEIGHTS,
+    ratchets: {
+      typeErrors: { mode: "no-increase" },
+      lintViolations: { mode: "no-increase" },
+      testsFailed: { mode: "no-increase" },
+    },
     maxSuggestedUpdateFiles: 25,
+    maxLogRuns: 10,
     verify: {
       enabled: false,
       policyPacks: ["builtin:autonomy-core"],
@@ -339,376 +1589,2052 @@ async function createDefaultConfig(configPath, root, options = {}) {
   }
 }
 
-async function readCoveragePct(root, coverageConfig) {
-  const values = [];
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
 
-  for (const packageDir of coverageConfig.packageDirs) {
-    const summaryPath = join(root, packageDir, coverageConfig.summaryFile);
-    if (!existsSync(summaryPath)) continue;
+function decodeXmlEntities(input) {
+  return input.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity.startsWith("#x")) return String.fromCodePoint(Number.parseInt(entity.slice(2), 16));
+    if (entity.startsWith("#")) return String.fromCodePoint(Number.parseInt(entity.slice(1), 10));
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
 
-    try {
-      const raw = await readFile(summaryPath, "utf8");
-      const parsed = JSON.parse(raw);
-      const pct = parsed?.total?.lines?.pct;
-      if (typeof pct === "number") values.push(pct);
-    } catch {
-      // ignore malformed coverage file
+function parseXml(input) {
+  const root = { name: "#document", attributes: {}, children: [], text: "" };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  for (const match of input.matchAll(tokenPattern)) {
+    const [, cdata, closeName, openName, rawAttributes, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (text !== undefined) {
+      current.text += decodeXmlEntities(text);
+    } else if (closeName !== undefined) {
+      if (stack.length > 1 && current.name === closeName) stack.pop();
+    } else if (openName !== undefined) {
+      const attributes = {};
+      for (const attribute of rawAttributes.matchAll(/([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[attribute[1]] = decodeXmlEntities(attribute[2] ?? attribute[3] ?? "");
+      }
+      const element = { name: openName, attributes, children: [], text: "" };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
     }
   }
+  return root;
+}
 
-  if (values.length === 0) {
-    return { pct: 0, packageCount: 0 };
+function findXmlElements(node, name) {
+  const found = [];
+  for (const child of node.children) {
+    if (child.name === name) found.push(child);
+    found.push(...findXmlElements(child, name));
   }
-
-  return {
-    pct: Number((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(2)),
-    packageCount: values.length,
-  };
+  return found;
 }
 
-async function loadJson(path) {
-  if (!existsSync(path)) return null;
-  try {
-    return JSON.parse(await readFile(path, "utf8"));
-  } catch {
-    return null;
+const GLOB_IGNORED_DIRS = new Set(["node_modules", ".git"]);
+
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      const followedBySlash = pattern[i + 2] === "/";
+      source += followedBySlash ? "(?:.*/)?" : ".*";
+      i += followedBySlash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      const end = pattern.indexOf("}", i);
+      if (end === -1) {
+        source += "\\{";
+        continue;
+      }
+      const options = pattern.slice(i + 1, end).split(",");
+      source += `(?:${options.map((option) => globToRegExp(option).source.slice(1, -1)).join("|")})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\{}]/g, "\\$&");
+    }
   }
+  return new RegExp(`^${source}$`);
 }
 
-function runCommand(root, name, command) {
-  const startedAt = Date.now();
-  const result = spawnSync(command, {
-    cwd: root,
-    shell: true,
-    encoding: "utf8",
-  });
+async function expandGlob(baseDir, pattern) {
+  const segments = pattern.split("/");
+  const staticSegments = [];
+  for (const segment of segments) {
+    if (/[*?{]/.test(segment)) break;
+    staticSegments.push(segment);
+  }
+  if (staticSegments.length === segments.length) {
+    const fullPath = join(baseDir, pattern);
+    return existsSync(fullPath) ? [fullPath] : [];
+  }
 
-  return {
-    name,
-    command,
-    exitCode: result.status ?? 1,
-    durationMs: Date.now() - startedAt,
-    stdout: result.stdout ?? "",
-    stderr: result.stderr ?? "",
+  const startDir = join(baseDir, ...staticSegments);
+  if (!existsSync(startDir)) return [];
+  const matcher = globToRegExp(segments.slice(staticSegments.length).join("/"));
+  const matches = [];
+  const walk = async (dir, prefix) => {
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+      const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!GLOB_IGNORED_DIRS.has(entry.name)) await walk(join(dir, entry.name), relPath);
+      } else if (matcher.test(relPath)) {
+        matches.push(join(dir, entry.name));
+      }
+    }
   };
+  await walk(startDir, "");
+  return matches.sort();
 }
 
-function resolvePathFromRoot(root, pathLike) {
-  if (!pathLike || typeof pathLike !== "string") return "";
-  return isAbsolute(pathLike) ? pathLike : resolve(root, pathLike);
+function firstLine(input, maxLength = 300) {
+  const line = String(input ?? "")
+    .trim()
+    .split("\n")[0]
+    .trim();
+  return line.length > maxLength ? `${line.slice(0, maxLength)}...` : line;
 }
 
-function truncateText(input, maxLength = 20000) {
-  if (typeof input !== "string") return "";
-  if (input.length <= maxLength) return input;
-  return `${input.slice(0, maxLength)}\n...[truncated ${input.length - maxLength} chars]`;
+function parseJunitReport(xml) {
+  const result = { passed: 0, failed: 0, skipped: 0, failures: [] };
+  const visit = (node, suiteName, suiteFile) => {
+    for (const child of node.children) {
+      if (child.name !== "testcase") {
+        const isSuite = child.name === "testsuite";
+        visit(
+          child,
+          isSuite ? (child.attributes.name ?? suiteName) : suiteName,
+          isSuite ? (child.attributes.file ?? suiteFile) : suiteFile,
+        );
+        continue;
+      }
+      const failure = child.children.find((entry) => entry.name === "failure" || entry.name === "error");
+      if (failure) {
+        result.failed += 1;
+        result.failures.push({
+          suite: suiteName ?? child.attributes.classname ?? "",
+          name: child.attributes.name ?? "",
+          file: child.attributes.file ?? suiteFile ?? null,
+          message: firstLine(failure.attributes.message || failure.text) || failure.name,
+        });
+      } else if (child.children.some((entry) => entry.name === "skipped")) {
+        result.skipped += 1;
+      } else {
+        result.passed += 1;
+      }
+    }
+  };
+  visit(parseXml(xml), null, null);
+  return result;
 }
 
-function getPathValue(input, pathExpr) {
-  if (!pathExpr) return undefined;
-  const parts = pathExpr.split(".");
-  let current = input;
-  for (const part of parts) {
-    if (current === null || current === undefined || typeof current !== "object") return undefined;
-    current = current[part];
+async function listFreshReports(root, baseDir, patterns, since, kind, warnings) {
+  const fresh = [];
+  for (const pattern of patterns) {
+    for (const reportPath of await expandGlob(baseDir, pattern)) {
+      if (since && (await stat(reportPath)).mtimeMs < since) {
+        warnings.push(`Ignored stale ${kind} report ${relative(root, reportPath)} (not written during this run).`);
+        continue;
+      }
+      fresh.push(reportPath);
+    }
   }
-  return current;
+  return fresh;
 }
 
-function interpolateTemplate(input, context) {
-  if (typeof input !== "string") return input;
-  return input.replace(/\$\{([a-zA-Z0-9_.-]+)\}/g, (match, key) => {
-    const value = getPathValue(context, key);
-    if (value === undefined || value === null) return match;
-    return String(value);
-  });
-}
+async function readTestReports(root, testReportsConfig, options = {}) {
+  const result = { found: false, passed: 0, failed: 0, skipped: 0, failures: [], reports: [], warnings: [] };
+  if (!testReportsConfig) return result;
 
-function parseTaskIdPattern(value) {
-  const fallback = /\b[A-Z][A-Z0-9]+-\d+\b/g;
-  if (!value || typeof value !== "string") return fallback;
-  try {
-    return new RegExp(value, "g");
-  } catch {
-    return fallback;
+  if (testReportsConfig.packageDirs.length === 0) {
+    result.warnings.push("No JUnit reports were searched because testReports.packageDirs (or coverage.packageDirs) is empty.");
+    return result;
+  }
+  // Overlapping package dirs (such as "." and "packages/a") find the same report more than once; read it once.
+  const reportPaths = new Set();
+  const staleWarnings = [];
+  for (const packageDir of testReportsConfig.packageDirs) {
+    const found = await listFreshReports(root, join(root, packageDir), testReportsConfig.files, options.since, "test", staleWarnings);
+    for (const reportPath of found) reportPaths.add(resolve(reportPath));
+  }
+  result.warnings.push(...new Set(staleWarnings));
+  for (const reportPath of reportPaths) {
+    const reportProjectPath = relative(root, reportPath);
+    try {
+      const report = parseJunitReport(await readFile(reportPath, "utf8"));
+      result.found = true;
+      result.passed += report.passed;
+      result.failed += report.failed;
+      result.skipped += report.skipped;
+      result.failures.push(...report.failures.map((failure) => ({ ...failure, report: reportProjectPath })));
+      result.reports.push({
+        path: reportProjectPath,
+        passed: report.passed,
+        failed: report.failed,
+        skipped: report.skipped,
+      });
+    } catch (error) {
+      result.warnings.push(`Could not parse test report ${reportProjectPath}: ${error instanceof Error ? error.message : error}`);
+    }
   }
+  return result;
 }
 
-function collectTaskIdsFromText(input, regex) {
-  if (!input || typeof input !== "string") return [];
-  const matches = input.match(regex) ?? [];
-  return [...new Set(matches)];
+const LINT_REPORT_FORMATS = ["eslint", "biome", "sarif"];
+
+function toProjectFile(root, file) {
+  if (!file) return null;
+  const path = file.startsWith("file://") ? fileURLToPath(file) : file;
+  return normalizeDiagnosticPath(isAbsolute(path) ? relative(root, path) : path);
 }
 
-function getBranchName(root) {
-  if (process.env.GITHUB_HEAD_REF) return process.env.GITHUB_HEAD_REF;
-  if (process.env.GITHUB_REF_NAME) return process.env.GITHUB_REF_NAME;
-  const result = spawnSync("git rev-parse --abbrev-ref HEAD", {
-    cwd: root,
-    shell: true,
-    encoding: "utf8",
+function parseEslintReport(root, report) {
+  if (!Array.isArray(report)) throw new Error("expected an array of ESLint file results");
+  return report.flatMap((fileResult) =>
+    (fileResult.messages ?? []).map((message) => ({
+      file: toProjectFile(root, fileResult.filePath),
+      line: message.line ?? null,
+      column: message.column ?? null,
+      rule: message.ruleId ?? (message.fatal ? "parse-error" : "unknown"),
+      severity: message.severity === 2 || message.fatal ? "error" : "warning",
+      message: firstLine(message.message),
+      source: "eslint",
+    })),
+  );
+}
+
+function parseBiomeReport(root, report) {
+  if (!Array.isArray(report?.diagnostics)) throw new Error('expected a Biome JSON report with a "diagnostics" array');
+  return report.diagnostics
+    .filter((diagnostic) => ["fatal", "error", "warning"].includes(diagnostic.severity))
+    .map((diagnostic) => {
+      const path = diagnostic.location?.path;
+      const start = diagnostic.location?.start;
+      return {
+        file: toProjectFile(root, typeof path === "string" ? path : path?.file),
+        line: start?.line ?? null,
+        column: start?.column ?? null,
+        rule: diagnostic.category ?? "unknown",
+        severity: diagnostic.severity === "warning" ? "warning" : "error",
+        message: firstLine(diagnostic.description ?? diagnostic.message),
+        source: "biome",
+      };
+    });
+}
+
+function parseSarifReport(root, report) {
+  if (!Array.isArray(report?.runs)) throw new Error('expected a SARIF 2.1 log with a "runs" array');
+  return report.runs.flatMap((run) => {
+    const rules = run.tool?.driver?.rules ?? [];
+    return (run.results ?? []).flatMap((result) => {
+      const rule = rules[result.ruleIndex ?? result.rule?.index ?? -1];
+      const level = result.level ?? rule?.defaultConfiguration?.level ?? "warning";
+      if (level !== "error" && level !== "warning") return [];
+      const location = result.locations?.[0]?.physicalLocation;
+      return [
+        {
+          file: toProjectFile(root, location?.artifactLocation?.uri),
+          line: location?.region?.startLine ?? null,
+          column: location?.region?.startColumn ?? null,
+          rule: result.ruleId ?? result.rule?.id ?? rule?.id ?? "unknown",
+          severity: level,
+          message: firstLine(result.message?.text ?? result.message?.markdown),
+          source: run.tool?.driver?.name ?? "sarif",
+        },
+      ];
+    });
   });
-  if ((result.status ?? 1) !== 0) return "";
-  return String(result.stdout ?? "").trim();
 }
 
-function mergeGates(baseGates, patchGates) {
-  const byId = new Map();
-  for (const gate of baseGates) {
-    if (!gate?.id) continue;
-    byId.set(gate.id, gate);
+const LINT_REPORT_PARSERS = {
+  eslint: parseEslintReport,
+  biome: parseBiomeReport,
+  sarif: parseSarifReport,
+};
+
+function summarizeLintDiagnostics(diagnostics, key) {
+  const summary = new Map();
+  for (const diagnostic of diagnostics) {
+    const value = diagnostic[key] ?? "(global)";
+    const entry = summary.get(value) ?? { [key]: value, errors: 0, warnings: 0 };
+    entry[diagnostic.severity === "error" ? "errors" : "warnings"] += 1;
+    summary.set(value, entry);
   }
-  for (const gate of patchGates) {
-    if (!gate?.id) continue;
-    const existing = byId.get(gate.id) ?? {};
-    byId.set(gate.id, { ...existing, ...gate });
+  return [...summary.values()].sort((a, b) => b.errors - a.errors || b.warnings - a.warnings);
+}
+
+async function readLintReports(root, lintReports, options = {}) {
+  const result = { found: false, diagnostics: [], reports: [], warnings: [] };
+  for (const entry of lintReports) {
+    const reportPaths = await listFreshReports(root, root, entry.files, options.since, "lint", result.warnings);
+    if (reportPaths.length === 0) {
+      result.warnings.push(`No ${entry.format} lint report matched ${entry.files.join(", ")}.`);
+    }
+    for (const reportPath of reportPaths) {
+      const reportProjectPath = relative(root, reportPath);
+      try {
+        const diagnostics = dedupeDiagnostics(
+          LINT_REPORT_PARSERS[entry.format](root, JSON.parse(await readFile(reportPath, "utf8"))),
+        );
+        result.found = true;
+        result.diagnostics.push(...diagnostics);
+        result.reports.push({
+          path: reportProjectPath,
+          format: entry.format,
+          errors: diagnostics.filter((diagnostic) => diagnostic.severity === "error").length,
+          warnings: diagnostics.filter((diagnostic) => diagnostic.severity === "warning").length,
+        });
+      } catch (error) {
+        result.warnings.push(`Could not parse lint report ${reportProjectPath}: ${error instanceof Error ? error.message : error}`);
+      }
+    }
   }
-  return [...byId.values()];
+  if (lintReports.length > 0 && !result.found) {
+    result.warnings.push("No lint reports could be read; lint violations were parsed from lint output.");
+  }
+  result.diagnostics = dedupeDiagnostics(result.diagnostics);
+  return result;
 }
 
-function applyVerifyPatch(base, patch) {
-  const next = { ...base };
-  for (const [key, value] of Object.entries(patch ?? {})) {
-    if (key === "gates") continue;
-    if (value !== undefined) next[key] = value;
+const COVERAGE_FORMATS = {
+  istanbul: "coverage/coverage-summary.json",
+  lcov: "coverage/lcov.info",
+  cobertura: "coverage/cobertura-coverage.xml",
+};
+const COVERAGE_METRICS = ["lines", "branches", "functions", "statements"];
+
+function toCoverageCount(covered, total) {
+  const safeTotal = Number(total);
+  const safeCovered = Number(covered);
+  if (!Number.isFinite(safeTotal) || !Number.isFinite(safeCovered) || safeTotal < 0) return null;
+  return { covered: safeCovered, total: safeTotal };
+}
+
+function parseIstanbulSummary(raw) {
+  const total = JSON.parse(raw)?.total;
+  if (!total || typeof total !== "object") throw new Error('missing "total" section');
+  const counts = {};
+  for (const metric of COVERAGE_METRICS) {
+    const entry = total[metric];
+    if (entry) counts[metric] = toCoverageCount(entry.covered, entry.total);
   }
-  if (Array.isArray(patch?.gates)) {
-    next.gates = mergeGates(Array.isArray(next.gates) ? next.gates : [], patch.gates);
+  return counts;
+}
+
+function parseLcov(raw) {
+  const totals = {
+    lines: { covered: 0, total: 0 },
+    branches: { covered: 0, total: 0 },
+    functions: { covered: 0, total: 0 },
+  };
+  const add = (target, count) => {
+    target.covered += count.covered;
+    target.total += count.total;
+  };
+  let record = null;
+  const flush = () => {
+    if (!record) return;
+    add(totals.lines, record.LF !== undefined ? { covered: record.LH ?? 0, total: record.LF } : record.lineData);
+    add(totals.branches, { covered: record.BRH ?? 0, total: record.BRF ?? 0 });
+    add(totals.functions, { covered: record.FNH ?? 0, total: record.FNF ?? 0 });
+    record = null;
+  };
+  for (const line of raw.split(/\r?\n/)) {
+    const separator = line.indexOf(":");
+    const key = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? "" : line.slice(separator + 1);
+    if (key === "SF") {
+      flush();
+      record = { lineData: { covered: 0, total: 0 } };
+    } else if (!record) {
+      continue;
+    } else if (key === "end_of_record") {
+      flush();
+    } else if (key === "DA") {
+      record.lineData.total += 1;
+      if (Number(value.split(",")[1]) > 0) record.lineData.covered += 1;
+    } else if (["LF", "LH", "BRF", "BRH", "FNF", "FNH"].includes(key)) {
+      record[key] = Number(value);
+    }
   }
-  return next;
+  flush();
+  return totals;
 }
 
-function resolvePolicyPackPath(root, reference) {
-  if (typeof reference !== "string" || reference.length === 0) {
-    throw new Error("Policy pack reference must be a non-empty string");
+function parseCobertura(raw) {
+  const report = findXmlElements(parseXml(raw), "coverage")[0];
+  if (!report) throw new Error("missing <coverage> element");
+  const { attributes } = report;
+  const counts = {};
+  if (attributes["lines-valid"] !== undefined) {
+    counts.lines = toCoverageCount(attributes["lines-covered"], attributes["lines-valid"]);
+  } else {
+    const classLines = findXmlElements(report, "class").flatMap((entry) =>
+      entry.children.filter((child) => child.name === "lines").flatMap((lines) => lines.children),
+    );
+    counts.lines = toCoverageCount(
+      classLines.filter((line) => Number(line.attributes.hits) > 0).length,
+      classLines.length,
+    );
   }
-  if (reference.startsWith("builtin:")) {
-    const key = reference.slice("builtin:".length);
-    const builtInPath = BUILTIN_POLICY_PACKS[key];
-    if (!builtInPath) throw new Error(`Unknown builtin policy pack: ${reference}`);
-    return builtInPath;
+  if (attributes["branches-valid"] !== undefined) {
+    counts.branches = toCoverageCount(attributes["branches-covered"], attributes["branches-valid"]);
   }
-  return resolvePathFromRoot(root, reference);
+  const methods = findXmlElements(report, "method");
+  if (methods.length > 0) {
+    counts.functions = toCoverageCount(
+      methods.filter((method) => Number(method.attributes["line-rate"]) > 0).length,
+      methods.length,
+    );
+  }
+  return counts;
 }
 
-async function loadPolicyPack(root, reference) {
-  const packPath = resolvePolicyPackPath(root, reference);
-  if (!existsSync(packPath)) {
-    throw new Error(`Policy pack not found: ${reference} -> ${packPath}`);
+const COVERAGE_PARSERS = {
+  istanbul: parseIstanbulSummary,
+  lcov: parseLcov,
+  cobertura: parseCobertura,
+};
+
+function coveragePctFromCounts(counts) {
+  if (!counts || counts.total === 0) return null;
+  return Number(((counts.covered / counts.total) * 100).toFixed(2));
+}
+
+function formatCoverageBreakdown(metrics) {
+  const parts = COVERAGE_METRICS.filter((metric) => typeof metrics[metric]?.pct === "number").map(
+    (metric) => `${metric} ${metrics[metric].pct}%`,
+  );
+  return parts.length > 0 ? ` (${parts.join(", ")})` : "";
+}
+
+function combineCoverageMetrics(metrics, weights) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const [metric, weight] of Object.entries(weights)) {
+    const pct = metrics[metric]?.pct;
+    if (weight <= 0 || pct === null || pct === undefined) continue;
+    weightedSum += pct * weight;
+    totalWeight += weight;
   }
-  const raw = await readFile(packPath, "utf8");
-  const parsed = JSON.parse(raw);
-  const verifyConfig = parsed?.verify ?? parsed;
-  if (!verifyConfig || typeof verifyConfig !== "object") {
-    throw new Error(`Policy pack does not contain a verify config object: ${reference}`);
+  return totalWeight > 0 ? Number((weightedSum / totalWeight).toFixed(2)) : 0;
+}
+
+async function readCoverage(root, coverageConfig) {
+  const packages = [];
+  const totals = {};
+
+  for (const packageDir of coverageConfig.packageDirs) {
+    const summaryPath = join(root, packageDir, coverageConfig.summaryFile);
+    if (!existsSync(summaryPath)) continue;
+
+    let counts;
+    try {
+      counts = COVERAGE_PARSERS[coverageConfig.format](await readFile(summaryPath, "utf8"));
+    } catch {
+      // ignore malformed coverage file
+      continue;
+    }
+
+    const metrics = {};
+    for (const metric of COVERAGE_METRICS) {
+      const count = counts[metric];
+      if (!count) continue;
+      metrics[metric] = { ...count, pct: coveragePctFromCounts(count) };
+      totals[metric] = {
+        covered: (totals[metric]?.covered ?? 0) + count.covered,
+        total: (totals[metric]?.total ?? 0) + count.total,
+      };
+    }
+    packages.push({
+      dir: packageDir,
+      pct: combineCoverageMetrics(metrics, coverageConfig.metrics),
+      metrics,
+    });
   }
+
+  if (packages.length === 0) {
+    return { pct: 0, packageCount: 0, metrics: {}, packages };
+  }
+
+  const metrics = Object.fromEntries(
+    Object.entries(totals).map(([metric, count]) => [metric, { ...count, pct: coveragePctFromCounts(count) }]),
+  );
   return {
-    reference,
-    path: packPath,
-    verify: verifyConfig,
+    pct: combineCoverageMetrics(metrics, coverageConfig.metrics),
+    packageCount: packages.length,
+    metrics,
+    packages,
   };
 }
 
-async function normalizeVerifyConfig(root, userConfig, normalizedConfig) {
-  const repoVerify = userConfig?.verify ?? {};
-  const packRefs = Array.isArray(repoVerify.policyPacks) ? repoVerify.policyPacks : [];
-  let merged = { ...DEFAULT_VERIFY_CONFIG };
-  const loadedPolicyPacks = [];
-  for (const packRef of packRefs) {
-    const pack = await loadPolicyPack(root, packRef);
-    loadedPolicyPacks.push({ reference: pack.reference, path: relative(root, pack.path) });
-    merged = applyVerifyPatch(merged, pack.verify);
-  }
-  merged = applyVerifyPatch(merged, repoVerify);
-  merged.policyPacks = packRefs;
-  merged.loadedPolicyPacks = loadedPolicyPacks;
-  if (!Array.isArray(merged.gates)) {
-    merged.gates = [];
-  }
-  if (!Array.isArray(merged.taskIdSources) || merged.taskIdSources.length === 0) {
-    merged.taskIdSources = DEFAULT_VERIFY_CONFIG.taskIdSources;
-  }
-  merged.commands = Object.fromEntries(normalizedConfig.commands.map((entry) => [entry.name, entry.command]));
-  return merged;
+const DIFF_COVERAGE_FILES = {
+  istanbul: "coverage/coverage-final.json",
+  lcov: "coverage/lcov.info",
+  cobertura: "coverage/cobertura-coverage.xml",
+};
+const DIFF_COVERAGE_INCLUDE = ["**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts,vue,svelte,py,go,rs,java,kt,rb,php,cs,swift,c,cc,cpp,h,hpp}"];
+const DIFF_COVERAGE_EXCLUDE = [
+  "**/*.d.ts",
+  "**/*.{test,spec}.*",
+  "**/*_test.go",
+  "**/{test_*,*_test}.py",
+  "**/{test,tests,__tests__,__mocks__,fixtures}/**",
+  "**/*.config.*",
+];
+
+function recordLineHits(lineHits, file, line, hits) {
+  const fileHits = lineHits.get(file) ?? new Map();
+  fileHits.set(line, Math.max(fileHits.get(line) ?? 0, hits));
+  lineHits.set(file, fileHits);
 }
 
-function resolveTaskIds(root, verifyConfig, options) {
-  const taskIdRegex = parseTaskIdPattern(verifyConfig.taskIdPattern);
-  const taskIds = new Set();
-  const sources = new Set(verifyConfig.taskIdSources ?? []);
-  if (sources.has("cli") && options.taskId) {
-    for (const value of collectTaskIdsFromText(options.taskId, taskIdRegex)) {
-      taskIds.add(value);
+function readIstanbulLineHits(raw, addHits) {
+  for (const [filePath, fileCoverage] of Object.entries(JSON.parse(raw))) {
+    for (const [statementId, location] of Object.entries(fileCoverage.statementMap ?? {})) {
+      addHits(fileCoverage.path ?? filePath, location.start.line, Number(fileCoverage.s?.[statementId] ?? 0));
     }
   }
-  if (sources.has("env")) {
-    const envVar = verifyConfig.envTaskIdVar || "CQ_TASK_ID";
-    for (const value of collectTaskIdsFromText(process.env[envVar], taskIdRegex)) {
-      taskIds.add(value);
+}
+
+function readLcovLineHits(raw, addHits) {
+  let file = null;
+  for (const line of raw.split(/\r?\n/)) {
+    if (line.startsWith("SF:")) {
+      file = line.slice(3);
+    } else if (line.startsWith("DA:") && file) {
+      const [lineNumber, hits] = line.slice(3).split(",");
+      addHits(file, Number(lineNumber), Number(hits));
+    } else if (line === "end_of_record") {
+      file = null;
     }
   }
-  if (sources.has("branch")) {
-    for (const value of collectTaskIdsFromText(getBranchName(root), taskIdRegex)) {
-      taskIds.add(value);
+}
+
+function readCoberturaLineHits(raw, addHits) {
+  const document = parseXml(raw);
+  const sources = findXmlElements(document, "source").map((source) => source.text.trim());
+  for (const entry of findXmlElements(document, "class")) {
+    const lines = entry.children.filter((child) => child.name === "lines").flatMap((child) => child.children);
+    for (const line of lines) {
+      addHits(entry.attributes.filename, Number(line.attributes.number), Number(line.attributes.hits), sources);
     }
   }
-  return [...taskIds];
 }
 
-async function loadWaivers(root, waiversFile) {
-  const fullPath = resolvePathFromRoot(root, waiversFile);
-  if (!fullPath || !existsSync(fullPath)) return [];
-  const raw = await readFile(fullPath, "utf8");
-  const parsed = JSON.parse(raw);
-  if (Array.isArray(parsed)) return parsed;
-  if (Array.isArray(parsed?.waivers)) return parsed.waivers;
-  throw new Error(`Waivers file must be an array or object with "waivers" array: ${waiversFile}`);
+const LINE_HIT_READERS = {
+  istanbul: readIstanbulLineHits,
+  lcov: readLcovLineHits,
+  cobertura: readCoberturaLineHits,
+};
+
+function resolveCoveredFile(root, packageRoot, file, sourceRoots = []) {
+  const candidates = isAbsolute(file)
+    ? [file]
+    : [join(packageRoot, file), ...sourceRoots.map((sourceRoot) => resolve(packageRoot, sourceRoot, file)), join(root, file)];
+  const match = candidates.find((candidate) => existsSync(candidate)) ?? candidates[0];
+  return normalizeDiagnosticPath(relative(root, match));
 }
 
-function findMatchingWaiver(waivers, gateResult, taskIds) {
-  for (const waiver of waivers) {
-    if (!waiver || typeof waiver !== "object") continue;
-    const gateMatch = waiver.gateId === gateResult.id || waiver.gateId === "*";
-    if (!gateMatch) continue;
-    const taskIdMatch =
-      !waiver.taskId || waiver.taskId === "*" || taskIds.length === 0 || taskIds.includes(String(waiver.taskId));
-    if (!taskIdMatch) continue;
-    if (waiver.expiresAt) {
-      const expiry = new Date(waiver.expiresAt);
-      if (!Number.isNaN(expiry.getTime()) && Date.now() > expiry.getTime()) {
-        continue;
-      }
+async function readLineHits(root, coverageConfig) {
+  const lineHits = new Map();
+  const warnings = [];
+  for (const packageDir of coverageConfig.packageDirs) {
+    const packageRoot = join(root, packageDir);
+    const diffFilePath = join(packageRoot, coverageConfig.diffFile);
+    if (!existsSync(diffFilePath)) continue;
+    try {
+      LINE_HIT_READERS[coverageConfig.format](await readFile(diffFilePath, "utf8"), (file, line, hits, sourceRoots) => {
+        recordLineHits(lineHits, resolveCoveredFile(root, packageRoot, file, sourceRoots), line, hits);
+      });
+    } catch (error) {
+      warnings.push(`Could not read line coverage from ${relative(root, diffFilePath)}: ${error instanceof Error ? error.message : error}`);
     }
-    return waiver;
   }
-  return null;
-}
-
-function createValidationError(path, message) {
-  return `${path}: ${message}`;
+  return { lineHits, warnings };
 }
 
-function resolveSchemaRef(rootSchema, ref) {
-  if (typeof ref !== "string" || !ref.startsWith("#/")) return null;
-  const parts = ref.slice(2).split("/");
-  let current = rootSchema;
-  for (const rawPart of parts) {
-    const part = rawPart.replace(/~1/g, "/").replace(/~0/g, "~");
-    if (current === null || current === undefined || typeof current !== "object") return null;
-    current = current[part];
+function getChangedLines(root, baseRef) {
+  // --relative keeps paths relative to `root` (not the repository top-level) so they match the coverage keys
+  // when the config lives in a monorepo subdirectory; the fixed prefix and unquoted paths survive user git config.
+  const args = ["-c", "core.quotePath=false", "diff", "--relative", "--dst-prefix=b/", "--unified=0", "--no-color", "--no-ext-diff"];
+  const result = spawnSync("git", [...args, `${baseRef}...HEAD`], {
+    cwd: root,
+    encoding: "utf8",
+    maxBuffer: 256 * 1024 * 1024,
+  });
+  if ((result.status ?? 1) !== 0) {
+    throw new Error(`git diff ${baseRef}...HEAD failed: ${String(result.stderr || result.error?.message || "").trim()}`);
   }
-  return current;
-}
 
-function matchesSchema(schema, data, rootSchema) {
-  const errors = [];
-  validateSchemaNode(schema, data, "$", rootSchema, errors);
-  return errors.length === 0;
+  return parseChangedLines(String(result.stdout));
 }
 
-function validateSchemaNode(schema, data, path, rootSchema, errors) {
-  if (!schema || typeof schema !== "object") return;
-
-  if (schema.$ref) {
-    const resolved = resolveSchemaRef(rootSchema, schema.$ref);
-    if (!resolved) {
-      errors.push(createValidationError(path, `unresolved $ref ${schema.$ref}`));
-      return;
+// Maps each file of a `git diff --unified=0` to its added or changed line numbers, leaving out blank lines.
+function parseChangedLines(diff) {
+  const changedLines = new Map();
+  let file = null;
+  let nextLine = 0;
+  let remaining = 0;
+  for (const line of diff.split("\n")) {
+    if (remaining > 0) {
+      if (!line.startsWith("+")) continue;
+      if (file && line.slice(1).trim() !== "") changedLines.get(file).push(nextLine);
+      nextLine += 1;
+      remaining -= 1;
+      continue;
     }
-    validateSchemaNode(resolved, data, path, rootSchema, errors);
-    return;
+    if (line.startsWith("+++ ")) {
+      file = line === "+++ /dev/null" ? null : line.slice(4).replace(/^b\//, "");
+      continue;
+    }
+    const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (!hunk || !file) continue;
+    nextLine = Number(hunk[1]);
+    remaining = hunk[2] === undefined ? 1 : Number(hunk[2]);
+    if (!changedLines.has(file)) changedLines.set(file, []);
   }
+  return changedLines;
+}
 
-  if (Array.isArray(schema.allOf)) {
-    for (const subSchema of schema.allOf) {
-      validateSchemaNode(subSchema, data, path, rootSchema, errors);
+function toLineRanges(lines) {
+  const ranges = [];
+  for (const line of [...lines].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) {
+      last[1] = line;
+    } else {
+      ranges.push([line, line]);
     }
   }
+  return ranges.map(([start, end]) => (start === end ? String(start) : `${start}-${end}`)).join(", ");
+}
 
-  if (schema.if && schema.then && matchesSchema(schema.if, data, rootSchema)) {
-    validateSchemaNode(schema.then, data, path, rootSchema, errors);
-  }
+// Whether a changed file is source that coverage should have measured: inside a coverage package, matching
+// `coverage.diffInclude` and not `coverage.diffExclude` (tests, type declarations and config files by default).
+function isDiffCoverageSource(file, coverageConfig) {
+  const inPackage = coverageConfig.packageDirs.some((packageDir) => {
+    const dir = normalizeDiagnosticPath(packageDir).replace(/\/$/, "");
+    return dir === "" || dir === "." || file === dir || file.startsWith(`${dir}/`);
+  });
+  return (
+    inPackage &&
+    coverageConfig.diffInclude.some((pattern) => globToRegExp(pattern).test(file)) &&
+    !coverageConfig.diffExclude.some((pattern) => globToRegExp(pattern).test(file))
+  );
+}
+
+async function computeDiffCoverage(root, coverageConfig, baseRef) {
+  const changedLines = getChangedLines(root, baseRef);
+  const { lineHits, warnings } = await readLineHits(root, coverageConfig);
+  return { ...summarizeDiffCoverage(changedLines, lineHits, coverageConfig), base: baseRef, warnings };
+}
 
-  if (schema.const !== undefined) {
-    if (JSON.stringify(data) !== JSON.stringify(schema.const)) {
-      errors.push(createValidationError(path, "does not match const value"));
+// A changed source file the coverage tool never loaded has no line data at all; all its changed lines count as
+// uncovered, so adding an untested module cannot pass as "nothing measurable".
+function summarizeDiffCoverage(changedLines, lineHits, coverageConfig) {
+  const files = [];
+  const filesWithoutCoverage = [];
+  let covered = 0;
+  let total = 0;
+
+  for (const [file, lines] of changedLines) {
+    const fileHits = lineHits.get(file);
+    if (!fileHits) {
+      if (lines.length === 0 || !isDiffCoverageSource(file, coverageConfig)) continue;
+      filesWithoutCoverage.push(file);
+      total += lines.length;
+      files.push({ file, covered: 0, total: lines.length, pct: 0, uncoveredLines: toLineRanges(lines) });
+      continue;
     }
+    const measurable = lines.filter((line) => fileHits.has(line));
+    if (measurable.length === 0) continue;
+    const uncovered = measurable.filter((line) => fileHits.get(line) === 0);
+    covered += measurable.length - uncovered.length;
+    total += measurable.length;
+    files.push({
+      file,
+      covered: measurable.length - uncovered.length,
+      total: measurable.length,
+      pct: coveragePctFromCounts({ covered: measurable.length - uncovered.length, total: measurable.length }),
+      uncoveredLines: toLineRanges(uncovered),
+    });
   }
 
-  if (schema.enum && Array.isArray(schema.enum) && !schema.enum.some((entry) => JSON.stringify(entry) === JSON.stringify(data))) {
-    errors.push(createValidationError(path, `must be one of: ${schema.enum.map((entry) => JSON.stringify(entry)).join(", ")}`));
+  return {
+    pct: coveragePctFromCounts({ covered, total }),
+    covered,
+    total,
+    files: files.sort((a, b) => a.pct - b.pct),
+    filesWithoutCoverage,
+  };
+}
+
+async function loadJson(path) {
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(await readFile(path, "utf8"));
+  } catch {
+    return null;
   }
+}
 
-  const expectedType = schema.type;
-  if (expectedType) {
-    const actualType = Array.isArray(data) ? "array" : data === null ? "null" : typeof data;
-    const typeMatches =
-      expectedType === actualType ||
-      (expectedType === "number" && actualType === "number") ||
-      (expectedType === "integer" && Number.isInteger(data));
-    if (!typeMatches) {
-      errors.push(createValidationError(path, `expected type ${expectedType}, got ${actualType}`));
-      return;
-    }
+const KILL_GRACE_MS = 5000;
+const activeChildren = new Set();
+// Synchronous cleanups (temporary worktrees) that must also run when the process is cancelled.
+const cancelCleanups = new Set();
+let cancelHandlersInstalled = false;
+
+function killProcessTree(child, signal) {
+  if (!child.pid) return;
+  if (process.platform === "win32") {
+    spawnSync("taskkill", ["/pid", String(child.pid), "/T", "/F"], { stdio: "ignore" });
+    return;
   }
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // process group already exited
+  }
+}
 
-  if (typeof data === "string") {
-    if (typeof schema.minLength === "number" && data.length < schema.minLength) {
-      errors.push(createValidationError(path, `must have minLength ${schema.minLength}`));
-    }
-    if (schema.pattern) {
-      try {
-        const regex = new RegExp(schema.pattern);
-        if (!regex.test(data)) {
-          errors.push(createValidationError(path, `does not match pattern ${schema.pattern}`));
-        }
-      } catch {
-        errors.push(createValidationError(path, `invalid pattern ${schema.pattern}`));
+function installCancelHandlers() {
+  if (cancelHandlersInstalled) return;
+  cancelHandlersInstalled = true;
+  for (const [signal, exitCode] of [
+    ["SIGINT", 130],
+    ["SIGTERM", 143],
+  ]) {
+    process.once(signal, () => {
+      for (const child of activeChildren) {
+        killProcessTree(child, "SIGKILL");
       }
-    }
+      for (const cleanup of cancelCleanups) {
+        cleanup();
+      }
+      process.exit(exitCode);
+    });
   }
+}
 
-  if (Array.isArray(data)) {
-    if (typeof schema.minItems === "number" && data.length < schema.minItems) {
-      errors.push(createValidationError(path, `must have minItems ${schema.minItems}`));
-    }
-    if (schema.items) {
-      data.forEach((item, index) => {
-        validateSchemaNode(schema.items, item, `${path}[${index}]`, rootSchema, errors);
+const PROGRESS_INTERVAL_MS = 30000;
+
+function toLogFileName(name) {
+  return `${name.replace(/[^A-Za-z0-9._-]+/g, "-")}.log`;
+}
+
+// Output without a newline is flushed once this much has piled up, so one endless line cannot grow unbounded.
+const LOG_PENDING_LIMIT = 64 * 1024;
+
+// `write` returns false when the file cannot keep up; the caller pauses its sources until `onDrain` fires.
+// Each source (stdout, stderr) buffers its own unfinished line, so the two never splice into one line.
+function createLogWriter(logPath) {
+  const stream = createWriteStream(logPath, { encoding: "utf8" });
+  const pending = new Map();
+  let failed = false;
+  const writer = {
+    warning: null,
+    write(chunk, source = "stdout") {
+      if (failed) return true;
+      const text = (pending.get(source) ?? "") + chunk;
+      const lastNewline = text.length > LOG_PENDING_LIMIT ? text.length - 1 : text.lastIndexOf("\n");
+      pending.set(source, text.slice(lastNewline + 1));
+      if (lastNewline === -1) return true;
+      const ready = stream.write(stripAnsi(text.slice(0, lastNewline + 1)));
+      return ready || failed;
+    },
+    onDrain(callback) {
+      if (failed) return callback();
+      const done = () => {
+        stream.off("drain", done);
+        stream.off("error", done);
+        callback();
+      };
+      stream.on("drain", done);
+      stream.on("error", done);
+    },
+    end() {
+      if (failed) return Promise.resolve();
+      return new Promise((settle) => {
+        stream.once("error", () => settle());
+        stream.end(stripAnsi([...pending.values()].filter(Boolean).join("\n")), settle);
       });
-    }
-  }
+    },
+  };
+  // A full disk or unwritable log dir must not take the run down; the command keeps going without a log.
+  stream.on("error", (error) => {
+    failed = true;
+    pending.clear();
+    writer.warning = `Stopped writing ${relative(process.cwd(), logPath)}: ${error.message}`;
+  });
+  return writer;
+}
 
-  if (data && typeof data === "object" && !Array.isArray(data)) {
-    const required = Array.isArray(schema.required) ? schema.required : [];
-    for (const key of required) {
-      if (!Object.prototype.hasOwnProperty.call(data, key)) {
-        errors.push(createValidationError(path, `missing required property "${key}"`));
-      }
-    }
+// Only this much of each stream is kept in memory for the parsers; the log file has the full output.
+const CAPTURED_OUTPUT_LIMIT = 8 * 1024 * 1024;
 
-    const properties = schema.properties && typeof schema.properties === "object" ? schema.properties : {};
-    for (const [key, propertySchema] of Object.entries(properties)) {
-      if (Object.prototype.hasOwnProperty.call(data, key)) {
-        validateSchemaNode(propertySchema, data[key], `${path}.${key}`, rootSchema, errors);
+function createOutputTail() {
+  let text = "";
+  let truncated = false;
+  return {
+    append(chunk) {
+      text += chunk;
+      // Trimming at twice the limit keeps the cost of slicing proportional to the output.
+      if (text.length > 2 * CAPTURED_OUTPUT_LIMIT) {
+        text = text.slice(-CAPTURED_OUTPUT_LIMIT);
+        truncated = true;
       }
+    },
+    get truncated() {
+      return truncated || text.length > CAPTURED_OUTPUT_LIMIT;
+    },
+    toString() {
+      if (!this.truncated) return text;
+      // Start at a line boundary so the parsers never see half a line.
+      const tail = text.slice(-CAPTURED_OUTPUT_LIMIT);
+      return tail.slice(tail.indexOf("\n") + 1);
+    },
+  };
+}
+
+async function pruneLogRuns(logsDir, maxRuns) {
+  if (!existsSync(logsDir)) return;
+  const runDirs = (await readdir(logsDir, { withFileTypes: true }))
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+  for (const runDir of runDirs.slice(0, Math.max(0, runDirs.length - maxRuns))) {
+    await rm(join(logsDir, runDir), { recursive: true, force: true });
+  }
+}
+
+async function runCommand(root, name, command, options = {}) {
+  const startedAt = Date.now();
+  const timeoutMs = options.timeoutMs ?? null;
+  const logPath = options.logPath ?? null;
+  const progress = options.progress === true;
+  installCancelHandlers();
+  let log = null;
+  let logWarning = null;
+  if (logPath) {
+    try {
+      await mkdir(dirname(logPath), { recursive: true });
+      log = createLogWriter(logPath);
+    } catch (error) {
+      logWarning = `Could not write ${relative(process.cwd(), logPath)}: ${error instanceof Error ? error.message : error}`;
     }
+  }
+  const elapsed = () => `${((Date.now() - startedAt) / 1000).toFixed(1)}s`;
+  if (progress) {
+    console.log(`[${name}] started`);
+  }
 
-    if (schema.additionalProperties === false) {
-      const allowed = new Set(Object.keys(properties));
-      for (const key of Object.keys(data)) {
-        if (!allowed.has(key)) {
-          errors.push(createValidationError(path, `unexpected property "${key}"`));
-        }
+  return new Promise((settle) => {
+    const stdout = createOutputTail();
+    const stderr = createOutputTail();
+    let lineCount = 0;
+    let timedOut = false;
+    const child = spawn(command, {
+      cwd: root,
+      shell: true,
+      detached: process.platform !== "win32",
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    activeChildren.add(child);
+    child.stdout.setEncoding("utf8");
+    child.stderr.setEncoding("utf8");
+    let paused = false;
+    const onData = (chunk, source) => {
+      lineCount += countMatches(chunk, /\n/g);
+      if (!log || log.write(chunk, source) || paused) return;
+      paused = true;
+      child.stdout.pause();
+      child.stderr.pause();
+      log.onDrain(() => {
+        paused = false;
+        child.stdout.resume();
+        child.stderr.resume();
+      });
+    };
+    child.stdout.on("data", (chunk) => {
+      stdout.append(chunk);
+      onData(chunk, "stdout");
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr.append(chunk);
+      onData(chunk, "stderr");
+    });
+
+    const progressTimer = progress
+      ? setInterval(() => console.log(`[${name}] still running (${elapsed()}, ${lineCount} lines)`), PROGRESS_INTERVAL_MS)
+      : null;
+    let killTimer = null;
+    const timeoutTimer = timeoutMs
+      ? setTimeout(() => {
+          timedOut = true;
+          killProcessTree(child, "SIGTERM");
+          killTimer = setTimeout(() => killProcessTree(child, "SIGKILL"), KILL_GRACE_MS);
+        }, timeoutMs)
+      : null;
+
+    let spawnError = null;
+    child.on("error", (error) => {
+      spawnError = error;
+      log?.write(`${error.message}\n`, "stderr");
+    });
+    child.on("close", async (code, signal) => {
+      clearInterval(progressTimer);
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+      activeChildren.delete(child);
+      await log?.end();
+      const exitCode = timedOut ? null : (code ?? 1);
+      const status = timedOut ? "timed_out" : exitCode === 0 ? "passed" : "failed";
+      if (progress) {
+        const outcome = status === "timed_out" ? `timed out after ${timeoutMs}ms` : `${status} (exit ${exitCode})`;
+        console.log(`[${name}] ${outcome} in ${elapsed()}${logPath ? ` -> ${relative(process.cwd(), logPath)}` : ""}`);
       }
+      settle({
+        name,
+        command,
+        status,
+        exitCode,
+        signal: signal ?? null,
+        timeoutMs,
+        durationMs: Date.now() - startedAt,
+        logPath,
+        logWarning: logWarning ?? log?.warning ?? null,
+        outputTruncated: stdout.truncated || stderr.truncated,
+        stdout: String(stdout),
+        stderr: spawnError ? `${stderr}${spawnError.message}\n` : String(stderr),
+      });
+    });
+  });
+}
+
+async function runCommands(root, commandEntries, options = {}) {
+  const concurrency = Math.max(1, options.concurrency ?? 1);
+  const startedAt = Date.now();
+  const results = new Map();
+  const pending = [...commandEntries];
+  const running = new Map();
+
+  while (pending.length > 0 || running.size > 0) {
+    while (running.size < concurrency) {
+      const index = pending.findIndex((entry) => entry.dependsOn.every((dependency) => results.has(dependency)));
+      if (index === -1) break;
+      const [entry] = pending.splice(index, 1);
+      const startOffsetMs = Date.now() - startedAt;
+      const commandOptions = {
+        timeoutMs: entry.timeoutMs,
+        logPath: options.logDir ? join(options.logDir, toLogFileName(entry.name)) : null,
+        progress: options.progress,
+      };
+      running.set(
+        entry.name,
+        runCommand(root, entry.name, entry.command, commandOptions).then((result) => ({
+          ...result,
+          role: entry.role,
+          builtin: entry.builtin,
+          testParser: entry.testParser,
+          startOffsetMs,
+        })),
+      );
     }
+    if (running.size === 0) {
+      throw new Error(`Unable to schedule commands: ${pending.map((entry) => entry.name).join(", ")}`);
+    }
+    const result = await Promise.race(running.values());
+    running.delete(result.name);
+    results.set(result.name, result);
   }
+
+  return {
+    results: commandEntries.map((entry) => results.get(entry.name)),
+    wallClockMs: Date.now() - startedAt,
+    concurrency,
+  };
 }
 
-function validateJsonAgainstSchema(schema, data) {
-  const errors = [];
-  validateSchemaNode(schema, data, "$", schema, errors);
-  return errors;
+function resolvePathFromRoot(root, pathLike) {
+  if (!pathLike || typeof pathLike !== "string") return "";
+  return isAbsolute(pathLike) ? pathLike : resolve(root, pathLike);
+}
+
+function truncateText(input, maxLength = 20000) {
+  if (typeof input !== "string") return "";
+  if (input.length <= maxLength) return input;
+  return `${input.slice(0, maxLength)}\n...[truncated ${input.length - maxLength} chars]`;
+}
+
+function getPathValue(input, pathExpr) {
+  if (!pathExpr) return undefined;
+  const parts = pathExpr.split(".");
+  let current = input;
+  for (const part of parts) {
+    if (current === null || current === undefined || typeof current !== "object") return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+function interpolateTemplate(input, context) {
+  if (typeof input !== "string") return input;
+  return input.replace(/\$\{([a-zA-Z0-9_.:-]+)\}/g, (match, key) => {
+    const value = getPathValue(context, key);
+    if (value === undefined || value === null) return match;
+    return String(value);
+  });
+}
+
+function parseTaskIdPattern(value) {
+  const fallback = /\b[A-Z][A-Z0-9]+-\d+\b/g;
+  if (!value || typeof value !== "string") return fallback;
+  return new RegExp(value, "g");
+}
+
+function collectTaskIdsFromText(input, regex) {
+  if (!input || typeof input !== "string") return [];
+  const matches = input.match(regex) ?? [];
+  return [...new Set(matches)];
+}
+
+function getBranchName(root) {
+  if (process.env.GITHUB_HEAD_REF) return process.env.GITHUB_HEAD_REF;
+  if (process.env.GITHUB_REF_NAME) return process.env.GITHUB_REF_NAME;
+  const result = spawnSync("git rev-parse --abbrev-ref HEAD", {
+    cwd: root,
+    shell: true,
+    encoding: "utf8",
+  });
+  if ((result.status ?? 1) !== 0) return "";
+  return String(result.stdout ?? "").trim();
+}
+
+function mergeGates(baseGates, patchGates) {
+  const byId = new Map();
+  for (const gate of baseGates) {
+    if (!gate?.id) continue;
+    byId.set(gate.id, gate);
+  }
+  for (const gate of patchGates) {
+    if (!gate?.id) continue;
+    if (gate.$remove === true) {
+      byId.delete(gate.id);
+      continue;
+    }
+    const existing = byId.get(gate.id) ?? {};
+    byId.set(gate.id, { ...existing, ...gate });
+  }
+  return [...byId.values()];
+}
+
+// Follows applyVerifyPatch and mergeGates to record which layer set each verify setting and gate field, keyed like
+// `taskIdPattern` and `gates[lint].required`.
+function recordVerifySources(sources, patch, labelFor) {
+  for (const [key, value] of Object.entries(patch ?? {})) {
+    if (key !== "gates" && value !== undefined) sources.set(key, labelFor(key));
+  }
+  for (const gate of Array.isArray(patch?.gates) ? patch.gates : []) {
+    if (!gate?.id) continue;
+    const prefix = `gates[${gate.id}]`;
+    if (gate.$remove === true) {
+      clearConfigSources(sources, prefix);
+      continue;
+    }
+    for (const [field, value] of Object.entries(gate)) {
+      if (value !== undefined) sources.set(`${prefix}.${field}`, labelFor(`${prefix}.${field}`));
+    }
+  }
+}
+
+function applyVerifyPatch(base, patch) {
+  const next = { ...base };
+  for (const [key, value] of Object.entries(patch ?? {})) {
+    if (key === "gates") continue;
+    if (value !== undefined) next[key] = value;
+  }
+  if (Array.isArray(patch?.gates)) {
+    next.gates = mergeGates(Array.isArray(next.gates) ? next.gates : [], patch.gates);
+  }
+  return next;
+}
+
+function resolvePolicyPackPath(root, reference) {
+  if (typeof reference !== "string" || reference.length === 0) {
+    throw new Error("Policy pack reference must be a non-empty string");
+  }
+  if (reference.startsWith("builtin:")) {
+    const key = reference.slice("builtin:".length);
+    const builtInPath = BUILTIN_POLICY_PACKS[key];
+    if (!builtInPath) throw new Error(`Unknown builtin policy pack: ${reference}`);
+    return builtInPath;
+  }
+  return resolvePathFromRoot(root, reference);
+}
+
+async function loadPolicyPack(root, reference) {
+  const packPath = resolvePolicyPackPath(root, reference);
+  if (!existsSync(packPath)) {
+    throw new Error(`Policy pack not found: ${reference} -> ${packPath}`);
+  }
+  const raw = await readFile(packPath, "utf8");
+  const parsed = JSON.parse(raw);
+  const verifyConfig = parsed?.verify ?? parsed;
+  if (!verifyConfig || typeof verifyConfig !== "object") {
+    throw new Error(`Policy pack does not contain a verify config object: ${reference}`);
+  }
+  return {
+    reference,
+    path: packPath,
+    verify: verifyConfig,
+  };
+}
+
+// Checks a merged gate (policy pack gate plus repo overrides) for what its type needs, so a broken gate fails when the
+// config is loaded rather than halfway through a verify run.
+function describeGateProblems(gate) {
+  if (gate.enabled === false) return [];
+  const label = `verify.gates[${gate.id}]`;
+  if (!VERIFY_GATE_TYPES.includes(gate.type)) {
+    return [`${label}.type must be one of: ${VERIFY_GATE_TYPES.join(", ")}`];
+  }
+  const problems = [];
+  const requireString = (field) => {
+    if (typeof gate[field] !== "string" || gate[field].length === 0) {
+      problems.push(`${label}.${field} is required for ${gate.type} gates`);
+    }
+  };
+  if (gate.type === "command" || gate.type === "custom_script") requireString("command");
+  if (gate.type === "json_schema") {
+    requireString("schemaFile");
+    requireString("dataFile");
+  }
+  if (gate.type === "file_exists" && typeof gate.path !== "string" && !Array.isArray(gate.paths)) {
+    problems.push(`${label} needs a path or paths`);
+  }
+  if (gate.type === "regex") {
+    requireString("file");
+    requireString("pattern");
+    const problem = typeof gate.pattern === "string" ? describeRegexError(gate.pattern, gate.flags ?? "g") : null;
+    if (problem) problems.push(`${label}.pattern: ${problem}`);
+  }
+  if (gate.minPct !== undefined && !(typeof gate.minPct === "number" && gate.minPct >= 0 && gate.minPct <= 100)) {
+    problems.push(`${label}.minPct must be a number from 0 to 100`);
+  }
+  if (gate.timeoutMs !== undefined && (!Number.isInteger(gate.timeoutMs) || gate.timeoutMs <= 0)) {
+    problems.push(`${label}.timeoutMs must be a positive integer`);
+  }
+  return problems;
+}
+
+// With `options.sources` (a Map), also records where each setting and gate field came from: "default", the policy
+// pack, or the config file that set it (looked up in `options.configSources` from resolveConfigFile).
+async function normalizeVerifyConfig(root, userConfig, normalizedConfig, options = {}) {
+  const repoVerify = userConfig?.verify ?? {};
+  const packRefs = Array.isArray(repoVerify.policyPacks) ? repoVerify.policyPacks : [];
+  let merged = { ...DEFAULT_VERIFY_CONFIG };
+  const sources = options.sources;
+  sources?.clear();
+  if (sources) recordVerifySources(sources, { ...DEFAULT_VERIFY_CONFIG, gates: undefined }, () => "default");
+  const loadedPolicyPacks = [];
+  for (const packRef of packRefs) {
+    const pack = await loadPolicyPack(root, packRef);
+    loadedPolicyPacks.push({ reference: pack.reference, path: relative(root, pack.path) });
+    merged = applyVerifyPatch(merged, pack.verify);
+    if (sources) recordVerifySources(sources, pack.verify, () => `policy pack ${packRef}`);
+  }
+  merged = applyVerifyPatch(merged, repoVerify);
+  if (sources) {
+    recordVerifySources(sources, repoVerify, (path) => options.configSources?.get(`verify.${path}`) ?? "config");
+  }
+  merged.policyPacks = packRefs;
+  merged.loadedPolicyPacks = loadedPolicyPacks;
+  if (!Array.isArray(merged.gates)) {
+    merged.gates = [];
+  }
+  if (!Array.isArray(merged.taskIdSources) || merged.taskIdSources.length === 0) {
+    merged.taskIdSources = DEFAULT_VERIFY_CONFIG.taskIdSources;
+  }
+  const taskIdProblem = merged.taskIdPattern ? describeRegexError(merged.taskIdPattern, "g") : null;
+  if (taskIdProblem) {
+    throw new Error(`verify.taskIdPattern: ${taskIdProblem}`);
+  }
+  const gateProblems = merged.gates.flatMap((gate) => describeGateProblems(gate));
+  if (gateProblems.length > 0) {
+    throw new Error(`Invalid verify gates:\n${gateProblems.map((problem) => `  - ${problem}`).join("\n")}`);
+  }
+  merged.commands = Object.fromEntries(normalizedConfig.commands.map((entry) => [entry.name, entry.command]));
+  return merged;
+}
+
+function resolveTaskIds(root, verifyConfig, options) {
+  const taskIdRegex = parseTaskIdPattern(verifyConfig.taskIdPattern);
+  const taskIds = new Set();
+  const sources = new Set(verifyConfig.taskIdSources ?? []);
+  if (sources.has("cli") && options.taskId) {
+    for (const value of collectTaskIdsFromText(options.taskId, taskIdRegex)) {
+      taskIds.add(value);
+    }
+  }
+  if (sources.has("env")) {
+    const envVar = verifyConfig.envTaskIdVar || "CQ_TASK_ID";
+    for (const value of collectTaskIdsFromText(process.env[envVar], taskIdRegex)) {
+      taskIds.add(value);
+    }
+  }
+  if (sources.has("branch")) {
+    for (const value of collectTaskIdsFromText(getBranchName(root), taskIdRegex)) {
+      taskIds.add(value);
+    }
+  }
+  return [...taskIds];
+}
+
+async function loadWaivers(root, waiversFile) {
+  const fullPath = resolvePathFromRoot(root, waiversFile);
+  if (!fullPath || !existsSync(fullPath)) return [];
+  const raw = await readFile(fullPath, "utf8");
+  const parsed = JSON.parse(raw);
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed?.waivers)) return parsed.waivers;
+  throw new Error(`Waivers file must be an array or object with "waivers" array: ${waiversFile}`);
+}
+
+function findMatchingWaiver(waivers, gateResult, taskIds) {
+  for (const waiver of waivers) {
+    if (!waiver || typeof waiver !== "object") continue;
+    const gateMatch = waiver.gateId === gateResult.id || waiver.gateId === "*";
+    if (!gateMatch) continue;
+    const taskIdMatch =
+      !waiver.taskId || waiver.taskId === "*" || taskIds.length === 0 || taskIds.includes(String(waiver.taskId));
+    if (!taskIdMatch) continue;
+    if (waiver.expiresAt) {
+      const expiry = new Date(waiver.expiresAt);
+      if (!Number.isNaN(expiry.getTime()) && Date.now() > expiry.getTime()) {
+        continue;
+      }
+    }
+    return waiver;
+  }
+  return null;
+}
+
+function createValidationError(path, message) {
+  return `${path}: ${message}`;
+}
+
+const SCHEMA_DRAFTS = {
+  "draft-07": /json-schema\.org\/draft-07\/schema/,
+  "2020-12": /json-schema\.org\/draft\/2020-12\/schema/,
+};
+const DEFAULT_SCHEMA_BASE_URI = "file:///schema.json";
+const SCHEMA_ANNOTATION_KEYWORDS = [
+  "$schema",
+  "$id",
+  "$comment",
+  "title",
+  "description",
+  "default",
+  "examples",
+  "readOnly",
+  "writeOnly",
+  "contentMediaType",
+  "contentEncoding",
+  "format",
+];
+const SCHEMA_VALIDATION_KEYWORDS = [
+  "$ref",
+  "type",
+  "enum",
+  "const",
+  "multipleOf",
+  "maximum",
+  "exclusiveMaximum",
+  "minimum",
+  "exclusiveMinimum",
+  "maxLength",
+  "minLength",
+  "pattern",
+  "maxItems",
+  "minItems",
+  "uniqueItems",
+  "maxProperties",
+  "minProperties",
+  "required",
+];
+// Keywords whose values are schemas, by shape, so walkers never descend into `enum`, `const` or unknown keywords.
+const SCHEMA_KEYWORDS_BY_DRAFT = {
+  "draft-07": {
+    single: ["additionalItems", "additionalProperties", "contains", "propertyNames", "if", "then", "else", "not"],
+    array: ["allOf", "anyOf", "oneOf"],
+    map: ["definitions", "properties", "patternProperties", "dependencies"],
+    other: [...SCHEMA_ANNOTATION_KEYWORDS, ...SCHEMA_VALIDATION_KEYWORDS, "items"],
+  },
+  "2020-12": {
+    single: [
+      "items",
+      "additionalProperties",
+      "contains",
+      "propertyNames",
+      "if",
+      "then",
+      "else",
+      "not",
+      "unevaluatedItems",
+      "unevaluatedProperties",
+      "contentSchema",
+    ],
+    array: ["allOf", "anyOf", "oneOf", "prefixItems"],
+    map: ["$defs", "properties", "patternProperties", "dependentSchemas"],
+    other: [
+      ...SCHEMA_ANNOTATION_KEYWORDS,
+      ...SCHEMA_VALIDATION_KEYWORDS,
+      "$anchor",
+      "$dynamicAnchor",
+      "$dynamicRef",
+      "$vocabulary",
+      "deprecated",
+      "dependentRequired",
+      "minContains",
+      "maxContains",
+    ],
+  },
+};
+
+function detectSchemaDraft(schema, fallback = "2020-12") {
+  const declared = schema && typeof schema === "object" ? schema.$schema : undefined;
+  if (typeof declared !== "string") return fallback;
+  for (const [draft, pattern] of Object.entries(SCHEMA_DRAFTS)) {
+    if (pattern.test(declared)) return draft;
+  }
+  return fallback;
+}
+
+function isSchemaObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function schemaJsonEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== "object") return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((item, index) => schemaJsonEqual(item, b[index]));
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && schemaJsonEqual(a[key], b[key]))
+  );
+}
+
+function jsonTypeOf(data) {
+  if (data === null) return "null";
+  if (Array.isArray(data)) return "array";
+  if (typeof data === "number") return Number.isInteger(data) ? "integer" : "number";
+  return typeof data;
+}
+
+function matchesJsonType(data, type) {
+  const actual = jsonTypeOf(data);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function splitSchemaUri(uri) {
+  const hashIndex = uri.indexOf("#");
+  return hashIndex === -1 ? [uri, ""] : [uri.slice(0, hashIndex), decodeURIComponent(uri.slice(hashIndex + 1))];
+}
+
+function resolveSchemaUri(reference, baseUri) {
+  try {
+    return new URL(reference, baseUri).href;
+  } catch {
+    return null;
+  }
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Names the closest declared property, so typos such as `coverag` or `weigths` say what was meant.
+function describeUnexpectedProperty(name, knownNames) {
+  const [closest] = knownNames
+    .map((known) => ({ known, distance: editDistance(name.toLowerCase(), known.toLowerCase()) }))
+    .filter((entry) => entry.distance <= Math.max(1, Math.min(2, Math.floor(entry.known.length / 3))))
+    .sort((a, b) => a.distance - b.distance);
+  return closest ? `unexpected property (did you mean "${closest.known}"?)` : "unexpected property";
+}
+
+function decodePointerSegment(segment) {
+  return segment.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^(\d{2}):(\d{2}):(\d{2})(?:\.\d+)?(?:[zZ]|([+-])(\d{2}):(\d{2}))$/;
+const DURATION_PATTERN =
+  /^P(?!$)(?:\d+W|(?:\d+Y)?(?:\d+M)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+S)?)?)$/;
+const HOSTNAME_LABEL_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+const URI_PATTERN = /^[A-Za-z][A-Za-z0-9+.-]*:[^\s"<>\\^`{|}]*$/;
+const URI_REFERENCE_PATTERN = /^[^\s"<>\\^`{|}]*$/;
+const UUID_PATTERN = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+const EMAIL_PATTERN = /^[^\s@"]+(?:\.[^\s@"]+)*@[^\s@]+$/;
+
+function isValidDate(value) {
+  const match = value.match(DATE_PATTERN);
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const daysInMonth = [31, year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth[month - 1];
+}
+
+function isValidTime(value) {
+  const match = value.match(TIME_PATTERN);
+  if (!match) return false;
+  const [hour, minute, second] = match.slice(1, 4).map(Number);
+  const offsetHour = Number(match[5] ?? 0);
+  const offsetMinute = Number(match[6] ?? 0);
+  if (hour > 23 || minute > 59 || second > 60 || offsetHour > 23 || offsetMinute > 59) return false;
+  if (second === 60) {
+    // A leap second only exists at 23:59:60 UTC.
+    const sign = match[4] === "-" ? -1 : 1;
+    const utcMinutes = (((hour * 60 + minute - sign * (offsetHour * 60 + offsetMinute)) % 1440) + 1440) % 1440;
+    return utcMinutes === 23 * 60 + 59;
+  }
+  return true;
+}
+
+function isValidHostname(value) {
+  const hostname = value.endsWith(".") ? value.slice(0, -1) : value;
+  return hostname.length > 0 && hostname.length <= 253 && hostname.split(".").every((label) => HOSTNAME_LABEL_PATTERN.test(label));
+}
+
+// An unquoted local part is a dot-atom: dots only between characters, never two in a row.
+function isValidEmail(value) {
+  const local = value.slice(0, value.lastIndexOf("@"));
+  return EMAIL_PATTERN.test(value) && !local.startsWith(".") && !local.endsWith(".") && !local.includes("..");
+}
+
+function isValidJsonPointer(value) {
+  return /^(?:\/(?:[^~/]|~[01])*)*$/.test(value);
+}
+
+const SCHEMA_FORMATS = {
+  "date-time": (value) => {
+    const [date, time, ...rest] = value.split(/[Tt]/);
+    return rest.length === 0 && time !== undefined && isValidDate(date) && isValidTime(time);
+  },
+  date: isValidDate,
+  time: isValidTime,
+  duration: (value) => DURATION_PATTERN.test(value),
+  email: isValidEmail,
+  "idn-email": isValidEmail,
+  hostname: isValidHostname,
+  "idn-hostname": (value) => value.length > 0 && value.length <= 253 && !/[\s_]/.test(value),
+  ipv4: (value) => isIPv4(value),
+  ipv6: (value) => isIPv6(value),
+  uri: (value) => URI_PATTERN.test(value),
+  "uri-reference": (value) => URI_REFERENCE_PATTERN.test(value),
+  iri: (value) => /^[A-Za-z][A-Za-z0-9+.-]*:[^\s"<>\\^`{|}]*$/u.test(value),
+  "iri-reference": (value) => URI_REFERENCE_PATTERN.test(value),
+  "uri-template": (value) => /^(?:[^{}]|\{[^{}]+\})*$/.test(value),
+  uuid: (value) => UUID_PATTERN.test(value),
+  regex: (value) => {
+    try {
+      new RegExp(value, "u");
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  "json-pointer": isValidJsonPointer,
+  "relative-json-pointer": (value) => {
+    const match = value.match(/^(0|[1-9]\d*)(.*)$/);
+    return Boolean(match) && (match[2] === "#" || isValidJsonPointer(match[2]));
+  },
+};
+
+// Compiles a schema document into a validator. Every resource (`$id`) and anchor reachable through schema
+// keywords, in the root and in `documents`, is indexed up front, so `$ref`, `$dynamicRef` and anchors resolve
+// without rescanning.
+// With `strict`, unknown keywords and formats are reported as schema errors instead of being ignored.
+function createSchemaValidator(rootSchema, options = {}) {
+  const draft = options.draft ?? detectSchemaDraft(rootSchema);
+  const keywords = SCHEMA_KEYWORDS_BY_DRAFT[draft];
+  if (!keywords) {
+    throw new Error(`unsupported JSON Schema draft "${draft}"; use draft-07 or 2020-12`);
+  }
+  const knownKeywords = new Set([...keywords.single, ...keywords.array, ...keywords.map, ...keywords.other]);
+  const registry = new Map();
+  const dynamicAnchors = new Set();
+  const schemaErrors = [];
+  const regexCache = new Map();
+
+  const compileRegex = (source) => {
+    if (!regexCache.has(source)) {
+      let regex = null;
+      try {
+        regex = new RegExp(source, "u");
+      } catch {
+        try {
+          regex = new RegExp(source);
+        } catch {
+          regex = null;
+        }
+      }
+      regexCache.set(source, regex);
+    }
+    return regexCache.get(source);
+  };
+
+  // A draft-07 `$ref` overrides its siblings, including `$id`.
+  const ownsId = (schema) => typeof schema.$id === "string" && !(draft === "draft-07" && schema.$ref !== undefined);
+
+  const schemaBaseUri = (schema, baseUri) => {
+    if (!isSchemaObject(schema) || !ownsId(schema)) return baseUri;
+    const [uri, fragment] = splitSchemaUri(resolveSchemaUri(schema.$id, baseUri) ?? baseUri);
+    return fragment && draft === "draft-07" ? baseUri : uri;
+  };
+
+  const forEachSubschema = (schema, visit) => {
+    if (draft === "draft-07" && schema.$ref !== undefined) return;
+    for (const keyword of keywords.single) {
+      if (schema[keyword] !== undefined) visit(schema[keyword], [keyword]);
+    }
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((item, index) => visit(item, ["items", String(index)]));
+    } else if (draft === "draft-07" && schema.items !== undefined) {
+      visit(schema.items, ["items"]);
+    }
+    for (const keyword of keywords.array) {
+      if (Array.isArray(schema[keyword])) schema[keyword].forEach((item, index) => visit(item, [keyword, String(index)]));
+    }
+    for (const keyword of keywords.map) {
+      if (!isSchemaObject(schema[keyword])) continue;
+      for (const [name, value] of Object.entries(schema[keyword])) {
+        if (keyword === "dependencies" && Array.isArray(value)) continue;
+        visit(value, [keyword, name]);
+      }
+    }
+  };
+
+  const index = (schema, baseUri, pointer) => {
+    if (!isSchemaObject(schema)) return;
+    let currentBase = baseUri;
+    if (ownsId(schema)) {
+      const resolved = resolveSchemaUri(schema.$id, baseUri) ?? baseUri;
+      const [uri, fragment] = splitSchemaUri(resolved);
+      if (fragment && draft === "draft-07") {
+        registry.set(`${uri}#${fragment}`, { schema, baseUri });
+      } else {
+        currentBase = uri;
+        registry.set(uri, { schema, baseUri: uri });
+      }
+    }
+    if (draft === "2020-12" && typeof schema.$anchor === "string") {
+      registry.set(`${currentBase}#${schema.$anchor}`, { schema, baseUri: currentBase });
+    }
+    if (draft === "2020-12" && typeof schema.$dynamicAnchor === "string") {
+      registry.set(`${currentBase}#${schema.$dynamicAnchor}`, { schema, baseUri: currentBase });
+      dynamicAnchors.add(`${currentBase}#${schema.$dynamicAnchor}`);
+    }
+    if (options.strict) {
+      for (const keyword of Object.keys(schema)) {
+        // `x-` keywords are the usual way to extend a schema, not typos.
+        if (!knownKeywords.has(keyword) && !keyword.startsWith("x-")) {
+          schemaErrors.push(`schema ${pointer || "#"}: unknown keyword "${keyword}"`);
+        }
+      }
+      if (typeof schema.format === "string" && !SCHEMA_FORMATS[schema.format]) {
+        schemaErrors.push(`schema ${pointer || "#"}: unknown format "${schema.format}"`);
+      }
+    }
+    forEachSubschema(schema, (subschema, path) =>
+      index(subschema, currentBase, `${pointer}/${path.map((part) => part.replace(/~/g, "~0").replace(/\//g, "~1")).join("/")}`),
+    );
+  };
+
+  const rootBaseUri = options.baseUri ?? DEFAULT_SCHEMA_BASE_URI;
+  registry.set(rootBaseUri, { schema: rootSchema, baseUri: rootBaseUri });
+  index(rootSchema, rootBaseUri, "#");
+  // Other schema documents `$ref` can reach, under their own URI and any alias a reference used to find them.
+  for (const document of options.documents ?? []) {
+    for (const uri of [document.uri, ...(document.aliases ?? [])]) {
+      if (!registry.has(uri)) registry.set(uri, { schema: document.schema, baseUri: document.uri });
+    }
+    index(document.schema, document.uri, `${document.label ?? document.uri}#`);
+  }
+
+  // JSON pointers can reach any location; `$id`s crossed on the way still move the base URI.
+  const resolvePointer = (resource, pointer) => {
+    let current = resource.schema;
+    let baseUri = resource.baseUri;
+    for (const segment of pointer.split("/").slice(1).map(decodePointerSegment)) {
+      if (current === null || typeof current !== "object" || !Object.prototype.hasOwnProperty.call(current, segment)) {
+        return null;
+      }
+      current = current[segment];
+      baseUri = schemaBaseUri(current, baseUri);
+    }
+    return { schema: current, baseUri };
+  };
+
+  const resolveReference = (reference, baseUri) => {
+    const absolute = resolveSchemaUri(reference, baseUri);
+    if (!absolute) return null;
+    const [uri, fragment] = splitSchemaUri(absolute);
+    if (fragment === "") return registry.get(uri) ?? null;
+    if (fragment.startsWith("/")) {
+      const resource = registry.get(uri);
+      return resource ? resolvePointer(resource, fragment) : null;
+    }
+    return registry.get(`${uri}#${fragment}`) ?? null;
+  };
+
+  const active = new Map();
+
+  function evaluate(schema, data, path, baseUri, dynamicScope) {
+    const result = { valid: true, errors: [], properties: new Set(), items: new Set() };
+    const fail = (message) => {
+      result.valid = false;
+      result.errors.push(createValidationError(path, message));
+    };
+    const absorb = (child, { annotations = true, errors = true } = {}) => {
+      if (!child.valid) {
+        result.valid = false;
+        if (errors) result.errors.push(...child.errors);
+        return;
+      }
+      if (annotations) {
+        for (const name of child.properties) result.properties.add(name);
+        for (const item of child.items) result.items.add(item);
+      }
+    };
+
+    const failProperty = (name, message) => {
+      result.valid = false;
+      result.errors.push(createValidationError(`${path}.${name}`, message));
+    };
+    // When no alternative matches, the errors of alternatives that accept the value's type say what to fix.
+    const failAlternatives = (message, results) => {
+      fail(message);
+      const typeError = createValidationError(path, "expected type");
+      for (const entry of results) {
+        if (!entry.errors.some((error) => error.startsWith(typeError))) result.errors.push(...entry.errors);
+      }
+    };
+
+    if (schema === true) return result;
+    if (schema === false) {
+      fail("no value is allowed here");
+      return result;
+    }
+    if (!isSchemaObject(schema)) return result;
+
+    const currentBase = schemaBaseUri(schema, baseUri);
+    const scope = dynamicScope.at(-1) === currentBase ? dynamicScope : [...dynamicScope, currentBase];
+    const sub = (subschema, subData, subPath) => evaluate(subschema, subData, subPath, currentBase, scope);
+
+    // Following a reference back to a schema already being applied at this instance location never terminates.
+    const follow = (target, reference) => {
+      if (!target) {
+        fail(`unresolved $ref ${reference}`);
+        return;
+      }
+      const paths = active.get(target.schema) ?? new Set();
+      if (paths.has(path)) {
+        fail(`circular $ref ${reference}`);
+        return;
+      }
+      active.set(target.schema, paths.add(path));
+      try {
+        absorb(evaluate(target.schema, data, path, target.baseUri, scope));
+      } finally {
+        paths.delete(path);
+      }
+    };
+
+    if (typeof schema.$ref === "string") {
+      follow(resolveReference(schema.$ref, currentBase), schema.$ref);
+      // draft-07 ignores every keyword next to $ref.
+      if (draft === "draft-07") return result;
+    }
+
+    if (draft === "2020-12" && typeof schema.$dynamicRef === "string") {
+      let target = resolveReference(schema.$dynamicRef, currentBase);
+      const [, fragment] = splitSchemaUri(resolveSchemaUri(schema.$dynamicRef, currentBase) ?? "");
+      const targetAnchor = target && `${target.baseUri}#${fragment}`;
+      if (target && fragment && !fragment.startsWith("/") && dynamicAnchors.has(targetAnchor)) {
+        const outermost = scope.find((scopeUri) => dynamicAnchors.has(`${scopeUri}#${fragment}`));
+        if (outermost) target = registry.get(`${outermost}#${fragment}`);
+      }
+      follow(target, schema.$dynamicRef);
+    }
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some((type) => matchesJsonType(data, type))) {
+        fail(`expected type ${types.join(" or ")}, got ${jsonTypeOf(data) === "integer" ? "number" : jsonTypeOf(data)}`);
+      }
+    }
+    if (schema.const !== undefined && !schemaJsonEqual(data, schema.const)) {
+      fail("does not match const value");
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some((entry) => schemaJsonEqual(entry, data))) {
+      fail(`must be one of: ${schema.enum.map((entry) => JSON.stringify(entry)).join(", ")}`);
+    }
+
+    for (const keyword of ["allOf", "anyOf", "oneOf"]) {
+      if (!Array.isArray(schema[keyword])) continue;
+      const results = schema[keyword].map((subschema) => sub(subschema, data, path));
+      const passing = results.filter((entry) => entry.valid);
+      if (keyword === "allOf") {
+        results.forEach((entry) => absorb(entry));
+      } else if (keyword === "anyOf") {
+        if (passing.length === 0) failAlternatives("must match at least one schema in anyOf", results);
+        passing.forEach((entry) => absorb(entry));
+      } else if (passing.length === 0) {
+        failAlternatives("must match exactly one schema in oneOf (matched 0)", results);
+      } else if (passing.length !== 1) {
+        fail(`must match exactly one schema in oneOf (matched ${passing.length})`);
+      } else {
+        absorb(passing[0]);
+      }
+    }
+    if (schema.not !== undefined && sub(schema.not, data, path).valid) {
+      fail("must not match the schema in not");
+    }
+    if (schema.if !== undefined) {
+      const condition = sub(schema.if, data, path);
+      if (condition.valid) {
+        absorb(condition);
+        if (schema.then !== undefined) absorb(sub(schema.then, data, path));
+      } else if (schema.else !== undefined) {
+        absorb(sub(schema.else, data, path));
+      }
+    }
+
+    if (typeof data === "number") {
+      if (typeof schema.multipleOf === "number") {
+        const quotient = data / schema.multipleOf;
+        // A quotient that overflows (1e308 / 0.5) falls back to the remainder, which floating point computes exactly.
+        const multiple = Number.isFinite(quotient)
+          ? Math.abs(quotient - Math.round(quotient)) <= 1e-9 * Math.max(1, Math.abs(quotient))
+          : data % schema.multipleOf === 0;
+        if (!multiple) {
+          fail(`must be a multiple of ${schema.multipleOf}`);
+        }
+      }
+      if (typeof schema.maximum === "number" && data > schema.maximum) fail(`must be <= ${schema.maximum}`);
+      if (typeof schema.minimum === "number" && data < schema.minimum) fail(`must be >= ${schema.minimum}`);
+      if (typeof schema.exclusiveMaximum === "number" && data >= schema.exclusiveMaximum) {
+        fail(`must be < ${schema.exclusiveMaximum}`);
+      }
+      if (typeof schema.exclusiveMinimum === "number" && data <= schema.exclusiveMinimum) {
+        fail(`must be > ${schema.exclusiveMinimum}`);
+      }
+    }
+
+    if (typeof data === "string") {
+      const length = [...data].length;
+      if (typeof schema.minLength === "number" && length < schema.minLength) fail(`must have minLength ${schema.minLength}`);
+      if (typeof schema.maxLength === "number" && length > schema.maxLength) fail(`must have maxLength ${schema.maxLength}`);
+      if (typeof schema.pattern === "string") {
+        const regex = compileRegex(schema.pattern);
+        if (!regex) fail(`invalid pattern ${schema.pattern}`);
+        else if (!regex.test(data)) fail(`does not match pattern ${schema.pattern}`);
+      }
+      if (typeof schema.format === "string" && options.assertFormat !== false) {
+        const check = SCHEMA_FORMATS[schema.format];
+        if (check && !check(data)) fail(`must be a valid ${schema.format}`);
+      }
+    }
+
+    if (Array.isArray(data)) {
+      if (typeof schema.minItems === "number" && data.length < schema.minItems) fail(`must have minItems ${schema.minItems}`);
+      if (typeof schema.maxItems === "number" && data.length > schema.maxItems) fail(`must have maxItems ${schema.maxItems}`);
+      if (schema.uniqueItems === true) {
+        const duplicate = data.findIndex((item, itemIndex) => data.slice(0, itemIndex).some((other) => schemaJsonEqual(item, other)));
+        if (duplicate !== -1) fail(`must have unique items (item ${duplicate} is a duplicate)`);
+      }
+
+      const tuple =
+        draft === "2020-12" && Array.isArray(schema.prefixItems)
+          ? schema.prefixItems
+          : Array.isArray(schema.items)
+            ? schema.items
+            : null;
+      const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+      if (tuple) {
+        tuple.slice(0, data.length).forEach((subschema, itemIndex) => {
+          absorb(sub(subschema, data[itemIndex], `${path}[${itemIndex}]`), { annotations: false });
+          result.items.add(itemIndex);
+        });
+      }
+      if (rest !== undefined && (tuple || !Array.isArray(schema.items))) {
+        for (let itemIndex = tuple ? tuple.length : 0; itemIndex < data.length; itemIndex += 1) {
+          absorb(sub(rest, data[itemIndex], `${path}[${itemIndex}]`), { annotations: false });
+          result.items.add(itemIndex);
+        }
+      }
+
+      if (schema.contains !== undefined) {
+        const matching = data
+          .map((item, itemIndex) => (sub(schema.contains, item, `${path}[${itemIndex}]`).valid ? itemIndex : -1))
+          .filter((itemIndex) => itemIndex !== -1);
+        const usesBounds = draft === "2020-12";
+        const minContains = usesBounds && typeof schema.minContains === "number" ? schema.minContains : 1;
+        if (matching.length < minContains) fail(`must contain at least ${minContains} matching item(s)`);
+        if (usesBounds && typeof schema.maxContains === "number" && matching.length > schema.maxContains) {
+          fail(`must contain at most ${schema.maxContains} matching item(s)`);
+        }
+        matching.forEach((itemIndex) => result.items.add(itemIndex));
+      }
+
+      if (draft === "2020-12" && schema.unevaluatedItems !== undefined) {
+        for (let itemIndex = 0; itemIndex < data.length; itemIndex += 1) {
+          if (result.items.has(itemIndex)) continue;
+          absorb(sub(schema.unevaluatedItems, data[itemIndex], `${path}[${itemIndex}]`), { annotations: false });
+          result.items.add(itemIndex);
+        }
+      }
+    }
+
+    if (isSchemaObject(data)) {
+      const names = Object.keys(data);
+      if (typeof schema.minProperties === "number" && names.length < schema.minProperties) {
+        fail(`must have minProperties ${schema.minProperties}`);
+      }
+      if (typeof schema.maxProperties === "number" && names.length > schema.maxProperties) {
+        fail(`must have maxProperties ${schema.maxProperties}`);
+      }
+      for (const key of Array.isArray(schema.required) ? schema.required : []) {
+        if (!Object.prototype.hasOwnProperty.call(data, key)) fail(`missing required property "${key}"`);
+      }
+
+      const dependentRequired = draft === "2020-12" ? schema.dependentRequired : null;
+      const dependentSchemas = draft === "2020-12" ? schema.dependentSchemas : null;
+      const dependencies = draft === "draft-07" && isSchemaObject(schema.dependencies) ? schema.dependencies : {};
+      for (const [name, dependency] of [
+        ...Object.entries(isSchemaObject(dependentRequired) ? dependentRequired : {}),
+        ...Object.entries(dependencies).filter(([, value]) => Array.isArray(value)),
+      ]) {
+        if (!Object.prototype.hasOwnProperty.call(data, name)) continue;
+        for (const key of dependency) {
+          if (!Object.prototype.hasOwnProperty.call(data, key)) fail(`property "${name}" requires property "${key}"`);
+        }
+      }
+      for (const [name, dependency] of [
+        ...Object.entries(isSchemaObject(dependentSchemas) ? dependentSchemas : {}),
+        ...Object.entries(dependencies).filter(([, value]) => !Array.isArray(value)),
+      ]) {
+        if (Object.prototype.hasOwnProperty.call(data, name)) absorb(sub(dependency, data, path));
+      }
+
+      if (schema.propertyNames !== undefined) {
+        for (const name of names) {
+          const nameResult = sub(schema.propertyNames, name, `${path}.${name}`);
+          if (!nameResult.valid) fail(`property name "${name}" is invalid: ${nameResult.errors.join("; ")}`);
+        }
+      }
+
+      const properties = isSchemaObject(schema.properties) ? schema.properties : {};
+      const patternEntries = isSchemaObject(schema.patternProperties) ? Object.entries(schema.patternProperties) : [];
+      for (const name of names) {
+        let matched = false;
+        if (Object.prototype.hasOwnProperty.call(properties, name)) {
+          matched = true;
+          absorb(sub(properties[name], data[name], `${path}.${name}`), { annotations: false });
+        }
+        for (const [source, subschema] of patternEntries) {
+          const regex = compileRegex(source);
+          if (!regex) {
+            fail(`invalid pattern ${source}`);
+          } else if (regex.test(name)) {
+            matched = true;
+            absorb(sub(subschema, data[name], `${path}.${name}`), { annotations: false });
+          }
+        }
+        if (!matched && schema.additionalProperties !== undefined) {
+          const additional = sub(schema.additionalProperties, data[name], `${path}.${name}`);
+          if (schema.additionalProperties === false) {
+            if (!additional.valid) failProperty(name, describeUnexpectedProperty(name, Object.keys(properties)));
+          } else {
+            absorb(additional, { annotations: false });
+          }
+          matched = true;
+        }
+        if (matched) result.properties.add(name);
+      }
+
+      if (draft === "2020-12" && schema.unevaluatedProperties !== undefined) {
+        for (const name of names) {
+          if (result.properties.has(name)) continue;
+          const unevaluated = sub(schema.unevaluatedProperties, data[name], `${path}.${name}`);
+          if (schema.unevaluatedProperties === false) {
+            if (!unevaluated.valid) failProperty(name, "unexpected property");
+          } else {
+            absorb(unevaluated, { annotations: false });
+          }
+          result.properties.add(name);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  return {
+    draft,
+    schemaErrors,
+    validate(data) {
+      if (schemaErrors.length > 0) return [...schemaErrors];
+      return evaluate(rootSchema, data, "$", rootBaseUri, []).errors;
+    },
+  };
+}
+
+function validateJsonAgainstSchema(schema, data, options = {}) {
+  return createSchemaValidator(schema, options).validate(data);
+}
+
+// Collects the documents a schema refers to (`$ref`/`$dynamicRef` targets without their fragment) and the `$id`s it
+// declares, resolved against `baseUri`.
+function collectSchemaReferences(schema, baseUri) {
+  const ids = new Set();
+  const refs = new Set();
+  const walk = (node, base) => {
+    if (Array.isArray(node)) {
+      for (const item of node) walk(item, base);
+      return;
+    }
+    if (!isSchemaObject(node)) return;
+    let current = base;
+    if (typeof node.$id === "string") {
+      const [uri, fragment] = splitSchemaUri(resolveSchemaUri(node.$id, base) ?? base);
+      if (!fragment) {
+        current = uri;
+        ids.add(uri);
+      }
+    }
+    for (const keyword of ["$ref", "$dynamicRef"]) {
+      const target = typeof node[keyword] === "string" ? resolveSchemaUri(node[keyword], current) : null;
+      if (target) refs.add(splitSchemaUri(target)[0]);
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (!["const", "default", "enum", "examples"].includes(key)) walk(value, current);
+    }
+  };
+  walk(schema, baseUri);
+  return { ids, refs };
+}
+
+// Maps a referenced URI to a schema file. `file:` URIs are used as is. Other URIs are looked up next to the referring
+// document by their path relative to its `$id`, so with `"$id": "https://example.com/schemas/evidence.schema.json"` a
+// reference to `https://example.com/schemas/commit.schema.json` (or just `commit.schema.json`) reads the
+// `commit.schema.json` in the same directory.
+function schemaUriToPath(uri, document) {
+  try {
+    const target = new URL(uri);
+    if (target.protocol === "file:") return fileURLToPath(target);
+    if (!document.id) return null;
+    const idBase = new URL(".", document.id);
+    if (target.origin === "null" || target.origin !== idBase.origin) return null;
+    return resolve(dirname(document.path), decodeURIComponent(posix.relative(idBase.pathname, target.pathname)));
+  } catch {
+    return null;
+  }
+}
+
+// Reads a json_schema gate's schema plus every schema file it refers to, directly or through other files, and the
+// `preload` files, which are registered even when nothing refers to them by file name. Parsed files are kept in `cache`
+// (path -> schema) for the rest of the verify run. Each file is read once, so files that refer to each other do not
+// loop; references that cycle without consuming data are reported by the validator.
+async function loadSchemaDocuments(root, schemaPath, { preload = [], cache = new Map() } = {}) {
+  const documents = new Map();
+  const knownUris = new Set();
+  const readDocument = async (path, alias) => {
+    if (documents.has(path)) {
+      const document = documents.get(path);
+      if (alias) {
+        document.aliases.push(alias);
+        knownUris.add(alias);
+      }
+      return null;
+    }
+    if (!cache.has(path)) {
+      if (!existsSync(path)) throw new Error(`schema file not found: ${relative(root, path)}`);
+      try {
+        cache.set(path, JSON.parse(await readFile(path, "utf8")));
+      } catch (error) {
+        throw new Error(`invalid JSON in schema file ${relative(root, path)}: ${error instanceof Error ? error.message : error}`);
+      }
+    }
+    const schema = cache.get(path);
+    const uri = pathToFileURL(path).href;
+    const { ids, refs } = collectSchemaReferences(schema, uri);
+    const id = isSchemaObject(schema) && typeof schema.$id === "string" ? splitSchemaUri(resolveSchemaUri(schema.$id, uri) ?? uri)[0] : null;
+    const document = { path, label: relative(root, path), uri, id, schema, aliases: alias ? [alias] : [], refs };
+    documents.set(path, document);
+    for (const known of [uri, ...ids, ...document.aliases]) knownUris.add(known);
+    return document;
+  };
+
+  const pending = [];
+  for (const path of preload) pending.push(await readDocument(path));
+  const rootDocument = (await readDocument(schemaPath)) ?? documents.get(schemaPath);
+  pending.push(rootDocument);
+  while (pending.length > 0) {
+    const document = pending.shift();
+    if (!document) continue;
+    for (const ref of document.refs) {
+      if (knownUris.has(ref)) continue;
+      const path = schemaUriToPath(ref, document);
+      // Missing files stay unresolved; the validator reports the $ref that needed them.
+      if (path && existsSync(path)) pending.push(await readDocument(path, ref));
+    }
+  }
+  // References no loaded document or `$id` answers to, for callers that check schemas ahead of a run.
+  const missingRefs = [...documents.values()].flatMap((document) =>
+    [...document.refs]
+      .filter((ref) => !knownUris.has(ref))
+      .map((ref) => ({ ref: ref.startsWith("file:") ? relative(root, fileURLToPath(ref)) : ref, from: document.label })),
+  );
+  return { root: rootDocument, documents: [...documents.values()].filter((document) => document !== rootDocument), missingRefs };
+}
+
+function resolveGateTimeoutMs(gate, context) {
+  if (gate.timeoutMs !== undefined) {
+    if (!Number.isInteger(gate.timeoutMs) || gate.timeoutMs <= 0) {
+      throw new Error(`gate "${gate.id}" timeoutMs must be a positive integer`);
+    }
+    return gate.timeoutMs;
+  }
+  const commandRef = typeof gate.command === "string" ? gate.command.match(/^\$\{commands\.([^}]+)\}$/) : null;
+  return commandRef ? (context.commandTimeouts?.[commandRef[1]] ?? null) : null;
+}
+
+// Commands a command or custom_script gate references as `${commands.<name>}` that the config does not define.
+// `verify` skips such a gate; `verify --explain`/`--dry-run` and doctor report it the same way.
+function findUnconfiguredCommands(gate, commands) {
+  if (gate.type !== "command" && gate.type !== "custom_script") return [];
+  return [...String(gate.command ?? "").matchAll(/\$\{commands\.([^}]+)\}/g)]
+    .map((match) => match[1])
+    .filter((name) => commands?.[name] === undefined);
 }
 
 async function evaluateVerifyGate(root, gate, context) {
@@ -716,730 +3642,2156 @@ async function evaluateVerifyGate(root, gate, context) {
   const required = gate.required !== false;
   const targetTaskIds = gate.forEachTaskId ? context.taskIds : [context.taskId ?? ""];
 
-  try {
-    if (gate.type === "command" || gate.type === "custom_script") {
-      const command = interpolateTemplate(gate.command, context);
-      const result = runCommand(root, gate.id, command);
-      return {
-        id: gate.id,
-        type: gate.type,
-        required,
-        status: result.exitCode === 0 ? "pass" : "fail",
-        durationMs: Date.now() - startedAt,
-        command,
-        exitCode: result.exitCode,
-        message: result.exitCode === 0 ? "command passed" : "command failed",
-        stdout: truncateText(result.stdout),
-        stderr: truncateText(result.stderr),
-      };
-    }
+  try {
+    if (gate.type === "command" || gate.type === "custom_script") {
+      const missingCommands = findUnconfiguredCommands(gate, context.commands);
+      if (missingCommands.length > 0) {
+        return {
+          id: gate.id,
+          type: gate.type,
+          required,
+          status: "skip",
+          durationMs: Date.now() - startedAt,
+          message: `command not configured: ${missingCommands.join(", ")}`,
+        };
+      }
+      const command = interpolateTemplate(gate.command, context);
+      const timeoutMs = resolveGateTimeoutMs(gate, context);
+      const result = await runCommand(root, gate.id, command, {
+        timeoutMs,
+        logPath: context.logDir ? join(context.logDir, toLogFileName(gate.id)) : null,
+        progress: context.progress,
+      });
+      const messages = {
+        passed: "command passed",
+        failed: "command failed",
+        timed_out: `command timed out after ${timeoutMs}ms`,
+      };
+      return {
+        id: gate.id,
+        type: gate.type,
+        required,
+        status: result.status === "passed" ? "pass" : result.status === "timed_out" ? "timed_out" : "fail",
+        durationMs: Date.now() - startedAt,
+        command,
+        exitCode: result.exitCode,
+        timeoutMs,
+        logPath: result.logPath ? relative(root, result.logPath) : null,
+        message: result.logWarning ? `${messages[result.status]} (${result.logWarning})` : messages[result.status],
+        stdout: truncateText(result.stdout),
+        stderr: truncateText(result.stderr),
+      };
+    }
+
+    if (gate.type === "file_exists") {
+      const paths = [];
+      const configured = Array.isArray(gate.paths) ? gate.paths : gate.path ? [gate.path] : [];
+      for (const taskId of targetTaskIds.length > 0 ? targetTaskIds : [""]) {
+        for (const entry of configured) {
+          const resolved = resolvePathFromRoot(root, interpolateTemplate(entry, { ...context, taskId }));
+          paths.push({ taskId, path: resolved });
+        }
+      }
+      const missing = paths.filter((entry) => !existsSync(entry.path));
+      return {
+        id: gate.id,
+        type: gate.type,
+        required,
+        status: missing.length === 0 ? "pass" : "fail",
+        durationMs: Date.now() - startedAt,
+        message:
+          missing.length === 0
+            ? `all files exist (${paths.length})`
+            : `missing files: ${missing.map((entry) => relative(root, entry.path)).join(", ")}`,
+        checks: paths.map((entry) => ({
+          taskId: entry.taskId || null,
+          path: relative(root, entry.path),
+          exists: existsSync(entry.path),
+        })),
+      };
+    }
+
+    if (gate.type === "regex") {
+      const filePath = resolvePathFromRoot(root, interpolateTemplate(gate.file, context));
+      if (!existsSync(filePath)) {
+        return {
+          id: gate.id,
+          type: gate.type,
+          required,
+          status: "fail",
+          durationMs: Date.now() - startedAt,
+          message: `file not found: ${relative(root, filePath)}`,
+        };
+      }
+      const content = await readFile(filePath, "utf8");
+      const flags = typeof gate.flags === "string" ? gate.flags : "g";
+      const regex = new RegExp(gate.pattern, flags);
+      const matchCount = (content.match(regex) ?? []).length;
+      const minMatches = typeof gate.minMatches === "number" ? gate.minMatches : 1;
+      const passed = matchCount >= minMatches;
+      return {
+        id: gate.id,
+        type: gate.type,
+        required,
+        status: passed ? "pass" : "fail",
+        durationMs: Date.now() - startedAt,
+        message: passed
+          ? `pattern matched ${matchCount} time(s)`
+          : `pattern matched ${matchCount} time(s), expected >= ${minMatches}`,
+        file: relative(root, filePath),
+      };
+    }
+
+    if (gate.type === "diff_coverage") {
+      const baseRef = gate.base ? interpolateTemplate(gate.base, context) : context.base;
+      if (!baseRef) {
+        return {
+          id: gate.id,
+          type: gate.type,
+          required,
+          status: "fail",
+          durationMs: Date.now() - startedAt,
+          message: "no base ref: pass --base <ref> or set the gate's base",
+        };
+      }
+      const minPct = typeof gate.minPct === "number" ? gate.minPct : 80;
+      const diffCoverage = await computeDiffCoverage(root, context.coverage, baseRef);
+      const passed = diffCoverage.total === 0 || diffCoverage.pct >= minPct;
+      return {
+        id: gate.id,
+        type: gate.type,
+        required,
+        status: passed ? "pass" : "fail",
+        durationMs: Date.now() - startedAt,
+        message:
+          diffCoverage.total === 0
+            ? `no measurable changed lines since ${baseRef}`
+            : `diff coverage ${diffCoverage.pct}% (${diffCoverage.covered}/${diffCoverage.total} lines)${passed ? "" : `, expected >= ${minPct}%`}`,
+        base: baseRef,
+        minPct,
+        diffCoverage,
+      };
+    }
+
+    if (gate.type === "json_schema") {
+      const schemaPath = resolvePathFromRoot(root, interpolateTemplate(gate.schemaFile, context));
+      if (!existsSync(schemaPath)) {
+        return {
+          id: gate.id,
+          type: gate.type,
+          required,
+          status: "fail",
+          durationMs: Date.now() - startedAt,
+          message: `schema file not found: ${relative(root, schemaPath)}`,
+        };
+      }
+      const preload = (Array.isArray(gate.preloadSchemas) ? gate.preloadSchemas : []).map((path) =>
+        resolvePathFromRoot(root, interpolateTemplate(path, context)),
+      );
+      const { root: schemaDocument, documents } = await loadSchemaDocuments(root, schemaPath, {
+        preload,
+        cache: context.schemaCache,
+      });
+      const validator = createSchemaValidator(schemaDocument.schema, {
+        documents,
+        draft: gate.draft,
+        strict: gate.strict === true,
+        assertFormat: gate.assertFormat !== false,
+        baseUri: pathToFileURL(schemaPath).href,
+      });
+      if (validator.schemaErrors.length > 0) {
+        return {
+          id: gate.id,
+          type: gate.type,
+          required,
+          status: "fail",
+          durationMs: Date.now() - startedAt,
+          message: `invalid schema ${relative(root, schemaPath)}: ${validator.schemaErrors[0]}`,
+          schemaFile: relative(root, schemaPath),
+          schemaErrors: validator.schemaErrors,
+        };
+      }
+      const taskIds = targetTaskIds.length > 0 ? targetTaskIds : [""];
+      const checks = [];
+      for (const taskId of taskIds) {
+        const dataPath = resolvePathFromRoot(root, interpolateTemplate(gate.dataFile, { ...context, taskId }));
+        if (!existsSync(dataPath)) {
+          checks.push({
+            taskId: taskId || null,
+            file: relative(root, dataPath),
+            valid: false,
+            errors: ["file not found"],
+          });
+          continue;
+        }
+        const dataRaw = await readFile(dataPath, "utf8");
+        let parsed;
+        try {
+          parsed = JSON.parse(dataRaw);
+        } catch (error) {
+          checks.push({
+            taskId: taskId || null,
+            file: relative(root, dataPath),
+            valid: false,
+            errors: [`invalid JSON: ${String(error)}`],
+          });
+          continue;
+        }
+        const errors = validator.validate(parsed);
+        checks.push({
+          taskId: taskId || null,
+          file: relative(root, dataPath),
+          valid: errors.length === 0,
+          errors,
+        });
+      }
+      const failed = checks.filter((entry) => !entry.valid);
+      return {
+        id: gate.id,
+        type: gate.type,
+        required,
+        status: failed.length === 0 ? "pass" : "fail",
+        durationMs: Date.now() - startedAt,
+        message:
+          failed.length === 0
+            ? `schema validation passed (${checks.length} file(s))`
+            : `schema validation failed (${failed.length}/${checks.length} file(s))`,
+        schemaFile: relative(root, schemaPath),
+        checks,
+      };
+    }
+
+    return {
+      id: gate.id,
+      type: gate.type,
+      required,
+      status: "fail",
+      durationMs: Date.now() - startedAt,
+      message: `unsupported gate type "${gate.type}"`,
+    };
+  } catch (error) {
+    return {
+      id: gate.id,
+      type: gate.type,
+      required,
+      status: "fail",
+      durationMs: Date.now() - startedAt,
+      message: error instanceof Error ? error.message : String(error),
+    };
+  }
+}
+
+function slugify(input) {
+  return input
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 64);
+}
+
+function formatFailingTests(failingTests, totalFailed) {
+  if (!Array.isArray(failingTests) || failingTests.length === 0) return [];
+  const lines = failingTests.slice(0, MAX_PROMPT_CONTEXT_LINES).map((test) => {
+    const title = [test.suite, test.name].filter(Boolean).join(" > ");
+    return `\`${title}\`${test.file ? ` (${test.file})` : ""}: ${test.message}`;
+  });
+  const remaining = (totalFailed ?? failingTests.length) - lines.length;
+  if (remaining > 0) {
+    lines.push(`...and ${remaining} more (see scorecard failingTests and test reports).`);
+  }
+  return lines;
+}
+
+function formatDiagnosticLocation(diagnostic) {
+  if (!diagnostic.file) return "(global)";
+  return [diagnostic.file, diagnostic.line, diagnostic.column].filter((part) => part !== null && part !== undefined).join(":");
+}
+
+function formatDiagnostics(diagnostics, total) {
+  if (!Array.isArray(diagnostics) || diagnostics.length === 0) return [];
+  const lines = diagnostics
+    .slice(0, MAX_PROMPT_CONTEXT_LINES)
+    .map(
+      (diagnostic) =>
+        `\`${formatDiagnosticLocation(diagnostic)}\` ${diagnostic.code ?? diagnostic.rule}: ${diagnostic.message}`,
+    );
+  const remaining = (total ?? diagnostics.length) - lines.length;
+  if (remaining > 0) {
+    lines.push(`...and ${remaining} more (see scorecard diagnostics).`);
+  }
+  return lines;
+}
+
+function buildDispatchTasks(scorecard, patternsFile) {
+  const tasks = [];
+  const metrics = scorecard.metrics ?? {};
+  const thresholds = scorecard.thresholds ?? {};
+  const commandResults = Array.isArray(scorecard.commandResults) ? scorecard.commandResults : [];
+  const buildResult = commandResults.find((result) => result.name === "build");
+  const informational = new Set(commandResults.filter((result) => result.role === "informational").map((result) => result.name));
+
+  for (const [metric, ratchet] of Object.entries(scorecard.ratchets ?? {})) {
+    if (ratchet?.status !== "violated") continue;
+    tasks.push({
+      id: `ratchet-${slugify(metric)}`,
+      priority: 120,
+      ownerProfile: "regression-fix-agent",
+      category: "regression",
+      title: `Restore ${metric} ratchet`,
+      reason: `Ratchet violated: ${describeRatchet(metric, ratchet)}.`,
+      successCriteria: [
+        `${metric} is back within ${ratchet.limit} (${ratchet.direction} is better).`,
+        "The fix addresses the regression instead of loosening the ratchet.",
+      ],
+      verificationCommand: "compound-quality reflect",
+    });
+  }
+
+  for (const result of commandResults.filter((entry) => entry.role !== "informational" && entry.status === "timed_out")) {
+    tasks.push({
+      id: `command-timeout-${slugify(result.name)}`,
+      priority: 110,
+      ownerProfile: "build-fix-agent",
+      category: "stability",
+      title: `Fix hanging ${result.name} command`,
+      reason: `The ${result.name} command was killed after exceeding its ${result.timeoutMs}ms timeout in latest reflect run.`,
+      successCriteria: [
+        `The ${result.name} command completes within ${result.timeoutMs}ms.`,
+        "No open handles, watchers or child processes keep the command alive.",
+      ],
+      verificationCommand: result.command ?? `pnpm run ${result.name}`,
+    });
+  }
+
+  if (
+    buildResult?.role !== "informational" &&
+    buildResult?.status !== "timed_out" &&
+    (buildResult?.exitCode ?? 0) !== 0
+  ) {
+    tasks.push({
+      id: "build-stability",
+      priority: 100,
+      ownerProfile: "build-fix-agent",
+      category: "stability",
+      title: "Stabilize build pipeline",
+      reason: "Build command failed in latest reflect run.",
+      successCriteria: [
+        "Build command exits with code 0.",
+        "No regressions in quality commands.",
+      ],
+      verificationCommand: "pnpm run build",
+    });
+  }
+
+  if ((metrics.typeErrors ?? 0) > 0 && !informational.has("typecheck")) {
+    tasks.push({
+      id: "type-errors",
+      priority: 90,
+      ownerProfile: "typescript-fix-agent",
+      category: "correctness",
+      title: `Fix ${metrics.typeErrors} TypeScript errors`,
+      reason: "Type errors reduce type safety and block reliable releases.",
+      context: formatDiagnostics(scorecard.diagnostics?.typescript, metrics.typeErrors),
+      successCriteria: [
+        "Typecheck command exits with code 0.",
+        "No new lint or test failures introduced.",
+      ],
+      verificationCommand: "pnpm run typecheck",
+    });
+  }
+
+  if ((metrics.testsFailed ?? 0) > 0 && !informational.has("test")) {
+    tasks.push({
+      id: "test-failures",
+      priority: 80,
+      ownerProfile: "test-fix-agent",
+      category: "quality-gates",
+      title: `Fix ${metrics.testsFailed} failing tests`,
+      reason: "Failing tests indicate functional regressions or unstable test harness.",
+      context: formatFailingTests(scorecard.failingTests, metrics.testsFailed),
+      successCriteria: [
+        "Test command exits with code 0.",
+        "Failures are fixed without reducing test coverage intent.",
+      ],
+      verificationCommand: "pnpm run test",
+    });
+  }
+
+  const failedCustomCommands = commandResults.filter(
+    (result) =>
+      !BUILTIN_COMMAND_COMPONENTS[result.name] && result.role !== "informational" && result.status === "failed",
+  );
+  for (const result of failedCustomCommands) {
+    tasks.push({
+      id: `command-${slugify(result.name)}`,
+      priority: 75,
+      ownerProfile: "quality-fix-agent",
+      category: "quality-gates",
+      title: `Fix failing ${result.name} command`,
+      reason: `The ${result.name} command exited with code ${result.exitCode} in latest reflect run${result.logPath ? ` (log: ${result.logPath})` : ""}.`,
+      successCriteria: [
+        `The ${result.name} command exits with code 0.`,
+        "No new lint, type or test failures introduced.",
+      ],
+      verificationCommand: result.command ?? result.name,
+    });
+  }
+
+  if ((metrics.lintViolations ?? 0) > 0 && !informational.has("lint")) {
+    tasks.push({
+      id: "lint-violations",
+      priority: 70,
+      ownerProfile: "lint-fix-agent",
+      category: "hygiene",
+      title: `Resolve ${metrics.lintViolations} lint violations`,
+      reason: "Lint violations create noise and hide real defects.",
+      context: (scorecard.lint?.rules ?? [])
+        .filter((entry) => entry.errors > 0)
+        .slice(0, MAX_PROMPT_CONTEXT_LINES)
+        .map((entry) => `\`${entry.rule}\`: ${entry.errors} errors, ${entry.warnings} warnings`),
+      successCriteria: [
+        "Lint command exits with code 0.",
+        "Code style remains consistent with existing rules.",
+      ],
+      verificationCommand: "pnpm run lint",
+    });
+  }
+
+  const coverageQualified = Boolean(thresholds.coverageQualified);
+  const coveragePct = Number(metrics.coveragePct ?? 0);
+  const coverageFloor = Number(thresholds.coverageFloor ?? 0);
+  if (!coverageQualified || coveragePct < coverageFloor) {
+    const reason = !coverageQualified
+      ? "Coverage data was incomplete for expected packages."
+      : `Coverage ${coveragePct.toFixed(2)}% is below floor ${coverageFloor.toFixed(2)}%.`;
+    tasks.push({
+      id: "coverage-health",
+      priority: 60,
+      ownerProfile: "test-authoring-agent",
+      category: "coverage",
+      title: "Restore coverage health",
+      reason,
+      successCriteria: [
+        "Coverage is collected for all expected packages.",
+        "Coverage meets or exceeds current floor.",
+      ],
+      verificationCommand: "pnpm run test -- --coverage",
+    });
+  }
+
+  const packageRegressions = coverageQualified
+    ? findPackageCoverageRegressions(scorecard.coverage?.packages, thresholds.packageCoverageFloors)
+    : [];
+  for (const regression of packageRegressions) {
+    tasks.push({
+      id: `coverage-health-${slugify(regression.dir)}`,
+      priority: 60,
+      ownerProfile: "test-authoring-agent",
+      category: "coverage",
+      title: `Restore coverage health in ${regression.dir}`,
+      reason: `Coverage for package "${regression.dir}" is ${regression.pct.toFixed(2)}%, below its floor ${regression.floor.toFixed(2)}%.`,
+      successCriteria: [
+        `Coverage for ${regression.dir} meets or exceeds its floor of ${regression.floor.toFixed(2)}%.`,
+        "Coverage in other packages does not drop.",
+      ],
+      verificationCommand: "pnpm run test -- --coverage",
+    });
+  }
+
+  const patternEntries = Object.entries(patternsFile?.patterns ?? {});
+  patternEntries
+    .filter(([, data]) => patternState(data) === "regressed")
+    .forEach(([key, data]) => {
+      tasks.push({
+        id: `pattern-regressed-${slugify(key)}`,
+        priority: 55,
+        ownerProfile: data?.recommendation === "lint_rule" ? "lint-rule-agent" : "policy-agent",
+        category: "prevention",
+        title: `Fix prevention that stopped working: ${key}`,
+        reason: `Pattern ${key} was marked prevented (${formatPrevention(data?.prevention)}on ${data?.prevention?.at}) but has been seen ${data?.sightingsSincePrevention ?? 0} times since.`,
+        context: Array.isArray(data?.examples)
+          ? data.examples.map((example) => `Seen: ${formatPatternOccurrence(example)}`)
+          : [],
+        successCriteria: [
+          "Find why the existing prevention rule did not catch these occurrences.",
+          "Tighten or replace the rule, then mark the pattern prevented again.",
+        ],
+        verificationCommand: "compound-quality reflect",
+      });
+    });
+  patternEntries
+    .filter(([, data]) => patternState(data) === "promoted")
+    .sort((a, b) => (b[1]?.recentCount ?? b[1]?.count ?? 0) - (a[1]?.recentCount ?? a[1]?.count ?? 0))
+    .forEach(([key, data]) => {
+      const recommendation = data?.recommendation;
+      tasks.push({
+        id: `pattern-${slugify(key)}`,
+        priority: recommendation === "lint_rule" ? 50 : 40,
+        ownerProfile: recommendation === "lint_rule" ? "lint-rule-agent" : "policy-agent",
+        category: "prevention",
+        title: `Promote prevention for pattern: ${key}`,
+        reason: `Pattern recurred ${data?.recentCount ?? data?.count ?? 0} times recently (${data?.count ?? 0} sightings in total); recommendation: ${recommendation}.`,
+        context: [
+          ...(data?.suggestedPatch ? [`Draft to start from: ${data.suggestedPatch} (apply with git apply)`] : []),
+          ...(Array.isArray(data?.examples) ? data.examples.map((example) => `Seen: ${formatPatternOccurrence(example)}`) : []),
+        ],
+        successCriteria:
+          recommendation === "lint_rule"
+            ? ["Add or update lint rule to prevent recurrence.", "Document autofix or migration guidance."]
+            : ["Add a CLAUDE.md / agent policy rule.", "Reference concrete example and prevention check."],
+        verificationCommand: recommendation === "lint_rule" ? "pnpm run lint" : "pnpm run typecheck",
+      });
+    });
+
+  if (tasks.length === 0) {
+    tasks.push({
+      id: "maintain-quality",
+      priority: 10,
+      ownerProfile: "maintenance-agent",
+      category: "maintenance",
+      title: "Maintain quality baseline",
+      reason: "No active regressions detected in latest run.",
+      successCriteria: [
+        "Review top recurring pattern and decide if new prevention rule is needed.",
+        "Keep quality loop running on each PR.",
+      ],
+      verificationCommand: "pnpm run build",
+    });
+  }
+
+  return tasks.sort((a, b) => b.priority - a.priority);
+}
+
+function renderDispatchPrompt(task, planPath, scorecardPath, patternsPath, configPath) {
+  return [
+    `# ${task.title}`,
+    "",
+    "## Objective",
+    `${task.reason}`,
+    "",
+    "## Inputs",
+    `- Config: ${configPath}`,
+    `- Scorecard: ${scorecardPath}`,
+    `- Patterns: ${patternsPath}`,
+    `- Plan: ${planPath}`,
+    "",
+    ...(task.context?.length > 0 ? ["## Context", ...task.context.map((item) => `- ${item}`), ""] : []),
+    "## Constraints",
+    "- Make minimal, targeted changes.",
+    "- Do not broaden scope beyond this task.",
+    "- Preserve existing behavior outside the defect area.",
+    "",
+    "## Success Criteria",
+    ...task.successCriteria.map((item) => `- ${item}`),
+    "",
+    "## Verification",
+    `- Run: ${task.verificationCommand}`,
+    "",
+    "## Deliverables",
+    "- Summary of root cause.",
+    "- Files changed and why.",
+    "- Residual risks or follow-ups.",
+    "",
+  ].join("\n");
+}
+
+async function writeDispatchBundle({ root, qualityDir, scorecard, patternsFile, configPathArg }) {
+  const dispatchDir = join(qualityDir, "dispatch");
+  const promptsDir = join(dispatchDir, "prompts");
+  const scorecardPath = join(qualityDir, "scorecard.json");
+  const patternsPath = join(qualityDir, "patterns.json");
+  const planPath = join(dispatchDir, "plan.json");
+  const toProjectPath = (absPath) => {
+    const relPath = relative(root, absPath);
+    return relPath === "" ? "." : relPath;
+  };
+  const scorecardProjectPath = toProjectPath(scorecardPath);
+  const patternsProjectPath = toProjectPath(patternsPath);
+  const planProjectPath = toProjectPath(planPath);
+
+  await mkdir(dispatchDir, { recursive: true });
+  await mkdir(promptsDir, { recursive: true });
+
+  const tasks = buildDispatchTasks(scorecard, patternsFile).map((task, index) => {
+    const ordinal = String(index + 1).padStart(2, "0");
+    const promptFile = `${ordinal}-${task.id}.md`;
+    const promptAbsPath = join(promptsDir, promptFile);
+    return {
+      ...task,
+      ordinal: index + 1,
+      promptPath: toProjectPath(promptAbsPath),
+      promptFile,
+    };
+  });
+
+  for (const task of tasks) {
+    const promptBody = renderDispatchPrompt(
+      task,
+      planProjectPath,
+      scorecardProjectPath,
+      patternsProjectPath,
+      configPathArg,
+    );
+    await writeFile(join(promptsDir, task.promptFile), promptBody, "utf8");
+  }
+
+  const plan = {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    score: scorecard?.score?.overall ?? 0,
+    summary: {
+      actionItems: Array.isArray(scorecard?.actionItems) ? scorecard.actionItems.length : 0,
+      dispatchTasks: tasks.length,
+    },
+    inputs: {
+      configPath: configPathArg,
+      scorecardPath: scorecardProjectPath,
+      patternsPath: patternsProjectPath,
+    },
+    tasks,
+  };
+
+  await writeFile(planPath, `${JSON.stringify(plan, null, 2)}\n`, "utf8");
+
+  const queuePath = join(dispatchDir, "QUEUE.md");
+  const queueLines = [
+    "# Dispatch Queue",
+    "",
+    `Generated: ${plan.generatedAt}`,
+    `Quality Score: ${plan.score}`,
+    "",
+    "## Task Order",
+    ...tasks.map((task) => `${task.ordinal}. ${task.title} (${task.ownerProfile}) -> ${task.promptPath}`),
+    "",
+    "## How To Use",
+    "1. Assign top task to an agent and provide its prompt file.",
+    "2. Merge result, rerun `compound-quality reflect`, and use refreshed queue.",
+    "3. Repeat until queue has only maintenance/prevention tasks.",
+    "",
+  ];
+  await writeFile(queuePath, queueLines.join("\n"), "utf8");
+
+  return {
+    taskCount: tasks.length,
+    planPath: planProjectPath,
+    queuePath: toProjectPath(queuePath),
+  };
+}
+
+async function collectDiagnostics(root, config, commandResults, runStartedAt) {
+  const typeDiagnostics = dedupeDiagnostics(
+    commandResults.flatMap((result) => parseTypeDiagnostics(`${result.stdout}\n${result.stderr}`, result.name)),
+  );
+  const lintReports = await readLintReports(root, config.lintReports, { since: runStartedAt });
+  return { typeDiagnostics, lintReports };
+}
+
+// Sets `result.tests` on each parsed command; JUnit reports written during the run override console counts.
+async function collectTestResults(root, config, commandResults, runStartedAt) {
+  const parserWarnings = [];
+  const tests = { source: "output", passed: 0, failed: 0, skipped: 0 };
+  for (const result of commandResults) {
+    if (result.testParser === "none") continue;
+    result.tests = parseTests(`${result.stdout}\n${result.stderr}`, result.testParser);
+    tests.passed += result.tests.passed;
+    tests.failed += result.tests.failed;
+    tests.skipped += result.tests.skipped;
+    if (result.tests.parsers.length === 0 && result.status !== "timed_out") {
+      parserWarnings.push(
+        `Test command "${result.name}" exited with code ${result.exitCode} but no test-output parser (${result.testParser}) matched its output; set commands.${result.name}.testParser.`,
+      );
+    }
+  }
+
+  const testReports = await readTestReports(root, config.testReports, { since: runStartedAt });
+  const warnings = [...testReports.warnings];
+  if (testReports.found) {
+    tests.source = "junit";
+    tests.passed = testReports.passed;
+    tests.failed = testReports.failed;
+    tests.skipped = testReports.skipped;
+  } else {
+    warnings.push(...parserWarnings);
+  }
+  return { tests, testReports, warnings };
+}
+
+function countLintViolations(lintReports, lintDiagnostics, commandResults) {
+  if (lintReports.found) {
+    return lintDiagnostics.filter((diagnostic) => diagnostic.severity === "error").length;
+  }
+  const lintResult = commandResults.find((result) => result.name === "lint");
+  return parseLintViolations(`${lintResult?.stdout ?? ""}\n${lintResult?.stderr ?? ""}`, lintResult?.exitCode ?? 1);
+}
+
+// A command that failed without producing anything parseable most likely crashed (missing binary, broken config),
+// so the zero its metrics read as is not a real measurement.
+function commandCrashed(commandResults, name, parsedCount) {
+  const result = commandResults.find((entry) => entry.name === name);
+  return result !== undefined && result.status !== "passed" && parsedCount === 0;
+}
+
+function findUnqualifiedMetrics(commandResults, { typeDiagnostics, lintReports, lintViolations, tests }) {
+  const unqualified = new Set();
+  if (commandCrashed(commandResults, "typecheck", typeDiagnostics.length)) {
+    unqualified.add("typeErrors");
+  }
+  if (commandCrashed(commandResults, "lint", lintReports.found ? lintReports.diagnostics.length : lintViolations)) {
+    unqualified.add("lintViolations").add("lintWarnings");
+  }
+  if (commandCrashed(commandResults, "test", tests.passed + tests.failed + tests.skipped)) {
+    unqualified.add("testsPassed").add("testsFailed").add("testsSkipped");
+  }
+  if (commandCrashed(commandResults, "build", 0)) {
+    unqualified.add("buildTimeMs");
+  }
+  return unqualified;
+}
+
+async function runReflect(configPathArg, options = {}) {
+  const quiet = options.quiet === true;
+  const root = resolve(process.cwd());
+  const configPath = resolve(root, configPathArg);
+  if (!existsSync(configPath)) {
+    await createDefaultConfig(configPath, root, { silent: quiet });
+  }
+
+  const userConfig = await loadConfigFile(configPath);
+  const config = normalizeConfig(userConfig);
 
-    if (gate.type === "file_exists") {
-      const paths = [];
-      const configured = Array.isArray(gate.paths) ? gate.paths : gate.path ? [gate.path] : [];
-      for (const taskId of targetTaskIds.length > 0 ? targetTaskIds : [""]) {
-        for (const entry of configured) {
-          const resolved = resolvePathFromRoot(root, interpolateTemplate(entry, { ...context, taskId }));
-          paths.push({ taskId, path: resolved });
-        }
+  const qualityDir = join(root, config.qualityDir);
+  const scorecardPath = join(qualityDir, "scorecard.json");
+  const patternsPath = join(qualityDir, "patterns.json");
+  const reflectionsDir = join(qualityDir, "reflections");
+  const templatesDir = join(qualityDir, "templates");
+  const suggestedDir = join(qualityDir, "suggested-updates");
+  const logsDir = join(qualityDir, "logs");
+  const runId = new Date().toISOString().replace(/[:]/g, "-");
+
+  await mkdir(qualityDir, { recursive: true });
+  await mkdir(reflectionsDir, { recursive: true });
+  await mkdir(templatesDir, { recursive: true });
+  await mkdir(suggestedDir, { recursive: true });
+
+  const previous = await loadJson(scorecardPath);
+  const runStartedAt = Date.now();
+  const execution = await runCommands(root, config.commands, {
+    concurrency: config.concurrency,
+    logDir: join(logsDir, runId),
+    progress: !quiet,
+  });
+  await pruneLogRuns(logsDir, config.maxLogRuns);
+  const commandResults = execution.results;
+  const warnings = commandResults.flatMap((result) => [
+    ...(result.logWarning ? [result.logWarning] : []),
+    ...(result.outputTruncated
+      ? [
+          `Command "${result.name}" printed more than ${CAPTURED_OUTPUT_LIMIT / 1024 / 1024} MiB on one stream; only the end was parsed (full output: ${relative(root, result.logPath)}).`,
+        ]
+      : []),
+  ]);
+  const coverage = await readCoverage(root, config.coverage);
+  const collected = await collectDiagnostics(root, config, commandResults, runStartedAt);
+  const lintReports = collected.lintReports;
+  warnings.push(...lintReports.warnings);
+
+  const baselinePath = join(qualityDir, BASELINE_FILENAME);
+  const baselineFile = await loadJson(baselinePath);
+  let typeDiagnostics = collected.typeDiagnostics;
+  let lintDiagnostics = lintReports.diagnostics;
+  let baseline = null;
+  if (baselineFile) {
+    const entries = baselineFile.entries ?? {};
+    const typeSplit = partitionByBaseline(typeDiagnostics, "typescript", entries);
+    const lintSplit = partitionByBaseline(lintDiagnostics, "lint", entries);
+    typeDiagnostics = typeSplit.fresh;
+    lintDiagnostics = lintSplit.fresh;
+
+    // A timed-out or crashed command reports nothing, which must not read as "everything fixed".
+    let fixed = 0;
+    if (commandResults.every((result) => result.status !== "timed_out")) {
+      if (!commandCrashed(commandResults, "typecheck", collected.typeDiagnostics.length)) {
+        fixed += shrinkBaseline(entries, "typescript", typeSplit.seen);
       }
-      const missing = paths.filter((entry) => !existsSync(entry.path));
-      return {
-        id: gate.id,
-        type: gate.type,
-        required,
-        status: missing.length === 0 ? "pass" : "fail",
-        durationMs: Date.now() - startedAt,
-        message:
-          missing.length === 0
-            ? `all files exist (${paths.length})`
-            : `missing files: ${missing.map((entry) => relative(root, entry.path)).join(", ")}`,
-        checks: paths.map((entry) => ({
-          taskId: entry.taskId || null,
-          path: relative(root, entry.path),
-          exists: existsSync(entry.path),
-        })),
-      };
+      if (lintReports.found && !commandCrashed(commandResults, "lint", lintReports.diagnostics.length)) {
+        fixed += shrinkBaseline(entries, "lint", lintSplit.seen);
+      }
+    }
+    if (!lintReports.found && Object.values(entries).some((entry) => entry.source === "lint")) {
+      warnings.push("The baseline has lint entries but no lint report was read, so lint output was counted without the baseline.");
     }
+    if (fixed > 0) {
+      await writeFile(
+        baselinePath,
+        `${JSON.stringify({ ...baselineFile, updatedAt: new Date().toISOString(), entries }, null, 2)}\n`,
+        "utf8",
+      );
+    }
+    baseline = {
+      file: relative(root, baselinePath),
+      knownTypeErrors: typeSplit.known,
+      knownLintDiagnostics: lintSplit.known,
+      fixed,
+      remaining: Object.values(entries).reduce((sum, entry) => sum + entry.count, 0),
+    };
+  }
 
-    if (gate.type === "regex") {
-      const filePath = resolvePathFromRoot(root, interpolateTemplate(gate.file, context));
-      if (!existsSync(filePath)) {
-        return {
-          id: gate.id,
-          type: gate.type,
-          required,
-          status: "fail",
-          durationMs: Date.now() - startedAt,
-          message: `file not found: ${relative(root, filePath)}`,
-        };
-      }
-      const content = await readFile(filePath, "utf8");
-      const flags = typeof gate.flags === "string" ? gate.flags : "g";
-      const regex = new RegExp(gate.pattern, flags);
-      const matchCount = (content.match(regex) ?? []).length;
-      const minMatches = typeof gate.minMatches === "number" ? gate.minMatches : 1;
-      const passed = matchCount >= minMatches;
-      return {
-        id: gate.id,
-        type: gate.type,
-        required,
-        status: passed ? "pass" : "fail",
-        durationMs: Date.now() - startedAt,
-        message: passed
-          ? `pattern matched ${matchCount} time(s)`
-          : `pattern matched ${matchCount} time(s), expected >= ${minMatches}`,
-        file: relative(root, filePath),
-      };
+  const typeErrors = typeDiagnostics.length;
+  const lintViolations = countLintViolations(lintReports, lintDiagnostics, commandResults);
+  const lintWarnings = lintDiagnostics.filter((diagnostic) => diagnostic.severity === "warning").length;
+
+  const { tests, testReports, warnings: testWarnings } = await collectTestResults(root, config, commandResults, runStartedAt);
+  warnings.push(...testWarnings);
+
+  const testResult = commandResults.find((result) => result.name === "test");
+  const buildResult = commandResults.find((result) => result.name === "build");
+  const buildExitCode = buildResult ? (buildResult.exitCode ?? 1) : null;
+  const coverageQualified =
+    (!testResult || testResult.status === "passed") && coverage.packageCount === config.coverage.expectedPackages;
+  const previousCoverageQualified = previous?.thresholds?.coverageQualified ?? false;
+  const coverageFloor = ratchetCoverageFloor(
+    previous?.thresholds?.coverageFloor ?? 0,
+    previousCoverageQualified,
+    coverage.pct,
+    coverageQualified,
+  );
+  const previousPackageFloors = previous?.thresholds?.packageCoverageFloors ?? {};
+  const packageCoverageFloors = {};
+  for (const packageDir of config.coverage.packageDirs) {
+    const packagePct = coverage.packages.find((entry) => entry.dir === packageDir)?.pct;
+    const previousFloor = previousPackageFloors[packageDir];
+    if (packagePct === undefined) {
+      if (previousFloor !== undefined) packageCoverageFloors[packageDir] = previousFloor;
+      continue;
     }
+    packageCoverageFloors[packageDir] = ratchetCoverageFloor(
+      previousFloor ?? 0,
+      previousCoverageQualified && previousFloor !== undefined,
+      packagePct,
+      coverageQualified,
+    );
+  }
+  const packageCoverageRegressions = coverageQualified
+    ? findPackageCoverageRegressions(coverage.packages, packageCoverageFloors)
+    : [];
+  const diffCoverage = options.base ? await computeDiffCoverage(root, config.coverage, options.base) : null;
+  if (diffCoverage) {
+    warnings.push(...diffCoverage.warnings);
+  }
 
-    if (gate.type === "json_schema") {
-      const schemaPath = resolvePathFromRoot(root, interpolateTemplate(gate.schemaFile, context));
-      if (!existsSync(schemaPath)) {
-        return {
-          id: gate.id,
-          type: gate.type,
-          required,
-          status: "fail",
-          durationMs: Date.now() - startedAt,
-          message: `schema file not found: ${relative(root, schemaPath)}`,
-        };
-      }
-      const schemaRaw = await readFile(schemaPath, "utf8");
-      const schema = JSON.parse(schemaRaw);
-      const taskIds = targetTaskIds.length > 0 ? targetTaskIds : [""];
-      const checks = [];
-      for (const taskId of taskIds) {
-        const dataPath = resolvePathFromRoot(root, interpolateTemplate(gate.dataFile, { ...context, taskId }));
-        if (!existsSync(dataPath)) {
-          checks.push({
-            taskId: taskId || null,
-            file: relative(root, dataPath),
-            valid: false,
-            errors: ["file not found"],
-          });
-          continue;
-        }
-        const dataRaw = await readFile(dataPath, "utf8");
-        let parsed;
-        try {
-          parsed = JSON.parse(dataRaw);
-        } catch (error) {
-          checks.push({
-            taskId: taskId || null,
-            file: relative(root, dataPath),
-            valid: false,
-            errors: [`invalid JSON: ${String(error)}`],
-          });
-          continue;
-        }
-        const errors = validateJsonAgainstSchema(schema, parsed);
-        checks.push({
-          taskId: taskId || null,
-          file: relative(root, dataPath),
-          valid: errors.length === 0,
-          errors,
-        });
-      }
-      const failed = checks.filter((entry) => !entry.valid);
-      return {
-        id: gate.id,
-        type: gate.type,
-        required,
-        status: failed.length === 0 ? "pass" : "fail",
-        durationMs: Date.now() - startedAt,
-        message:
-          failed.length === 0
-            ? `schema validation passed (${checks.length} file(s))`
-            : `schema validation failed (${failed.length}/${checks.length} file(s))`,
-        schemaFile: relative(root, schemaPath),
-        checks,
+  const score = computeComponentScores(
+    {
+      typeErrors,
+      lintViolations,
+      testsPassed: tests.passed,
+      testsFailed: tests.failed,
+      coveragePct: coverage.pct,
+      buildExitCode,
+    },
+    resolveComponentWeights(config),
+    Object.fromEntries(commandResults.map((result) => [result.name, result.status === "passed" ? 100 : 0])),
+  );
+
+  const metrics = {
+    typeErrors,
+    lintViolations,
+    lintWarnings,
+    testsPassed: tests.passed,
+    testsFailed: tests.failed,
+    testsSkipped: tests.skipped,
+    coveragePct: coverage.pct,
+    buildTimeMs: buildResult?.durationMs ?? 0,
+  };
+  const ratchets = evaluateRatchets(config.ratchets, metrics, previous?.ratchets ?? {}, {
+    qualified: commandResults.every((result) => result.status !== "timed_out"),
+    unqualifiedMetrics: findUnqualifiedMetrics(commandResults, {
+      typeDiagnostics: collected.typeDiagnostics,
+      lintReports,
+      lintViolations,
+      tests,
+    }),
+    coverageQualified,
+  });
+  const historyEntry = { at: new Date().toISOString(), score: score.overall, ...metrics };
+  const history = [...(Array.isArray(previous?.history) ? previous.history : []), historyEntry].slice(-SCORECARD_HISTORY_LIMIT);
+
+  const scorecard = {
+    version: 1,
+    updatedAt: new Date().toISOString(),
+    score,
+    metrics,
+    ratchets,
+    thresholds: {
+      coverageFloor,
+      coverageQualified,
+      coveragePackageCount: coverage.packageCount,
+      packageCoverageFloors,
+    },
+    coverage: {
+      format: config.coverage.format,
+      weights: config.coverage.metrics,
+      metrics: coverage.metrics,
+      packages: coverage.packages,
+      ...(diffCoverage
+        ? {
+            diff: {
+              base: diffCoverage.base,
+              pct: diffCoverage.pct,
+              covered: diffCoverage.covered,
+              total: diffCoverage.total,
+              files: diffCoverage.files,
+              filesWithoutCoverage: diffCoverage.filesWithoutCoverage,
+            },
+          }
+        : {}),
+    },
+    actionItems: buildActionItems({
+      typeErrors,
+      lintViolations,
+      testsFailed: tests.failed,
+      coveragePct: coverage.pct,
+      coverageFloor,
+      coverageQualified,
+      packageCoverageRegressions,
+      ratchetViolations: Object.entries(ratchets).filter(([, ratchet]) => ratchet.status === "violated"),
+      buildExitCode,
+      informationalCommands: commandResults.filter((result) => result.role === "informational").map((result) => result.name),
+      timedOutCommands: commandResults.filter((result) => result.role !== "informational" && result.status === "timed_out"),
+      failedCommands: commandResults
+        .filter((result) => !result.builtin && result.role !== "informational" && result.status === "failed")
+        .map((result) => ({ ...result, logPath: relative(root, result.logPath) })),
+    }),
+    commandResults: commandResults.map(
+      ({ name, command, role, status, exitCode, timeoutMs, durationMs, startOffsetMs, logPath, tests: commandTests }) => ({
+        name,
+        command,
+        role,
+        status,
+        exitCode,
+        timeoutMs,
+        durationMs,
+        startOffsetMs,
+        logPath: relative(root, logPath),
+        ...(commandTests ? { tests: commandTests } : {}),
+      }),
+    ),
+    execution: {
+      concurrency: execution.concurrency,
+      wallClockMs: execution.wallClockMs,
+      commandTimeMs: commandResults.reduce((sum, result) => sum + result.durationMs, 0),
+    },
+    tests: {
+      source: tests.source,
+      reports: testReports.reports,
+    },
+    failingTests: testReports.failures.slice(0, MAX_FAILING_TESTS),
+    lint: {
+      source: lintReports.found ? "reports" : "output",
+      reports: lintReports.reports,
+      rules: summarizeLintDiagnostics(lintDiagnostics, "rule"),
+      files: summarizeLintDiagnostics(lintDiagnostics, "file").slice(0, 50),
+    },
+    diagnostics: {
+      typescript: typeDiagnostics.slice(0, MAX_DIAGNOSTICS),
+      lint: lintDiagnostics.slice(0, MAX_DIAGNOSTICS),
+    },
+    ...(baseline ? { baseline } : {}),
+    warnings,
+    history,
+  };
+
+  const patternsFile = migratePatternsFile(await loadJson(patternsPath)) ?? {
+    version: 1,
+    updatedAt: new Date().toISOString(),
+    patterns: {},
+  };
+  const detected = {
+    ...detectPatterns(commandResults, config.patterns.rules, config.patterns.maxExamples),
+    ...detectLintRulePatterns(lintDiagnostics, config.patterns.maxExamples),
+  };
+  const promotions = [];
+  const patternRegressions = [];
+  const seenAt = new Date().toISOString();
+  const thresholdsFor = (pattern) => ({
+    claudeRule: config.patterns.claudeRuleThreshold,
+    lintRule: pattern.startsWith(LINT_PATTERN_PREFIX) ? Number.POSITIVE_INFINITY : config.patterns.lintRuleThreshold,
+  });
+  for (const [pattern, sighting] of Object.entries(detected)) {
+    const existing = patternsFile.patterns[pattern] ?? {
+      count: 0,
+      lastSeenAt: new Date().toISOString(),
+      recommendation: "none",
+    };
+    const examples = mergePatternExamples(
+      sighting.occurrences.map((occurrence) => ({ ...occurrence, at: seenAt })),
+      existing.examples,
+      config.patterns.maxExamples,
+    );
+
+    // Once prevented, sightings no longer feed the promotion count; they measure whether the prevention held.
+    const state = patternState(existing);
+    if (state === "prevented" || state === "regressed") {
+      if (state === "prevented") patternRegressions.push(pattern);
+      patternsFile.patterns[pattern] = {
+        ...existing,
+        state: "regressed",
+        lastSeenAt: seenAt,
+        sightingsSincePrevention: (existing.sightingsSincePrevention ?? 0) + sighting.count,
+        regressedAt: existing.regressedAt ?? seenAt,
+        examples,
       };
+      continue;
+    }
+
+    // Sightings identical to the previous run's are the same unfixed problem, not a recurrence.
+    const previousSightings = new Set(existing.lastSightings ?? []);
+    const distinct = [...sighting.fingerprints].filter((fingerprint) => !previousSightings.has(fingerprint)).length;
+    const runs = trimPatternRuns([...seedPatternRuns(existing), { at: seenAt, total: sighting.count, distinct }], config.patterns.decay, seenAt);
+    const recentCount = decayedPatternCount(runs, config.patterns.decay, seenAt);
+    const recommendation = recommendationForCount(recentCount, thresholdsFor(pattern));
+
+    patternsFile.patterns[pattern] = {
+      ...existing,
+      count: existing.count + sighting.count,
+      recentCount,
+      lastSeenAt: seenAt,
+      recommendation,
+      state: recommendation === "none" ? "observed" : "promoted",
+      runs,
+      lastSightings: [...sighting.fingerprints].slice(0, MAX_PATTERN_SIGHTINGS),
+      examples,
+    };
+
+    if (RECOMMENDATION_RANKS[recommendation] > RECOMMENDATION_RANKS[existing.recommendation ?? "none"]) {
+      promotions.push({ pattern, recommendation });
+    }
+  }
+
+  // Patterns not seen this run keep decaying, so an old burst eventually loses its promotion.
+  for (const [pattern, entry] of Object.entries(patternsFile.patterns)) {
+    if (detected[pattern] || !["observed", "promoted"].includes(patternState(entry))) continue;
+    const runs = trimPatternRuns(seedPatternRuns(entry), config.patterns.decay, seenAt);
+    const recentCount = decayedPatternCount(runs, config.patterns.decay, seenAt);
+    const recommendation = recommendationForCount(recentCount, thresholdsFor(pattern));
+    patternsFile.patterns[pattern] = {
+      ...entry,
+      recentCount,
+      recommendation,
+      state: recommendation === "none" ? "observed" : "promoted",
+      runs,
+      // The problem disappeared for a run, so its return counts as a recurrence.
+      lastSightings: [],
+    };
+  }
+  let newCandidates = [];
+  if (config.patterns.discovery.enabled) {
+    const discovered = discoverErrorSignatures(
+      commandResults,
+      config.patterns.rules,
+      config.patterns.discovery.maxExamples,
+    );
+    const updated = updateSignatureCandidates(patternsFile.signatures, discovered, config.patterns.discovery, new Date().toISOString());
+    patternsFile.signatures = updated.signatures;
+    newCandidates = updated.newCandidates;
+  }
+  patternsFile.updatedAt = new Date().toISOString();
+
+  const reflectionTimestamp = new Date().toISOString();
+  const reflectionFilename = `${reflectionTimestamp.replace(/[:]/g, "-")}.md`;
+  const reflectionPath = join(reflectionsDir, reflectionFilename);
+  const reflectionLines = [
+    `# Reflection ${reflectionTimestamp}`,
+    "",
+    `- Quality score: **${scorecard.score.overall}**`,
+    `- Type errors: **${scorecard.metrics.typeErrors}**`,
+    `- Lint violations: **${scorecard.metrics.lintViolations}** (${scorecard.metrics.lintWarnings} warnings)`,
+    `- Tests: **${scorecard.metrics.testsPassed} passed / ${scorecard.metrics.testsFailed} failed / ${scorecard.metrics.testsSkipped} skipped**`,
+    `- Coverage: **${scorecard.metrics.coveragePct}%**${formatCoverageBreakdown(coverage.metrics)}`,
+    ...(diffCoverage
+      ? [
+          diffCoverage.total === 0
+            ? `- Diff coverage vs ${diffCoverage.base}: no measurable changed lines`
+            : `- Diff coverage vs ${diffCoverage.base}: **${diffCoverage.pct}%** (${diffCoverage.covered}/${diffCoverage.total} changed lines)`,
+        ]
+      : []),
+    ...(baseline
+      ? [
+          `- Baseline: ${baseline.knownTypeErrors} known type errors and ${baseline.knownLintDiagnostics} known lint diagnostics not counted; ${baseline.fixed} fixed this run, ${baseline.remaining} left`,
+        ]
+      : []),
+    "",
+    "## Command Results",
+    ...commandResults.map((result) =>
+      result.status === "timed_out"
+        ? `- ${result.name} (${result.role}): timed out after ${(result.durationMs / 1000).toFixed(1)}s (log: ${relative(root, result.logPath)})`
+        : `- ${result.name} (${result.role}): exit ${result.exitCode}, ${(result.durationMs / 1000).toFixed(1)}s (log: ${relative(root, result.logPath)})`,
+    ),
+    `- Wall clock: ${(execution.wallClockMs / 1000).toFixed(1)}s (concurrency ${execution.concurrency})`,
+    "",
+    "## Action Items",
+    ...scorecard.actionItems.map((item) => `- ${item}`),
+    "",
+    ...(warnings.length > 0 ? ["## Warnings", ...warnings.map((warning) => `- ${warning}`), ""] : []),
+    ...(typeDiagnostics.length > 0 ? ["## Type Diagnostics", "", ...renderDiagnosticGroups(typeDiagnostics), ""] : []),
+    ...(lintDiagnostics.length > 0 ? ["## Lint Diagnostics", "", ...renderDiagnosticGroups(lintDiagnostics, "rule"), ""] : []),
+    ...renderPreventionReport(patternsFile.patterns, patternRegressions),
+    "## Promotions",
+    ...(promotions.length > 0
+      ? promotions.map((promotion) => `- ${promotion.pattern}: ${promotion.recommendation}`)
+      : ["- No pattern promotions this run."]),
+    "",
+    ...(newCandidates.length > 0
+      ? [
+          "## Candidate Patterns",
+          "",
+          "Recurring error signatures no rule covers yet. Copy a `suggestedRule` from `patterns.json` into `patterns.rules` to track it.",
+          "",
+          ...newCandidates.flatMap((key) => {
+            const entry = patternsFile.signatures[key];
+            return [
+              `- ${key} (${entry.count} sightings): \`${entry.signature}\``,
+              ...entry.examples.map((example) => `  - e.g. ${formatPatternOccurrence(example)}`),
+            ];
+          }),
+          "",
+        ]
+      : []),
+  ];
+
+  await writeFile(scorecardPath, `${JSON.stringify(scorecard, null, 2)}\n`, "utf8");
+  await appendFile(join(qualityDir, HISTORY_FILENAME), `${JSON.stringify(historyEntry)}\n`, "utf8");
+  await writeFile(reflectionPath, reflectionLines.join("\n"), "utf8");
+
+  if (promotions.length > 0) {
+    const stamp = reflectionTimestamp.replace(/[:]/g, "-");
+    const suggestedPath = join(suggestedDir, `${stamp}.md`);
+    const suggestedLines = ["# Suggested Structural Updates", ""];
+    for (const promotion of promotions) {
+      const entry = patternsFile.patterns[promotion.pattern];
+      const rule = config.patterns.rules.find((candidate) => candidate.key === promotion.pattern);
+      const patch =
+        promotion.recommendation === "lint_rule"
+          ? await buildLintRulePatch(root, promotion.pattern, entry, rule)
+          : await buildPolicyRulePatch(root, promotion.pattern, entry);
+      const patchPath = join(suggestedDir, `${stamp}-${slugify(promotion.pattern)}.patch`);
+      await writeFile(patchPath, patch, "utf8");
+      entry.suggestedPatch = relative(root, patchPath);
+      suggestedLines.push(
+        `- ${promotion.pattern}: ${promotion.recommendation === "lint_rule" ? "Convert to lint rule" : "Add CLAUDE.md prevention rule"}`,
+        `  - Draft: \`${entry.suggestedPatch}\` (apply with \`git apply ${entry.suggestedPatch}\`)`,
+        ...(entry.examples ?? []).map((example) => `  - ${formatPatternOccurrence(example)}`),
+      );
     }
+    suggestedLines.push("");
+    await writeFile(suggestedPath, suggestedLines.join("\n"), "utf8");
+  }
+  await writeFile(patternsPath, `${JSON.stringify(patternsFile, null, 2)}\n`, "utf8");
 
+  // Reports are capped by count; a draft patch is kept for as long as a pattern's suggestedPatch points at it.
+  const suggestedFiles = (await readdir(suggestedDir)).sort();
+  const reports = suggestedFiles.filter((filename) => filename.endsWith(".md"));
+  const referencedPatches = new Set(Object.values(patternsFile.patterns).map((entry) => entry.suggestedPatch));
+  const staleFiles = [
+    ...reports.slice(0, Math.max(0, reports.length - config.maxSuggestedUpdateFiles)),
+    ...suggestedFiles.filter(
+      (filename) => filename.endsWith(".patch") && !referencedPatches.has(relative(root, join(suggestedDir, filename))),
+    ),
+  ];
+  for (const filename of staleFiles) {
+    await rm(join(suggestedDir, filename), { force: true });
+  }
+
+  if (!quiet) {
+    console.log(`Quality score: ${scorecard.score.overall}`);
+    console.log(`Coverage floor: ${scorecard.thresholds.coverageFloor}`);
+    console.log(`Command wall clock: ${(execution.wallClockMs / 1000).toFixed(1)}s`);
+    console.log(`Action items: ${scorecard.actionItems.length}`);
+  }
+  const dispatch = await writeDispatchBundle({
+    root,
+    qualityDir,
+    scorecard,
+    patternsFile,
+    configPathArg,
+  });
+  if (!quiet) {
+    console.log(`Dispatch tasks: ${dispatch.taskCount}`);
+    console.log(`Dispatch plan: ${dispatch.planPath}`);
+  }
+
+  const failedCommands = commandResults.filter((result) => result.role !== "informational" && result.status !== "passed");
+  if (failedCommands.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Gate fields evaluateVerifyGate interpolates with the first task ID, and those it interpolates once per task ID.
+const GATE_TEMPLATE_FIELDS = ["command", "file", "schemaFile", "preloadSchemas", "base"];
+const GATE_TASK_TEMPLATE_FIELDS = ["path", "paths", "dataFile"];
+
+// Interpolates a template (or an array of them) like evaluateVerifyGate, and lists the placeholders that stay
+// unresolved or resolve to an empty value.
+function explainTemplate(template, context) {
+  if (Array.isArray(template)) {
+    const entries = template.map((entry) => explainTemplate(entry, context));
+    return { value: entries.map((entry) => entry.value), problems: entries.flatMap((entry) => entry.problems) };
+  }
+  const value = interpolateTemplate(template, context);
+  if (typeof template !== "string") return { value, problems: [] };
+  const problems = [...value.matchAll(/\$\{[^}]*\}/g)].map((match) => `${match[0]} is unresolved`);
+  for (const [placeholder, key] of template.matchAll(/\$\{([a-zA-Z0-9_.:-]+)\}/g)) {
+    if (getPathValue(context, key) === "") problems.push(`${placeholder} resolves to an empty value`);
+  }
+  return { value, problems };
+}
+
+// Lays out what `verify` would run, gate by gate, without running anything: each field with the layer that set it
+// and the interpolated fields per task ID. Placeholders that do not resolve are errors, except in a gate that
+// references an unconfigured command, which verify skips.
+function buildVerifyPlan(verifyConfig, context, sources) {
+  return verifyConfig.gates.map((gate) => {
+    const enabled = gate.enabled !== false;
+    const missingCommands = findUnconfiguredCommands(gate, context.commands);
+    const skip = missingCommands.length > 0 ? `command not configured: ${missingCommands.join(", ")}` : null;
+    const fields = Object.fromEntries(
+      Object.entries(gate).map(([field, value]) => [field, { value, source: sources.get(`gates[${gate.id}].${field}`) ?? null }]),
+    );
+    const taskIds = gate.forEachTaskId ? context.taskIds : [context.taskId ?? ""];
+    const errors = new Set();
+    const runs = (taskIds.length > 0 ? taskIds : [""]).map((taskId) => {
+      const resolved = { taskId: taskId || null };
+      for (const field of [...GATE_TEMPLATE_FIELDS, ...GATE_TASK_TEMPLATE_FIELDS]) {
+        if (gate[field] === undefined) continue;
+        const fieldContext = GATE_TASK_TEMPLATE_FIELDS.includes(field) ? { ...context, taskId } : context;
+        const { value, problems } = explainTemplate(gate[field], fieldContext);
+        resolved[field] = value;
+        for (const problem of problems) errors.add(`${field}: ${problem}`);
+      }
+      return resolved;
+    });
     return {
       id: gate.id,
       type: gate.type,
-      required,
-      status: "fail",
-      durationMs: Date.now() - startedAt,
-      message: `unsupported gate type "${gate.type}"`,
-    };
-  } catch (error) {
-    return {
-      id: gate.id,
-      type: gate.type,
-      required,
-      status: "fail",
-      durationMs: Date.now() - startedAt,
-      message: error instanceof Error ? error.message : String(error),
+      required: gate.required !== false,
+      enabled,
+      skip,
+      fields,
+      runs,
+      errors: enabled && !skip ? [...errors] : [],
     };
-  }
+  });
 }
 
-function slugify(input) {
-  return input
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "")
-    .slice(0, 64);
+function printVerifyPlan(plan, { explain, taskIds, enabled, layers }) {
+  console.log(`Verify ${explain ? "explain" : "dry run"}: ${plan.length} gate(s), nothing is run.`);
+  if (!enabled) console.log("verify.enabled is false, so `verify` itself would skip every gate.");
+  console.log(`Task IDs: ${taskIds.length > 0 ? taskIds.join(", ") : "(none)"}`);
+  if (explain) console.log(`Layers: ${layers.join(", ")}`);
+  for (const gate of plan) {
+    const flags = [gate.type, gate.required ? "required" : "optional", gate.enabled ? null : "disabled", gate.skip ? "skip" : null]
+      .filter(Boolean);
+    console.log("");
+    console.log(`${gate.id} [${flags.join(", ")}]`);
+    if (explain) {
+      for (const [field, { value, source }] of Object.entries(gate.fields)) {
+        console.log(`  ${field}: ${JSON.stringify(value)}${source ? `  <- ${source}` : ""}`);
+      }
+    }
+    if (!gate.enabled) continue;
+    if (gate.skip) {
+      console.log(`  SKIP ${gate.skip}`);
+      continue;
+    }
+    for (const run of gate.runs) {
+      const values = Object.entries(run)
+        .filter(([field]) => field !== "taskId")
+        .map(([field, value]) => `${field}: ${Array.isArray(value) ? value.join(", ") : value}`);
+      if (values.length === 0) continue;
+      console.log(`  ${run.taskId ? `${run.taskId} -> ` : "-> "}${values.join("; ")}`);
+    }
+    for (const error of gate.errors) console.log(`  ERROR ${error}`);
+  }
+  const errorCount = plan.reduce((sum, gate) => sum + gate.errors.length, 0);
+  console.log("");
+  console.log(`Unresolved placeholders: ${errorCount}`);
 }
 
-function buildDispatchTasks(scorecard, patternsFile) {
-  const tasks = [];
-  const metrics = scorecard.metrics ?? {};
-  const thresholds = scorecard.thresholds ?? {};
-  const commandResults = Array.isArray(scorecard.commandResults) ? scorecard.commandResults : [];
-  const buildResult = commandResults.find((result) => result.name === "build");
-
-  if ((buildResult?.exitCode ?? 0) !== 0) {
-    tasks.push({
-      id: "build-stability",
-      priority: 100,
-      ownerProfile: "build-fix-agent",
-      category: "stability",
-      title: "Stabilize build pipeline",
-      reason: "Build command failed in latest reflect run.",
-      successCriteria: [
-        "Build command exits with code 0.",
-        "No regressions in quality commands.",
-      ],
-      verificationCommand: "pnpm run build",
-    });
+async function runVerify(configPathArg, options = {}) {
+  const asJson = options.json === true;
+  const root = resolve(process.cwd());
+  const configPath = resolve(root, configPathArg);
+  const planOnly = options.explain === true || options.dryRun === true;
+  if (!existsSync(configPath)) {
+    // Showing the plan must not write anything, including a default config.
+    if (planOnly) throw new Error(`Missing config at ${configPath}. Run "compound-quality init" first.`);
+    await createDefaultConfig(configPath, root, { silent: asJson });
   }
 
-  if ((metrics.typeErrors ?? 0) > 0) {
-    tasks.push({
-      id: "type-errors",
-      priority: 90,
-      ownerProfile: "typescript-fix-agent",
-      category: "correctness",
-      title: `Fix ${metrics.typeErrors} TypeScript errors`,
-      reason: "Type errors reduce type safety and block reliable releases.",
-      successCriteria: [
-        "Typecheck command exits with code 0.",
-        "No new lint or test failures introduced.",
-      ],
-      verificationCommand: "pnpm run typecheck",
-    });
+  const { config: userConfig, sources: configSources, layers } = await loadResolvedConfigFile(configPath);
+  const config = normalizeConfig(userConfig);
+
+  if (planOnly) {
+    const sources = new Map();
+    const verifyConfig = await normalizeVerifyConfig(root, userConfig, config, { sources, configSources });
+    const taskIds = resolveTaskIds(root, verifyConfig, options);
+    const context = {
+      qualityDir: config.qualityDir,
+      commands: verifyConfig.commands,
+      coverage: config.coverage,
+      base: options.base ?? "",
+      taskId: taskIds[0] ?? "",
+      taskIds,
+      verify: verifyConfig,
+    };
+    const plan = buildVerifyPlan(verifyConfig, context, sources);
+    const explain = options.explain === true;
+    if (asJson) {
+      const result = { action: "verify", mode: explain ? "explain" : "dry-run", enabled: verifyConfig.enabled, taskIds, gates: plan };
+      if (!explain) {
+        for (const gate of result.gates) delete gate.fields;
+      }
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      printVerifyPlan(plan, {
+        explain,
+        taskIds,
+        enabled: verifyConfig.enabled,
+        layers: ["default", ...verifyConfig.policyPacks.map((reference) => `policy pack ${reference}`), ...layers.map((layer) => layer.label)],
+      });
+    }
+    if (plan.some((gate) => gate.errors.length > 0)) process.exitCode = 1;
+    return;
   }
 
-  if ((metrics.testsFailed ?? 0) > 0) {
-    tasks.push({
-      id: "test-failures",
-      priority: 80,
-      ownerProfile: "test-fix-agent",
-      category: "quality-gates",
-      title: `Fix ${metrics.testsFailed} failing tests`,
-      reason: "Failing tests indicate functional regressions or unstable test harness.",
-      successCriteria: [
-        "Test command exits with code 0.",
-        "Failures are fixed without reducing test coverage intent.",
-      ],
-      verificationCommand: "pnpm run test",
-    });
+  const verifyConfig = await normalizeVerifyConfig(root, userConfig, config);
+  const qualityDir = join(root, config.qualityDir);
+  await mkdir(qualityDir, { recursive: true });
+
+  if (!verifyConfig.enabled) {
+    const disabledResult = {
+      action: "verify",
+      enabled: false,
+      message: "Verify mode is disabled in config (verify.enabled=false).",
+    };
+    if (asJson) {
+      console.log(JSON.stringify(disabledResult, null, 2));
+    } else {
+      console.log(disabledResult.message);
+    }
+    return;
   }
 
-  if ((metrics.lintViolations ?? 0) > 0) {
-    tasks.push({
-      id: "lint-violations",
-      priority: 70,
-      ownerProfile: "lint-fix-agent",
-      category: "hygiene",
-      title: `Resolve ${metrics.lintViolations} lint violations`,
-      reason: "Lint violations create noise and hide real defects.",
-      successCriteria: [
-        "Lint command exits with code 0.",
-        "Code style remains consistent with existing rules.",
-      ],
-      verificationCommand: "pnpm run lint",
-    });
+  const taskIds = resolveTaskIds(root, verifyConfig, options);
+  const taskIdFailure = verifyConfig.requiredTaskEvidence && taskIds.length === 0;
+  const waivers = await loadWaivers(root, verifyConfig.waiversFile);
+
+  const context = {
+    qualityDir: config.qualityDir,
+    commands: verifyConfig.commands,
+    commandTimeouts: Object.fromEntries(config.commands.map((entry) => [entry.name, entry.timeoutMs])),
+    coverage: config.coverage,
+    base: options.base ?? "",
+    logDir: join(qualityDir, "logs", new Date().toISOString().replace(/[:]/g, "-")),
+    progress: !asJson,
+    taskId: taskIds[0] ?? "",
+    taskIds,
+    verify: verifyConfig,
+    schemaCache: new Map(),
+  };
+
+  const gateResults = [];
+  for (const gate of verifyConfig.gates) {
+    if (!gate || typeof gate !== "object") continue;
+    if (!gate.id || !gate.type) continue;
+    if (gate.enabled === false) continue;
+    const result = await evaluateVerifyGate(root, gate, context);
+    if (result.status === "fail" || result.status === "timed_out") {
+      const waiver = findMatchingWaiver(waivers, result, taskIds);
+      if (waiver) {
+        gateResults.push({
+          ...result,
+          status: "waived",
+          waiver: {
+            gateId: waiver.gateId ?? result.id,
+            taskId: waiver.taskId ?? null,
+            reason: waiver.reason ?? "",
+            approvedBy: waiver.approvedBy ?? "",
+            expiresAt: waiver.expiresAt ?? null,
+          },
+        });
+        continue;
+      }
+    }
+    gateResults.push(result);
   }
 
-  const coverageQualified = Boolean(thresholds.coverageQualified);
-  const coveragePct = Number(metrics.coveragePct ?? 0);
-  const coverageFloor = Number(thresholds.coverageFloor ?? 0);
-  if (!coverageQualified || coveragePct < coverageFloor) {
-    const reason = !coverageQualified
-      ? "Coverage data was incomplete for expected packages."
-      : `Coverage ${coveragePct.toFixed(2)}% is below floor ${coverageFloor.toFixed(2)}%.`;
-    tasks.push({
-      id: "coverage-health",
-      priority: 60,
-      ownerProfile: "test-authoring-agent",
-      category: "coverage",
-      title: "Restore coverage health",
-      reason,
-      successCriteria: [
-        "Coverage is collected for all expected packages.",
-        "Coverage meets or exceeds current floor.",
-      ],
-      verificationCommand: "pnpm run test -- --coverage",
-    });
+  await pruneLogRuns(join(qualityDir, "logs"), config.maxLogRuns);
+
+  const failedRequiredGates = gateResults.filter(
+    (result) => result.required && (result.status === "fail" || result.status === "timed_out"),
+  );
+  const verification = {
+    version: 1,
+    verifiedAt: new Date().toISOString(),
+    configPath: relative(root, configPath),
+    enabled: true,
+    taskIds,
+    policyPacks: verifyConfig.loadedPolicyPacks,
+    missingTaskId: taskIdFailure,
+    gateCounts: {
+      total: gateResults.length,
+      passed: gateResults.filter((result) => result.status === "pass").length,
+      failed: gateResults.filter((result) => result.status === "fail").length,
+      timedOut: gateResults.filter((result) => result.status === "timed_out").length,
+      skipped: gateResults.filter((result) => result.status === "skip").length,
+      waived: gateResults.filter((result) => result.status === "waived").length,
+    },
+    failures: {
+      missingTaskId: taskIdFailure,
+      requiredGateFailures: failedRequiredGates.length,
+    },
+    waiversFile: verifyConfig.waiversFile,
+    gates: gateResults,
+  };
+
+  const verificationPath = join(qualityDir, "verification.json");
+  await writeFile(verificationPath, `${JSON.stringify(verification, null, 2)}\n`, "utf8");
+
+  const failed = taskIdFailure || failedRequiredGates.length > 0;
+  if (asJson) {
+    console.log(JSON.stringify(verification, null, 2));
+  } else {
+    console.log(`Verify gates: ${verification.gateCounts.total}`);
+    console.log(`Passed: ${verification.gateCounts.passed}`);
+    console.log(`Waived: ${verification.gateCounts.waived}`);
+    console.log(`Failed: ${verification.gateCounts.failed}`);
+    console.log(`Timed out: ${verification.gateCounts.timedOut}`);
+    console.log(`Skipped: ${verification.gateCounts.skipped}`);
+    if (taskIdFailure) {
+      console.log("Missing required task ID for evidence-linked verification.");
+    }
+    console.log(`Verification artifact: ${relative(root, verificationPath)}`);
   }
 
-  const patternEntries = Object.entries(patternsFile?.patterns ?? {});
-  patternEntries
-    .filter(([, data]) => data?.recommendation === "claude_rule" || data?.recommendation === "lint_rule")
-    .sort((a, b) => (b[1]?.count ?? 0) - (a[1]?.count ?? 0))
-    .forEach(([key, data]) => {
-      const recommendation = data?.recommendation;
-      tasks.push({
-        id: `pattern-${slugify(key)}`,
-        priority: recommendation === "lint_rule" ? 50 : 40,
-        ownerProfile: recommendation === "lint_rule" ? "lint-rule-agent" : "policy-agent",
-        category: "prevention",
-        title: `Promote prevention for pattern: ${key}`,
-        reason: `Pattern seen ${data?.count ?? 0} times; recommendation: ${recommendation}.`,
-        successCriteria:
-          recommendation === "lint_rule"
-            ? ["Add or update lint rule to prevent recurrence.", "Document autofix or migration guidance."]
-            : ["Add a CLAUDE.md / agent policy rule.", "Reference concrete example and prevention check."],
-        verificationCommand: recommendation === "lint_rule" ? "pnpm run lint" : "pnpm run typecheck",
-      });
-    });
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
 
-  if (tasks.length === 0) {
-    tasks.push({
-      id: "maintain-quality",
-      priority: 10,
-      ownerProfile: "maintenance-agent",
-      category: "maintenance",
-      title: "Maintain quality baseline",
-      reason: "No active regressions detected in latest run.",
-      successCriteria: [
-        "Review top recurring pattern and decide if new prevention rule is needed.",
-        "Keep quality loop running on each PR.",
-      ],
-      verificationCommand: "pnpm run build",
-    });
+async function runBaseline(configPathArg) {
+  const root = resolve(process.cwd());
+  const configPath = resolve(root, configPathArg);
+  if (!existsSync(configPath)) {
+    throw new Error(`Missing config at ${configPath}. Run "compound-quality init" first.`);
   }
 
-  return tasks.sort((a, b) => b.priority - a.priority);
+  const config = normalizeConfig(await loadConfigFile(configPath));
+  const qualityDir = join(root, config.qualityDir);
+  const logsDir = join(qualityDir, "logs");
+  const baselinePath = join(qualityDir, BASELINE_FILENAME);
+  await mkdir(qualityDir, { recursive: true });
+
+  const runStartedAt = Date.now();
+  const execution = await runCommands(root, config.commands, {
+    concurrency: config.concurrency,
+    logDir: join(logsDir, new Date().toISOString().replace(/[:]/g, "-")),
+    progress: true,
+  });
+  await pruneLogRuns(logsDir, config.maxLogRuns);
+  const timedOut = execution.results.filter((result) => result.status === "timed_out");
+  if (timedOut.length > 0) {
+    throw new Error(`Not writing a baseline: ${timedOut.map((result) => result.name).join(", ")} timed out.`);
+  }
+
+  const { typeDiagnostics, lintReports } = await collectDiagnostics(root, config, execution.results, runStartedAt);
+  for (const warning of lintReports.warnings) {
+    console.warn(warning);
+  }
+  const entries = buildBaselineEntries({ typescript: typeDiagnostics, lint: lintReports.diagnostics });
+  const now = new Date().toISOString();
+  await writeFile(baselinePath, `${JSON.stringify({ version: 1, createdAt: now, updatedAt: now, entries }, null, 2)}\n`, "utf8");
+
+  console.log(
+    `Baselined ${typeDiagnostics.length} type errors and ${lintReports.diagnostics.length} lint diagnostics (${Object.keys(entries).length} fingerprints).`,
+  );
+  console.log(`Baseline: ${relative(root, baselinePath)}`);
 }
 
-function renderDispatchPrompt(task, planPath, scorecardPath, patternsPath, configPath) {
-  return [
-    `# ${task.title}`,
-    "",
-    "## Objective",
-    `${task.reason}`,
-    "",
-    "## Inputs",
-    `- Config: ${configPath}`,
-    `- Scorecard: ${scorecardPath}`,
-    `- Patterns: ${patternsPath}`,
-    `- Plan: ${planPath}`,
-    "",
-    "## Constraints",
-    "- Make minimal, targeted changes.",
-    "- Do not broaden scope beyond this task.",
-    "- Preserve existing behavior outside the defect area.",
-    "",
-    "## Success Criteria",
-    ...task.successCriteria.map((item) => `- ${item}`),
-    "",
-    "## Verification",
-    `- Run: ${task.verificationCommand}`,
-    "",
-    "## Deliverables",
-    "- Summary of root cause.",
-    "- Files changed and why.",
-    "- Residual risks or follow-ups.",
-    "",
-  ].join("\n");
+function runGit(root, args) {
+  const result = spawnSync("git", args, { cwd: root, encoding: "utf8" });
+  if ((result.status ?? 1) !== 0) {
+    throw new Error(`git ${args.join(" ")} failed: ${String(result.stderr || result.error?.message || "").trim()}`);
+  }
+  return String(result.stdout).trim();
 }
 
-async function writeDispatchBundle({ root, qualityDir, scorecard, patternsFile, configPathArg }) {
-  const dispatchDir = join(qualityDir, "dispatch");
-  const promptsDir = join(dispatchDir, "prompts");
-  const scorecardPath = join(qualityDir, "scorecard.json");
-  const patternsPath = join(qualityDir, "patterns.json");
-  const planPath = join(dispatchDir, "plan.json");
-  const toProjectPath = (absPath) => {
-    const relPath = relative(root, absPath);
-    return relPath === "" ? "." : relPath;
+// Runs the configured commands in a detached worktree of `ref` and measures it the way `reflect` does,
+// without baselines, floors or ratchets, so both sides of a comparison are judged identically.
+async function measureRef(root, config, ref, options) {
+  const commit = runGit(root, ["rev-parse", "--verify", `${ref}^{commit}`]);
+  // The config may live in a subdirectory of the repository; run everything from the same place in the worktree.
+  const prefix = runGit(root, ["rev-parse", "--show-prefix"]);
+  const parentDir = await mkdtemp(join(tmpdir(), "compound-quality-"));
+  const worktree = join(parentDir, "tree");
+  const workdir = join(worktree, prefix);
+  const removeWorktree = () => {
+    spawnSync("git", ["worktree", "remove", "--force", worktree], { cwd: root, stdio: "ignore" });
+    rmSync(parentDir, { recursive: true, force: true });
   };
-  const scorecardProjectPath = toProjectPath(scorecardPath);
-  const patternsProjectPath = toProjectPath(patternsPath);
-  const planProjectPath = toProjectPath(planPath);
-
-  await mkdir(dispatchDir, { recursive: true });
-  await mkdir(promptsDir, { recursive: true });
+  installCancelHandlers();
+  cancelCleanups.add(removeWorktree);
+  runGit(root, ["worktree", "add", "--detach", worktree, commit]);
+  try {
+    if (config.compare.setupCommand) {
+      const setup = await runCommand(workdir, "setup", config.compare.setupCommand, {
+        logPath: join(options.logDir, "setup.log"),
+        progress: options.progress,
+      });
+      if (setup.status !== "passed") {
+        throw new Error(`compare.setupCommand failed for ${ref} (log: ${relative(root, setup.logPath)})`);
+      }
+    }
 
-  const tasks = buildDispatchTasks(scorecard, patternsFile).map((task, index) => {
-    const ordinal = String(index + 1).padStart(2, "0");
-    const promptFile = `${ordinal}-${task.id}.md`;
-    const promptAbsPath = join(promptsDir, promptFile);
-    return {
-      ...task,
-      ordinal: index + 1,
-      promptPath: toProjectPath(promptAbsPath),
-      promptFile,
+    const runStartedAt = Date.now();
+    const execution = await runCommands(workdir, config.commands, {
+      concurrency: config.concurrency,
+      logDir: options.logDir,
+      progress: options.progress,
+    });
+    const commandResults = execution.results;
+    const { typeDiagnostics, lintReports } = await collectDiagnostics(workdir, config, commandResults, runStartedAt);
+    const { tests } = await collectTestResults(workdir, config, commandResults, runStartedAt);
+    const coverage = await readCoverage(workdir, config.coverage);
+    const buildResult = commandResults.find((result) => result.name === "build");
+    const buildExitCode = buildResult ? (buildResult.exitCode ?? 1) : null;
+    const metrics = {
+      typeErrors: typeDiagnostics.length,
+      lintViolations: countLintViolations(lintReports, lintReports.diagnostics, commandResults),
+      lintWarnings: lintReports.diagnostics.filter((diagnostic) => diagnostic.severity === "warning").length,
+      testsPassed: tests.passed,
+      testsFailed: tests.failed,
+      testsSkipped: tests.skipped,
+      coveragePct: coverage.pct,
+      buildTimeMs: buildResult?.durationMs ?? 0,
     };
-  });
-
-  for (const task of tasks) {
-    const promptBody = renderDispatchPrompt(
-      task,
-      planProjectPath,
-      scorecardProjectPath,
-      patternsProjectPath,
-      configPathArg,
+    const score = computeComponentScores(
+      { ...metrics, buildExitCode },
+      resolveComponentWeights(config),
+      Object.fromEntries(commandResults.map((result) => [result.name, result.status === "passed" ? 100 : 0])),
     );
-    await writeFile(join(promptsDir, task.promptFile), promptBody, "utf8");
+    return {
+      ref,
+      commit,
+      score,
+      metrics,
+      commandResults: commandResults.map(({ name, status, exitCode, durationMs, logPath }) => ({
+        name,
+        status,
+        exitCode,
+        durationMs,
+        logPath: relative(root, logPath),
+      })),
+      diagnostics: { typescript: typeDiagnostics, lint: lintReports.diagnostics },
+      patterns: Object.fromEntries(
+        Object.entries({
+          ...detectPatterns(commandResults, config.patterns.rules, 0),
+          ...detectLintRulePatterns(lintReports.diagnostics, 0),
+        }).map(([key, sighting]) => [key, sighting.count]),
+      ),
+    };
+  } finally {
+    cancelCleanups.delete(removeWorktree);
+    removeWorktree();
   }
+}
 
-  const plan = {
+// Diagnostics are matched by baseline fingerprint, so moved lines are neither new nor fixed.
+function diffDiagnostics(baseDiagnostics, headDiagnostics, source) {
+  const baseEntries = buildBaselineEntries({ [source]: baseDiagnostics });
+  const headEntries = buildBaselineEntries({ [source]: headDiagnostics });
+  return {
+    new: partitionByBaseline(headDiagnostics, source, baseEntries).fresh,
+    fixed: partitionByBaseline(baseDiagnostics, source, headEntries).fresh,
+  };
+}
+
+function buildComparison(base, head) {
+  const metrics = {};
+  for (const key of Object.keys(head.metrics)) {
+    metrics[key] = { base: base.metrics[key], head: head.metrics[key], delta: round2(head.metrics[key] - base.metrics[key]) };
+  }
+  const patterns = {};
+  for (const pattern of new Set([...Object.keys(base.patterns), ...Object.keys(head.patterns)])) {
+    const baseCount = base.patterns[pattern] ?? 0;
+    const headCount = head.patterns[pattern] ?? 0;
+    if (baseCount !== headCount) patterns[pattern] = { base: baseCount, head: headCount, delta: headCount - baseCount };
+  }
+  return {
     version: 1,
     generatedAt: new Date().toISOString(),
-    score: scorecard?.score?.overall ?? 0,
-    summary: {
-      actionItems: Array.isArray(scorecard?.actionItems) ? scorecard.actionItems.length : 0,
-      dispatchTasks: tasks.length,
-    },
-    inputs: {
-      configPath: configPathArg,
-      scorecardPath: scorecardProjectPath,
-      patternsPath: patternsProjectPath,
+    base: { ref: base.ref, commit: base.commit, commandResults: base.commandResults },
+    head: { ref: head.ref, commit: head.commit, commandResults: head.commandResults },
+    score: { base: base.score.overall, head: head.score.overall, delta: round2(head.score.overall - base.score.overall) },
+    metrics,
+    diagnostics: {
+      typescript: diffDiagnostics(base.diagnostics.typescript, head.diagnostics.typescript, "typescript"),
+      lint: diffDiagnostics(base.diagnostics.lint, head.diagnostics.lint, "lint"),
     },
-    tasks,
+    patterns,
   };
+}
 
-  await writeFile(planPath, `${JSON.stringify(plan, null, 2)}\n`, "utf8");
-
-  const queuePath = join(dispatchDir, "QUEUE.md");
-  const queueLines = [
-    "# Dispatch Queue",
+function renderComparisonMarkdown(comparison) {
+  const formatDelta = (delta) => `${delta > 0 ? "+" : ""}${delta}`;
+  const formatDiagnostic = (diagnostic) =>
+    `- ${diagnostic.file ?? "(global)"}${diagnostic.line ? `:${diagnostic.line}` : ""} ${diagnostic.code ?? diagnostic.rule}: ${diagnostic.message}`;
+  const renderDiagnostics = (title, diagnostics) => [
+    `### ${title} (${diagnostics.length})`,
+    ...(diagnostics.length > 0 ? diagnostics.slice(0, 50).map(formatDiagnostic) : ["- None."]),
+    ...(diagnostics.length > 50 ? [`- ...and ${diagnostics.length - 50} more`] : []),
     "",
-    `Generated: ${plan.generatedAt}`,
-    `Quality Score: ${plan.score}`,
+  ];
+  const { base, head } = comparison;
+  return [
+    `# Quality Compare: ${base.ref} (${base.commit.slice(0, 12)}) vs ${head.ref} (${head.commit.slice(0, 12)})`,
     "",
-    "## Task Order",
-    ...tasks.map((task) => `${task.ordinal}. ${task.title} (${task.ownerProfile}) -> ${task.promptPath}`),
+    `- Score: **${comparison.score.base} -> ${comparison.score.head}** (${formatDelta(comparison.score.delta)})`,
     "",
-    "## How To Use",
-    "1. Assign top task to an agent and provide its prompt file.",
-    "2. Merge result, rerun `compound-quality reflect`, and use refreshed queue.",
-    "3. Repeat until queue has only maintenance/prevention tasks.",
+    "## Metrics",
     "",
-  ];
-  await writeFile(queuePath, queueLines.join("\n"), "utf8");
-
-  return {
-    taskCount: tasks.length,
-    planPath: planProjectPath,
-    queuePath: toProjectPath(queuePath),
-  };
+    `| Metric | ${base.ref} | ${head.ref} | Delta |`,
+    "| --- | ---: | ---: | ---: |",
+    ...Object.entries(comparison.metrics).map(
+      ([key, entry]) => `| ${key} | ${entry.base} | ${entry.head} | ${formatDelta(entry.delta)} |`,
+    ),
+    "",
+    "## Type Diagnostics",
+    "",
+    ...renderDiagnostics("New", comparison.diagnostics.typescript.new),
+    ...renderDiagnostics("Fixed", comparison.diagnostics.typescript.fixed),
+    "## Lint Diagnostics",
+    "",
+    ...renderDiagnostics("New", comparison.diagnostics.lint.new),
+    ...renderDiagnostics("Fixed", comparison.diagnostics.lint.fixed),
+    "## Patterns",
+    ...(Object.keys(comparison.patterns).length > 0
+      ? Object.entries(comparison.patterns).map(
+          ([pattern, entry]) => `- ${pattern}: ${entry.base} -> ${entry.head} (${formatDelta(entry.delta)})`,
+        )
+      : ["- No pattern changes."]),
+    "",
+  ].join("\n");
 }
 
-async function runReflect(configPathArg, options = {}) {
-  const quiet = options.quiet === true;
+async function runCompare(configPathArg, options = {}) {
+  const asJson = options.json === true;
   const root = resolve(process.cwd());
   const configPath = resolve(root, configPathArg);
   if (!existsSync(configPath)) {
-    await createDefaultConfig(configPath, root, { silent: quiet });
+    throw new Error(`Missing config at ${configPath}. Run "compound-quality init" first.`);
+  }
+  if (!options.base) {
+    throw new Error("compare requires --base <ref>");
   }
 
-  const userConfig = JSON.parse(await readFile(configPath, "utf8"));
-  const config = normalizeConfig(userConfig);
-
+  const config = normalizeConfig(await loadConfigFile(configPath));
   const qualityDir = join(root, config.qualityDir);
-  const scorecardPath = join(qualityDir, "scorecard.json");
-  const patternsPath = join(qualityDir, "patterns.json");
-  const reflectionsDir = join(qualityDir, "reflections");
-  const templatesDir = join(qualityDir, "templates");
-  const suggestedDir = join(qualityDir, "suggested-updates");
-
+  const logsDir = join(qualityDir, "logs");
+  const runDir = join(logsDir, new Date().toISOString().replace(/[:]/g, "-"));
   await mkdir(qualityDir, { recursive: true });
-  await mkdir(reflectionsDir, { recursive: true });
-  await mkdir(templatesDir, { recursive: true });
-  await mkdir(suggestedDir, { recursive: true });
 
-  const previous = await loadJson(scorecardPath);
-  const commandResults = config.commands.map(({ name, command }) => runCommand(root, name, command));
-  const allOutput = commandResults.map((result) => `${result.stdout}\n${result.stderr}`).join("\n");
+  const base = await measureRef(root, config, options.base, { logDir: join(runDir, "base"), progress: !asJson });
+  const head = await measureRef(root, config, options.head, { logDir: join(runDir, "head"), progress: !asJson });
+  await pruneLogRuns(logsDir, config.maxLogRuns);
 
-  const coverage = await readCoveragePct(root, config.coverage);
-  const typeErrors = parseTypeErrors(allOutput);
-  const lintResult = commandResults.find((result) => result.name === "lint");
-  const lintOutput = `${lintResult?.stdout ?? ""}\n${lintResult?.stderr ?? ""}`;
-  const lintViolations = parseLintViolations(lintOutput, lintResult?.exitCode ?? 1);
-  const tests = parseTests(allOutput);
+  const comparison = buildComparison(base, head);
+  const comparePath = join(qualityDir, "compare.json");
+  const summaryPath = join(qualityDir, "compare.md");
+  await writeFile(comparePath, `${JSON.stringify(comparison, null, 2)}\n`, "utf8");
+  await writeFile(summaryPath, renderComparisonMarkdown(comparison), "utf8");
 
-  const testExitCode = commandResults.find((result) => result.name === "test")?.exitCode ?? 1;
-  const buildExitCode = commandResults.find((result) => result.name === "build")?.exitCode ?? 1;
-  const coverageQualified = testExitCode === 0 && coverage.packageCount === config.coverage.expectedPackages;
-  const previousCoverageQualified = previous?.thresholds?.coverageQualified ?? false;
-  const previousCoverageFloor = previous?.thresholds?.coverageFloor ?? 0;
-  const candidateFloor = Math.max(0, Number((coverage.pct - 2).toFixed(2)));
-  let coverageFloor = previousCoverageFloor;
-  if (coverageQualified) {
-    coverageFloor = previousCoverageQualified ? Math.max(previousCoverageFloor, candidateFloor) : candidateFloor;
+  const newCount = comparison.diagnostics.typescript.new.length + comparison.diagnostics.lint.new.length;
+  const fixedCount = comparison.diagnostics.typescript.fixed.length + comparison.diagnostics.lint.fixed.length;
+  if (asJson) {
+    console.log(
+      JSON.stringify(
+        {
+          action: "compare",
+          score: comparison.score,
+          newDiagnostics: newCount,
+          fixedDiagnostics: fixedCount,
+          comparePath,
+          summaryPath,
+        },
+        null,
+        2,
+      ),
+    );
+    return;
   }
+  console.log(`Score: ${comparison.score.base} (${options.base}) -> ${comparison.score.head} (${options.head})`);
+  console.log(`Diagnostics: ${newCount} new, ${fixedCount} fixed`);
+  console.log(`Compare: ${relative(root, comparePath)}`);
+  console.log(`Summary: ${relative(root, summaryPath)}`);
+}
 
-  const score = computeComponentScores(
-    {
-      typeErrors,
-      lintViolations,
-      testsPassed: tests.passed,
-      testsFailed: tests.failed,
-      coveragePct: coverage.pct,
-      buildExitCode,
-    },
-    config.weights,
-  );
-
-  const history = [
-    ...(Array.isArray(previous?.history) ? previous.history : []),
-    {
-      at: new Date().toISOString(),
-      score: score.overall,
-      coveragePct: coverage.pct,
-      typeErrors,
-      lintViolations,
-    },
-  ].slice(-50);
-
-  const scorecard = {
-    version: 1,
-    updatedAt: new Date().toISOString(),
-    score,
-    metrics: {
-      typeErrors,
-      lintViolations,
-      testsPassed: tests.passed,
-      testsFailed: tests.failed,
-      coveragePct: coverage.pct,
-      buildTimeMs: commandResults.find((result) => result.name === "build")?.durationMs ?? 0,
-    },
-    thresholds: {
-      coverageFloor,
-      coverageQualified,
-      coveragePackageCount: coverage.packageCount,
-    },
-    actionItems: buildActionItems({
-      typeErrors,
-      lintViolations,
-      testsFailed: tests.failed,
-      coveragePct: coverage.pct,
-      coverageFloor,
-      coverageQualified,
-      buildExitCode,
-    }),
-    commandResults: commandResults.map(({ name, exitCode, durationMs }) => ({ name, exitCode, durationMs })),
-    history,
-  };
-
-  const patternsFile = (await loadJson(patternsPath)) ?? { version: 1, updatedAt: new Date().toISOString(), patterns: {} };
-  const detected = detectPatterns(allOutput, config.patterns.rules);
-  const promotions = [];
-  for (const [pattern, seenCount] of Object.entries(detected)) {
-    const existing = patternsFile.patterns[pattern] ?? {
-      count: 0,
-      lastSeenAt: new Date().toISOString(),
-      recommendation: "none",
-    };
-    const updatedCount = existing.count + seenCount;
-    const recommendation = recommendationForCount(updatedCount, {
-      claudeRule: config.patterns.claudeRuleThreshold,
-      lintRule: config.patterns.lintRuleThreshold,
-    });
+async function runMarkPrevented(configPathArg, patternKey, options = {}) {
+  const root = resolve(process.cwd());
+  const configPath = resolve(root, configPathArg);
+  if (!patternKey) {
+    throw new Error("mark-prevented requires a pattern key, e.g. compound-quality mark-prevented cannot_find_module --rule <rule>");
+  }
+  if (!existsSync(configPath)) {
+    throw new Error(`Missing config at ${configPath}. Run "compound-quality init" first.`);
+  }
 
-    patternsFile.patterns[pattern] = {
-      count: updatedCount,
-      lastSeenAt: new Date().toISOString(),
-      recommendation,
-    };
+  const config = normalizeConfig(await loadConfigFile(configPath));
+  const patternsPath = join(root, config.qualityDir, "patterns.json");
+  const patternsFile = migratePatternsFile(await loadJson(patternsPath));
+  const entry = patternsFile?.patterns?.[patternKey];
+  if (!entry) {
+    throw new Error(`Unknown pattern "${patternKey}" in ${relative(root, patternsPath)}.`);
+  }
 
-    if (recommendation !== "none" && recommendation !== existing.recommendation) {
-      promotions.push({ pattern, recommendation });
+  const head = spawnSync("git", ["rev-parse", "HEAD"], { cwd: root, encoding: "utf8" });
+  const commit = options.commit || ((head.status ?? 1) === 0 ? String(head.stdout).trim() : null);
+  const now = new Date().toISOString();
+  patternsFile.patterns[patternKey] = {
+    ...entry,
+    state: "prevented",
+    prevention: {
+      rule: options.rule || null,
+      commit,
+      at: now,
+      countAtPrevention: entry.count,
+      ...(patternState(entry) === "regressed" ? { replaces: entry.prevention ?? null } : {}),
+    },
+    sightingsSincePrevention: 0,
+    regressedAt: null,
+  };
+  patternsFile.updatedAt = now;
+  await writeFile(patternsPath, `${JSON.stringify(patternsFile, null, 2)}\n`, "utf8");
+
+  if (options.json) {
+    console.log(JSON.stringify({ action: "mark-prevented", pattern: patternKey, ...patternsFile.patterns[patternKey].prevention }, null, 2));
+    return;
+  }
+  console.log(`Marked ${patternKey} as prevented (${formatPrevention(patternsFile.patterns[patternKey].prevention)}${now}).`);
+}
+
+async function loadHistory(qualityDir) {
+  const historyPath = join(qualityDir, HISTORY_FILENAME);
+  const entries = [];
+  if (existsSync(historyPath)) {
+    for (const line of (await readFile(historyPath, "utf8")).split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Skip a line left half-written by an interrupted run.
+      }
     }
   }
-  patternsFile.updatedAt = new Date().toISOString();
 
-  const reflectionTimestamp = new Date().toISOString();
-  const reflectionFilename = `${reflectionTimestamp.replace(/[:]/g, "-")}.md`;
-  const reflectionPath = join(reflectionsDir, reflectionFilename);
-  const reflectionLines = [
-    `# Reflection ${reflectionTimestamp}`,
-    "",
-    `- Quality score: **${scorecard.score.overall}**`,
-    `- Type errors: **${scorecard.metrics.typeErrors}**`,
-    `- Lint violations: **${scorecard.metrics.lintViolations}**`,
-    `- Tests: **${scorecard.metrics.testsPassed} passed / ${scorecard.metrics.testsFailed} failed**`,
-    `- Coverage: **${scorecard.metrics.coveragePct}%**`,
-    "",
-    "## Command Results",
-    ...commandResults.map((result) => `- ${result.name}: exit ${result.exitCode}, ${(result.durationMs / 1000).toFixed(1)}s`),
-    "",
-    "## Action Items",
-    ...scorecard.actionItems.map((item) => `- ${item}`),
-    "",
-    "## Promotions",
-    ...(promotions.length > 0
-      ? promotions.map((promotion) => `- ${promotion.pattern}: ${promotion.recommendation}`)
-      : ["- No pattern promotions this run."]),
-    "",
-  ];
+  // Runs recorded before history.jsonl existed only live in the scorecard window.
+  const scorecard = await loadJson(join(qualityDir, "scorecard.json"));
+  const firstAt = entries[0]?.at;
+  const older = (Array.isArray(scorecard?.history) ? scorecard.history : []).filter(
+    (entry) => !firstAt || entry.at < firstAt,
+  );
+  return [...older, ...entries].filter((entry) => typeof entry?.score === "number");
+}
 
-  await writeFile(scorecardPath, `${JSON.stringify(scorecard, null, 2)}\n`, "utf8");
-  await writeFile(patternsPath, `${JSON.stringify(patternsFile, null, 2)}\n`, "utf8");
-  await writeFile(reflectionPath, reflectionLines.join("\n"), "utf8");
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
 
-  if (promotions.length > 0) {
-    const suggestedPath = join(suggestedDir, `${reflectionTimestamp.replace(/[:]/g, "-")}.md`);
-    const suggestedLines = [
-      "# Suggested Structural Updates",
-      "",
-      ...promotions.map((promotion) =>
-        `- ${promotion.pattern}: ${promotion.recommendation === "lint_rule" ? "Convert to lint rule" : "Add CLAUDE.md prevention rule"}`,
-      ),
-      "",
-    ];
-    await writeFile(suggestedPath, suggestedLines.join("\n"), "utf8");
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map((value) => (value - average) ** 2)));
+}
+
+function round2(value) {
+  return Number(value.toFixed(2));
+}
+
+// Indexes of the best and worst values. On a tie the earliest run wins, for the best and the worst alike.
+function findExtremeIndexes(values, lowerIsBetter) {
+  const isBetter = (candidate, reference) => (lowerIsBetter ? candidate < reference : candidate > reference);
+  let bestIndex = 0;
+  let worstIndex = 0;
+  values.forEach((value, index) => {
+    if (isBetter(value, values[bestIndex])) bestIndex = index;
+    if (isBetter(values[worstIndex], value)) worstIndex = index;
+  });
+  return { bestIndex, worstIndex };
+}
+
+function analyzeMetricTrend(history, key, lowerIsBetter, window) {
+  const points = history.filter((entry) => typeof entry[key] === "number");
+  if (points.length === 0) return null;
+  const values = points.map((entry) => entry[key]);
+  const latest = values.at(-1);
+  const { bestIndex, worstIndex } = findExtremeIndexes(values, lowerIsBetter);
+  return {
+    direction: lowerIsBetter ? "lower" : "higher",
+    latest,
+    delta: values.length > 1 ? round2(latest - values.at(-2)) : null,
+    deltaFromFirst: round2(latest - values[0]),
+    movingAverage: round2(mean(values.slice(-window))),
+    best: { value: values[bestIndex], at: points[bestIndex].at },
+    worst: { value: values[worstIndex], at: points[worstIndex].at },
+  };
+}
+
+function findScoreStreaks(history) {
+  let longest = { runs: history.length > 0 ? 1 : 0, from: history[0]?.at ?? null, to: history[0]?.at ?? null };
+  let startIndex = 0;
+  for (let index = 1; index < history.length; index += 1) {
+    if (history[index].score < history[index - 1].score) startIndex = index;
+    const runs = index - startIndex + 1;
+    if (runs > longest.runs) longest = { runs, from: history[startIndex].at, to: history[index].at };
   }
+  return { longest, current: history.length - startIndex };
+}
 
-  const suggestedFiles = (await readdir(suggestedDir)).sort();
-  if (suggestedFiles.length > config.maxSuggestedUpdateFiles) {
-    const removeCount = suggestedFiles.length - config.maxSuggestedUpdateFiles;
-    for (const filename of suggestedFiles.slice(0, removeCount)) {
-      await rm(join(suggestedDir, filename), { force: true });
+function findSignificantScoreDrops(history, window) {
+  const drops = [];
+  for (let index = 3; index < history.length; index += 1) {
+    const preceding = history.slice(Math.max(0, index - window), index).map((entry) => entry.score);
+    if (preceding.length < 3) continue;
+    const average = mean(preceding);
+    const sigma = standardDeviation(preceding);
+    const drop = average - history[index].score;
+    if (drop >= TREND_MIN_DROP && drop > TREND_DROP_SIGMA * sigma) {
+      drops.push({
+        at: history[index].at,
+        score: history[index].score,
+        movingAverage: round2(average),
+        stdDev: round2(sigma),
+        drop: round2(drop),
+      });
     }
   }
+  return drops;
+}
 
-  if (!quiet) {
-    console.log(`Quality score: ${scorecard.score.overall}`);
-    console.log(`Coverage floor: ${scorecard.thresholds.coverageFloor}`);
-    console.log(`Action items: ${scorecard.actionItems.length}`);
+function buildTrendReport(history, window) {
+  const metricKeys = ["score", ...Object.keys(RATCHET_METRIC_DIRECTIONS)];
+  const metrics = {};
+  for (const key of metricKeys) {
+    const trend = analyzeMetricTrend(history, key, RATCHET_METRIC_DIRECTIONS[key] === "lower", window);
+    if (trend) metrics[key] = trend;
   }
-  const dispatch = await writeDispatchBundle({
-    root,
-    qualityDir,
-    scorecard,
-    patternsFile,
-    configPathArg,
-  });
-  if (!quiet) {
-    console.log(`Dispatch tasks: ${dispatch.taskCount}`);
-    console.log(`Dispatch plan: ${dispatch.planPath}`);
+  const { bestIndex, worstIndex } = findExtremeIndexes(history.map((entry) => entry.score), false);
+  return {
+    runs: history.length,
+    from: history[0]?.at ?? null,
+    to: history.at(-1)?.at ?? null,
+    window,
+    metrics,
+    bestRun: history[bestIndex] ?? null,
+    worstRun: history[worstIndex] ?? null,
+    streaks: findScoreStreaks(history),
+    significantDrops: findSignificantScoreDrops(history, window),
+  };
+}
+
+async function runTrend(configPathArg, options = {}) {
+  const root = resolve(process.cwd());
+  const configPath = resolve(root, configPathArg);
+  if (!existsSync(configPath)) {
+    throw new Error(`Missing config at ${configPath}. Run "compound-quality init" first.`);
+  }
+  if (!Number.isInteger(options.window) || options.window < 2) {
+    throw new Error("--window must be an integer of at least 2");
   }
 
-  const failedCommands = commandResults.filter((result) => result.exitCode !== 0);
-  if (failedCommands.length > 0) {
-    process.exitCode = 1;
+  const config = normalizeConfig(await loadConfigFile(configPath));
+  const history = await loadHistory(join(root, config.qualityDir));
+  if (history.length === 0) {
+    throw new Error('No score history yet. Run "compound-quality reflect" first.');
+  }
+
+  const report = buildTrendReport(history, options.window);
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const formatDelta = (delta) => (delta === null ? "n/a" : `${delta > 0 ? "+" : ""}${delta}`);
+  console.log(`Runs: ${report.runs} (${report.from} .. ${report.to})`);
+  console.log("");
+  for (const [key, trend] of Object.entries(report.metrics)) {
+    console.log(
+      `${key}: ${trend.latest} (${formatDelta(trend.delta)} vs previous, ${formatDelta(trend.deltaFromFirst)} overall, ${report.window}-run avg ${trend.movingAverage}, best ${trend.best.value}, worst ${trend.worst.value})`,
+    );
+  }
+  console.log("");
+  console.log(`Best run: ${report.bestRun.at} (score ${report.bestRun.score})`);
+  console.log(`Worst run: ${report.worstRun.at} (score ${report.worstRun.score})`);
+  console.log(
+    `Longest streak without a score regression: ${report.streaks.longest.runs} runs (${report.streaks.longest.from} .. ${report.streaks.longest.to}); current streak: ${report.streaks.current}`,
+  );
+  if (report.significantDrops.length === 0) {
+    console.log("Significant score drops: none");
+  } else {
+    console.log("Significant score drops:");
+    for (const drop of report.significantDrops) {
+      console.log(`- ${drop.at}: ${drop.score} vs ${report.window}-run avg ${drop.movingAverage} (-${drop.drop}, stddev ${drop.stdDev})`);
+    }
   }
 }
 
-async function runVerify(configPathArg, options = {}) {
-  const asJson = options.json === true;
+// Renders the merged config as JSON with a `// <layer>` comment after every value naming the file that set it.
+// Rules and gates are listed by their `key`/`id`, matching the paths in `sources`.
+function renderConfigWithSources(config, sources) {
+  const lines = [];
+  const render = (value, path, indent, label, comma) => {
+    const pad = "  ".repeat(indent);
+    const identity = CONFIG_KEYED_ARRAYS[path];
+    const nested = Array.isArray(value) ? Boolean(identity) && value.length > 0 : isSchemaObject(value) && Object.keys(value).length > 0;
+    if (!nested) {
+      const source = sources.get(path);
+      lines.push(`${pad}${label}${JSON.stringify(value)}${comma}${source ? `  // ${source}` : ""}`);
+      return;
+    }
+    const children = Array.isArray(value)
+      ? value.map((entry) => [`${path}[${entry?.[identity]}]`, entry, ""])
+      : Object.entries(value).map(([key, child]) => [path ? `${path}.${key}` : key, child, `${JSON.stringify(key)}: `]);
+    lines.push(`${pad}${label}${Array.isArray(value) ? "[" : "{"}`);
+    children.forEach(([childPath, child, childLabel], index) =>
+      render(child, childPath, indent + 1, childLabel, index < children.length - 1 ? "," : ""),
+    );
+    lines.push(`${pad}${Array.isArray(value) ? "]" : "}"}${comma}`);
+  };
+  render(config, "", 0, "", "");
+  return lines.join("\n");
+}
+
+async function runConfig(configPathArg, action, options = {}) {
+  if (action !== "print") {
+    throw new Error('Usage: compound-quality config print --config <path> [--resolved] [--json]');
+  }
   const root = resolve(process.cwd());
   const configPath = resolve(root, configPathArg);
   if (!existsSync(configPath)) {
-    await createDefaultConfig(configPath, root, { silent: asJson });
+    throw new Error(`Missing config at ${configPath}. Run "compound-quality init" first.`);
+  }
+  if (!options.resolved) {
+    const own = await readConfigJson(configPath, relative(root, configPath));
+    console.log(JSON.stringify(own, null, 2));
+    return;
   }
+  const { config, sources, layers } = await resolveConfigFile(configPath);
+  const { errors, warnings } = await validateConfigShape(config, sources);
+  if (options.json) {
+    const layerLabels = layers.map((layer) => layer.label);
+    console.log(
+      JSON.stringify({ action: "config", config, sources: Object.fromEntries(sources), layers: layerLabels, errors, warnings }, null, 2),
+    );
+  } else {
+    console.log(`// Layers, lowest precedence first: ${layers.map((layer) => layer.label).join(", ")}`);
+    console.log("// Settings that no layer sets use the built-in defaults.");
+    console.log(renderConfigWithSources(config, sources));
+    for (const error of errors) console.log(`// invalid: ${error}`);
+    for (const warning of warnings) console.log(`// ignored: ${warning}`);
+  }
+  if (errors.length > 0) process.exitCode = 1;
+}
 
-  const userConfig = JSON.parse(await readFile(configPath, "utf8"));
-  const config = normalizeConfig(userConfig);
-  const verifyConfig = await normalizeVerifyConfig(root, userConfig, config);
-  const qualityDir = join(root, config.qualityDir);
-  await mkdir(qualityDir, { recursive: true });
+// A leading `NAME=value` assignment, with the value possibly quoted or escaped.
+const SHELL_ASSIGNMENT = /^[A-Za-z_][A-Za-z0-9_]*=(?:'[^']*'|"(?:[^"\\]|\\.)*"|\\.|[^\s'"\\;&|<>()])*(?:\s+|$)/;
 
-  if (!verifyConfig.enabled) {
-    const disabledResult = {
-      action: "verify",
-      enabled: false,
-      message: "Verify mode is disabled in config (verify.enabled=false).",
-    };
+// Looks up the program a shell command starts with (after any `NAME=value` assignments) in the same shell
+// `runCommand` uses, so builtins, PATH entries and relative scripts resolve exactly as they would in a run.
+// Commands that start with a subshell, group, quoted word or expansion are `undetermined` rather than guessed at.
+function findCommandProgram(root, command) {
+  let rest = command.trim();
+  for (let assignment = rest.match(SHELL_ASSIGNMENT); assignment; assignment = rest.match(SHELL_ASSIGNMENT)) {
+    rest = rest.slice(assignment[0].length);
+  }
+  if (!rest) return { program: null, location: null, undetermined: false };
+  const program = rest.match(/^[^\s;&|<>]+/)?.[0] ?? rest;
+  if (!/^[\w./+@:%,~-]+$/.test(program)) return { program, location: null, undetermined: true };
+  // The program is passed as a positional argument so shell metacharacters in it are never evaluated.
+  const result = spawnSync("sh", ["-c", 'command -v -- "$1"', "sh", program], { cwd: root, encoding: "utf8" });
+  return { program, location: result.status === 0 ? String(result.stdout ?? "").trim() || program : null, undetermined: false };
+}
+
+async function runDoctor(configPathArg, options = {}) {
+  const asJson = options.json === true;
+  const root = resolve(process.cwd());
+  const configPath = resolve(root, configPathArg);
+  const checks = [];
+  const check = (name, status, message) => checks.push({ check: name, status, message });
+
+  const finish = () => {
+    const failed = checks.filter((entry) => entry.status === "fail").length;
+    const warnings = checks.filter((entry) => entry.status === "warn").length;
     if (asJson) {
-      console.log(JSON.stringify(disabledResult, null, 2));
+      console.log(JSON.stringify({ action: "doctor", ok: failed === 0, checks }, null, 2));
     } else {
-      console.log(disabledResult.message);
+      for (const entry of checks) {
+        console.log(`${{ ok: "ok  ", warn: "warn", fail: "FAIL" }[entry.status]}  ${entry.check}: ${entry.message}`);
+      }
+      console.log(`Doctor: ${checks.length - failed - warnings} ok, ${warnings} warning(s), ${failed} failed`);
     }
+    if (failed > 0) process.exitCode = 1;
+  };
+
+  if (!existsSync(configPath)) {
+    check("config", "fail", `missing at ${relative(root, configPath)}; run "compound-quality init" first`);
+    finish();
+    return;
+  }
+  let userConfig;
+  let config;
+  try {
+    const resolved = await loadResolvedConfigFile(configPath);
+    userConfig = resolved.config;
+    config = normalizeConfig(userConfig);
+    check("config", "ok", `${relative(root, configPath)} is valid`);
+    for (const warning of resolved.warnings) check("config", "warn", `${warning}; the key is ignored`);
+  } catch (error) {
+    check("config", "fail", error instanceof Error ? error.message : String(error));
+    finish();
     return;
   }
 
-  const taskIds = resolveTaskIds(root, verifyConfig, options);
-  const taskIdFailure = verifyConfig.requiredTaskEvidence && taskIds.length === 0;
-  const waivers = await loadWaivers(root, verifyConfig.waiversFile);
+  for (const entry of config.commands) {
+    const { program, location, undetermined } = findCommandProgram(root, entry.command);
+    if (!program) {
+      check(`commands.${entry.name}`, "fail", "command is empty");
+    } else if (undetermined) {
+      check(`commands.${entry.name}`, "warn", `cannot determine the program of "${entry.command}"; check it by hand`);
+    } else if (location) {
+      check(`commands.${entry.name}`, "ok", `${program} -> ${location}`);
+    } else {
+      check(`commands.${entry.name}`, "fail", `"${program}" is not an executable, builtin or script on PATH`);
+    }
+  }
+
+  for (const reference of userConfig.verify?.policyPacks ?? []) {
+    try {
+      const pack = await loadPolicyPack(root, reference);
+      check(`policy pack ${reference}`, "ok", reference.startsWith("builtin:") ? pack.path : relative(root, pack.path));
+    } catch (error) {
+      check(`policy pack ${reference}`, "fail", error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  let verifyConfig = { ...DEFAULT_VERIFY_CONFIG, ...(userConfig.verify ?? {}) };
+  try {
+    verifyConfig = await normalizeVerifyConfig(root, userConfig, config);
+    check("verify", "ok", `${verifyConfig.gates.length} gate(s) are well-formed`);
+  } catch (error) {
+    check("verify", "fail", error instanceof Error ? error.message : String(error));
+  }
+  const gates = (Array.isArray(verifyConfig.gates) ? verifyConfig.gates : []).filter((gate) => gate?.enabled !== false);
+
+  const regexes = [
+    ...config.patterns.rules.map((rule, index) => [`patterns.rules[${index}]`, rule.pattern, rule.flags ?? "gi"]),
+    ["verify.taskIdPattern", verifyConfig.taskIdPattern || DEFAULT_VERIFY_CONFIG.taskIdPattern, "g"],
+    ...gates.filter((gate) => gate.type === "regex").map((gate) => [`verify.gates[${gate.id}].pattern`, gate.pattern, gate.flags ?? "g"]),
+  ];
+  const regexProblems = regexes
+    .map(([name, pattern, flags]) => [name, describeRegexError(pattern, flags)])
+    .filter(([, problem]) => problem)
+    .map(([name, problem]) => `${name}: ${problem}`);
+  check(
+    "regexes",
+    regexProblems.length === 0 ? "ok" : "fail",
+    regexProblems.length === 0 ? `${regexes.length} pattern(s) compile` : regexProblems.join("; "),
+  );
 
   const context = {
     qualityDir: config.qualityDir,
-    commands: verifyConfig.commands,
-    taskId: taskIds[0] ?? "",
-    taskIds,
+    commands: Object.fromEntries(config.commands.map((entry) => [entry.name, entry.command])),
     verify: verifyConfig,
   };
+  // Malformed gates are already reported by the verify check.
+  const commandGates = gates.filter(
+    (entry) => (entry.type === "command" || entry.type === "custom_script") && typeof entry.command === "string",
+  );
+  for (const gate of commandGates) {
+    const missing = findUnconfiguredCommands(gate, context.commands);
+    if (missing.length > 0) {
+      // verify skips such a gate instead of failing it.
+      check(`gate ${gate.id}`, "warn", `references unconfigured command(s): ${missing.join(", ")}; verify skips it`);
+      continue;
+    }
+    const command = interpolateTemplate(gate.command, context);
+    const { program, location, undetermined } = findCommandProgram(root, command);
+    if (undetermined) {
+      check(`gate ${gate.id}`, "warn", `cannot determine the program of "${command}"; check it by hand`);
+      continue;
+    }
+    check(
+      `gate ${gate.id}`,
+      location ? "ok" : verifyConfig.enabled ? "fail" : "warn",
+      location ? `${program} -> ${location}` : `"${program}" is not an executable, builtin or script on PATH`,
+    );
+  }
 
-  const gateResults = [];
-  for (const gate of verifyConfig.gates) {
-    if (!gate || typeof gate !== "object") continue;
-    if (!gate.id || !gate.type) continue;
-    if (gate.enabled === false) continue;
-    const result = await evaluateVerifyGate(root, gate, context);
-    if (result.status === "fail") {
-      const waiver = findMatchingWaiver(waivers, result, taskIds);
-      if (waiver) {
-        gateResults.push({
-          ...result,
-          status: "waived",
-          waiver: {
-            gateId: waiver.gateId ?? result.id,
-            taskId: waiver.taskId ?? null,
-            reason: waiver.reason ?? "",
-            approvedBy: waiver.approvedBy ?? "",
-            expiresAt: waiver.expiresAt ?? null,
-          },
-        });
-        continue;
+  // Schemas whose path does not depend on the task id can be checked ahead of a run, each with the files its gates
+  // preload.
+  const schemaFiles = new Map(
+    verifyConfig.requiredTaskEvidence ? [[resolvePathFromRoot(root, verifyConfig.evidenceSchemaFile), new Set()]] : [],
+  );
+  for (const gate of gates.filter((entry) => entry.type === "json_schema")) {
+    const schemaFile = interpolateTemplate(gate.schemaFile, context);
+    if (typeof schemaFile !== "string" || schemaFile.includes("${")) continue;
+    const schemaPath = resolvePathFromRoot(root, schemaFile);
+    const preload = schemaFiles.get(schemaPath) ?? new Set();
+    for (const path of Array.isArray(gate.preloadSchemas) ? gate.preloadSchemas : []) {
+      const preloadPath = interpolateTemplate(path, context);
+      if (typeof preloadPath === "string" && !preloadPath.includes("${")) preload.add(resolvePathFromRoot(root, preloadPath));
+    }
+    schemaFiles.set(schemaPath, preload);
+  }
+  const schemaCache = new Map();
+  for (const [schemaPath, preload] of [...schemaFiles].filter(([path]) => Boolean(path))) {
+    const label = `schema ${relative(root, schemaPath)}`;
+    if (!existsSync(schemaPath)) {
+      check(label, verifyConfig.enabled ? "fail" : "warn", "file not found");
+      continue;
+    }
+    try {
+      const { root: document, documents, missingRefs } = await loadSchemaDocuments(root, schemaPath, {
+        preload: [...preload],
+        cache: schemaCache,
+      });
+      const validator = createSchemaValidator(document.schema, { documents, baseUri: document.uri });
+      if (validator.schemaErrors.length > 0) {
+        check(label, "fail", validator.schemaErrors.join("; "));
+      } else if (missingRefs.length > 0) {
+        check(
+          label,
+          verifyConfig.enabled ? "fail" : "warn",
+          `unresolved $ref: ${missingRefs.map(({ ref, from }) => `${ref} (from ${from})`).join(", ")}`,
+        );
+      } else {
+        check(label, "ok", `${validator.draft} schema${documents.length > 0 ? ` (+${documents.length} referenced file(s))` : ""}`);
       }
+    } catch (error) {
+      check(label, "fail", error instanceof Error ? error.message : String(error));
     }
-    gateResults.push(result);
   }
 
-  const failedRequiredGates = gateResults.filter((result) => result.required && result.status === "fail");
-  const verification = {
-    version: 1,
-    verifiedAt: new Date().toISOString(),
-    configPath: relative(root, configPath),
-    enabled: true,
-    taskIds,
-    policyPacks: verifyConfig.loadedPolicyPacks,
-    missingTaskId: taskIdFailure,
-    gateCounts: {
-      total: gateResults.length,
-      passed: gateResults.filter((result) => result.status === "pass").length,
-      failed: gateResults.filter((result) => result.status === "fail").length,
-      waived: gateResults.filter((result) => result.status === "waived").length,
-    },
-    failures: {
-      missingTaskId: taskIdFailure,
-      requiredGateFailures: failedRequiredGates.length,
-    },
-    waiversFile: verifyConfig.waiversFile,
-    gates: gateResults,
-  };
-
-  const verificationPath = join(qualityDir, "verification.json");
-  await writeFile(verificationPath, `${JSON.stringify(verification, null, 2)}\n`, "utf8");
-
-  const failed = taskIdFailure || failedRequiredGates.length > 0;
-  if (asJson) {
-    console.log(JSON.stringify(verification, null, 2));
+  const waiversPath = resolvePathFromRoot(root, verifyConfig.waiversFile);
+  if (!waiversPath || !existsSync(waiversPath)) {
+    check("waivers", "ok", "no waivers file");
   } else {
-    console.log(`Verify gates: ${verification.gateCounts.total}`);
-    console.log(`Passed: ${verification.gateCounts.passed}`);
-    console.log(`Waived: ${verification.gateCounts.waived}`);
-    console.log(`Failed: ${verification.gateCounts.failed}`);
-    if (taskIdFailure) {
-      console.log("Missing required task ID for evidence-linked verification.");
+    try {
+      const waivers = await loadWaivers(root, verifyConfig.waiversFile);
+      check("waivers", "ok", `${waivers.length} waiver(s) in ${relative(root, waiversPath)}`);
+    } catch (error) {
+      check("waivers", "fail", error instanceof Error ? error.message : String(error));
     }
-    console.log(`Verification artifact: ${relative(root, verificationPath)}`);
   }
 
-  if (failed) {
-    process.exitCode = 1;
-  }
+  finish();
 }
 
 async function runInit(configPathArg) {
@@ -1491,7 +5843,7 @@ async function runDispatch(configPathArg, options = {}) {
     await createDefaultConfig(configPath, root, { silent: asJson });
   }
 
-  const userConfig = JSON.parse(await readFile(configPath, "utf8"));
+  const userConfig = await loadConfigFile(configPath);
   const config = normalizeConfig(userConfig);
   const qualityDir = join(root, config.qualityDir);
   const scorecardPath = join(qualityDir, "scorecard.json");
@@ -1505,7 +5857,7 @@ async function runDispatch(configPathArg, options = {}) {
   }
 
   const scorecard = JSON.parse(await readFile(scorecardPath, "utf8"));
-  const patternsFile = JSON.parse(await readFile(patternsPath, "utf8"));
+  const patternsFile = migratePatternsFile(JSON.parse(await readFile(patternsPath, "utf8")));
   const dispatch = await writeDispatchBundle({
     root,
     qualityDir,
@@ -1545,7 +5897,7 @@ async function runRalphLoop(configPathArg, actionArg, asJson = false) {
     await createDefaultConfig(configPath, root);
   }
 
-  const userConfig = JSON.parse(await readFile(configPath, "utf8"));
+  const userConfig = await loadConfigFile(configPath);
   const config = normalizeConfig(userConfig);
   const qualityDir = join(root, config.qualityDir);
   const dispatchDir = join(qualityDir, "dispatch");
@@ -1681,17 +6033,42 @@ async function runRalphLoop(configPathArg, actionArg, asJson = false) {
 }
 
 async function main() {
-  const { mode, configPath, action, json, taskId } = parseArgs(process.argv.slice(2));
+  const { mode, configPath, action, json, taskId, base, head, rule, commit, window, resolved, explain, dryRun } =
+    parseArgs(process.argv.slice(2));
   if (mode === "init") {
     await runInit(configPath);
     return;
   }
+  if (mode === "baseline") {
+    await runBaseline(configPath);
+    return;
+  }
   if (mode === "reflect") {
-    await runReflect(configPath);
+    await runReflect(configPath, { base });
+    return;
+  }
+  if (mode === "compare") {
+    await runCompare(configPath, { base, head, json });
+    return;
+  }
+  if (mode === "mark-prevented") {
+    await runMarkPrevented(configPath, action, { rule, commit, json });
+    return;
+  }
+  if (mode === "trend") {
+    await runTrend(configPath, { json, window });
+    return;
+  }
+  if (mode === "config") {
+    await runConfig(configPath, action, { resolved, json });
+    return;
+  }
+  if (mode === "doctor") {
+    await runDoctor(configPath, { json });
     return;
   }
   if (mode === "verify") {
-    await runVerify(configPath, { json, taskId });
+    await runVerify(configPath, { json, taskId, base, explain, dryRun });
     return;
   }
   if (mode === "dispatch") {
@@ -1706,7 +6083,90 @@ async function main() {
   process.exit(1);
 }
 
-main().catch((error) => {
-  console.error(error instanceof Error ? error.message : error);
-  process.exit(1);
-});
+// The schema validator is importable (scripts/json-schema-test-suite.mjs) without running the CLI.
+export { createSchemaValidator, validateJsonAgainstSchema };
+// Internal helpers, exported for the unit tests in test/.
+export {
+  analyzeMetricTrend,
+  buildActionItems,
+  buildBaselineEntries,
+  buildComparison,
+  buildDispatchTasks,
+  buildLintRulePatch,
+  buildPolicyRulePatch,
+  combineCoverageMetrics,
+  computeComponentScores,
+  countLintViolations,
+  createLogWriter,
+  createOutputTail,
+  decayedPatternCount,
+  dedupeDiagnostics,
+  describeRatchet,
+  detectLintRulePatterns,
+  detectPatterns,
+  diagnosticFingerprint,
+  diffDiagnostics,
+  discoverErrorSignatures,
+  evaluateRatchets,
+  expandGlob,
+  findPackageCoverageRegressions,
+  findScoreStreaks,
+  findSignificantScoreDrops,
+  formatPatternOccurrence,
+  globToRegExp,
+  loadSchemaDocuments,
+  mergePatternExamples,
+  migratePatternsFile,
+  normalizeCommandEntry,
+  normalizeConfig,
+  normalizeErrorSignature,
+  normalizeLintReportsConfig,
+  normalizePatternDecay,
+  normalizeRatchetsConfig,
+  parseBiomeReport,
+  parseChangedLines,
+  parseCobertura,
+  parseEslintReport,
+  parseIstanbulSummary,
+  parseJunitReport,
+  parseLcov,
+  parseSarifReport,
+  parseTests,
+  parseTypeDiagnostics,
+  partitionByBaseline,
+  patternRunWeight,
+  patternState,
+  pruneLogRuns,
+  ratchetCoverageFloor,
+  readCoverage,
+  readLineHits,
+  readLintReports,
+  readTestReports,
+  recommendationForCount,
+  renderAppendPatch,
+  renderComparisonMarkdown,
+  renderDiagnosticGroups,
+  renderNewFilePatch,
+  renderPreventionReport,
+  resolveComponentWeights,
+  resolveGateTimeoutMs,
+  runCommand,
+  runCommands,
+  seedPatternRuns,
+  shrinkBaseline,
+  signatureToRulePattern,
+  summarizeDiffCoverage,
+  summarizeLintDiagnostics,
+  toPatternOccurrence,
+  trimPatternRuns,
+  updateSignatureCandidates,
+  validateCommandDependencies,
+  validateConfigShape,
+};
+
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main().catch((error) => {
+    console.error(error instanceof Error ? error.message : error);
+    process.exit(1);
+  });
+}
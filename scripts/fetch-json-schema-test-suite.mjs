@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Checks out the pinned release of https://github.com/json-schema-org/JSON-Schema-Test-Suite into
+// .json-schema-test-suite/ (git-ignored) for scripts/json-schema-test-suite.mjs:
+//
+//   node scripts/fetch-json-schema-test-suite.mjs [--ref <tag-or-commit>]
+//
+// An existing checkout is reused when it is already at the pinned ref.
+import { spawnSync } from "node:child_process";
+import { existsSync, rmSync } from "node:fs";
+import { dirname, join } from "node:path";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+
+const SUITE_REPOSITORY = "https://github.com/json-schema-org/JSON-Schema-Test-Suite.git";
+const SUITE_REF = "23.1.0";
+
+const suiteDir = join(dirname(dirname(fileURLToPath(import.meta.url))), ".json-schema-test-suite");
+
+function git(args, options = {}) {
+  const result = spawnSync("git", args, { encoding: "utf8", ...options });
+  if ((result.status ?? 1) !== 0) {
+    throw new Error(`git ${args.join(" ")} failed: ${String(result.stderr || result.error?.message || "").trim()}`);
+  }
+  return String(result.stdout).trim();
+}
+
+const args = process.argv.slice(2);
+const refIndex = args.indexOf("--ref");
+const ref = refIndex === -1 ? SUITE_REF : args[refIndex + 1];
+if (!ref) {
+  console.error("Usage: node scripts/fetch-json-schema-test-suite.mjs [--ref <tag-or-commit>]");
+  process.exit(2);
+}
+
+try {
+  if (existsSync(join(suiteDir, ".git"))) {
+    const current = git(["-C", suiteDir, "rev-parse", "HEAD"]);
+    const wanted = spawnSync("git", ["-C", suiteDir, "rev-parse", "--verify", "--quiet", `${ref}^{commit}`], { encoding: "utf8" });
+    if (String(wanted.stdout).trim() === current) {
+      console.log(`JSON-Schema-Test-Suite ${ref} (${current}) already in ${suiteDir}`);
+      process.exit(0);
+    }
+    rmSync(suiteDir, { recursive: true, force: true });
+  }
+  git(["init", "--quiet", suiteDir]);
+  git(["-C", suiteDir, "fetch", "--quiet", "--depth", "1", SUITE_REPOSITORY, ref]);
+  git(["-C", suiteDir, "checkout", "--quiet", "--detach", "FETCH_HEAD"]);
+  if (!/^[0-9a-f]{40}$/.test(ref)) git(["-C", suiteDir, "tag", ref, "FETCH_HEAD"]);
+  console.log(`JSON-Schema-Test-Suite ${ref} (${git(["-C", suiteDir, "rev-parse", "HEAD"])}) -> ${suiteDir}`);
+} catch (error) {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+}
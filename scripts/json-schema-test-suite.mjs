@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+// Runs the json_schema gate validator against a checkout of
+// https://github.com/json-schema-org/JSON-Schema-Test-Suite:
+//
+//   node scripts/json-schema-test-suite.mjs <suite-dir> [draft7|draft2020-12] [--optional] [--verbose] [--skip <file>]
+//
+// The suite's remotes/ directory is registered as http://localhost:1234/. Tests
+// that need a metaschema are skipped, since the validator never fetches schemas.
+// --skip reads a JSON object whose keys are test files relative to the draft
+// directory ("optional/bignum.json") or a file and group description joined by
+// "#", and whose values say why those tests are skipped.
+import { readdirSync, readFileSync, statSync } from "node:fs";
+import { join } from "node:path";
+import process from "node:process";
+import { createSchemaValidator } from "../bin/compound-quality.mjs";
+
+const SUITE_DRAFTS = {
+  draft7: "draft-07",
+  "draft2020-12": "2020-12",
+};
+
+const METASCHEMA_PATTERN = /https?:\/\/json-schema\.org\//;
+
+function listJsonFiles(dir) {
+  return readdirSync(dir, { recursive: true })
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => name.split("\\").join("/"));
+}
+
+// Lists the draft's test files, and with `includeOptional` those in optional/ and its subdirectories (format/).
+function listTestFiles(dir, includeOptional, inOptional = false) {
+  const files = [];
+  for (const name of readdirSync(dir).sort()) {
+    const path = join(dir, name);
+    if (statSync(path).isDirectory()) {
+      if (includeOptional && (inOptional || name === "optional")) {
+        files.push(...listTestFiles(path, true, true));
+      }
+      continue;
+    }
+    if (name.endsWith(".json")) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+const args = process.argv.slice(2);
+const skipIndex = args.indexOf("--skip");
+const skipFile = skipIndex === -1 ? null : args[skipIndex + 1];
+if (skipIndex !== -1) args.splice(skipIndex, 2);
+const flags = new Set(args.filter((arg) => arg.startsWith("--")));
+const [suiteDir, suiteDraft = "draft2020-12"] = args.filter((arg) => !arg.startsWith("--"));
+const draft = SUITE_DRAFTS[suiteDraft];
+if (!suiteDir || !draft || (skipIndex !== -1 && !skipFile)) {
+  console.error(
+    "Usage: node scripts/json-schema-test-suite.mjs <suite-dir> [draft7|draft2020-12] [--optional] [--verbose] [--skip <file>]",
+  );
+  process.exit(2);
+}
+const skips = skipFile ? JSON.parse(readFileSync(skipFile, "utf8")) : {};
+
+const testsDir = join(suiteDir, "tests", suiteDraft);
+const remotesDir = join(suiteDir, "remotes");
+const documents = listJsonFiles(remotesDir).map((name) => ({
+  uri: `http://localhost:1234/${name}`,
+  label: `remotes/${name}`,
+  schema: JSON.parse(readFileSync(join(remotesDir, name), "utf8")),
+}));
+const totals = { passed: 0, failed: 0, skipped: 0 };
+for (const file of listTestFiles(testsDir, flags.has("--optional"))) {
+  const name = file.slice(testsDir.length + 1);
+  // Only optional/format/* expects formats to be asserted.
+  const assertFormat = name.startsWith("optional/format/");
+  const counts = { passed: 0, failed: 0, skipped: 0 };
+  for (const group of JSON.parse(readFileSync(file, "utf8"))) {
+    if (skips[name] !== undefined || skips[`${name}#${group.description}`] !== undefined) {
+      counts.skipped += group.tests.length;
+      continue;
+    }
+    if (METASCHEMA_PATTERN.test(JSON.stringify(group.schema).replace(/"\$(schema|id)":"[^"]*"/g, ""))) {
+      counts.skipped += group.tests.length;
+      continue;
+    }
+    let validator;
+    try {
+      validator = createSchemaValidator(group.schema, { draft, assertFormat, documents });
+    } catch (error) {
+      counts.failed += group.tests.length;
+      console.log(`  ${name}: ${group.description}: ${error instanceof Error ? error.message : error}`);
+      continue;
+    }
+    for (const test of group.tests) {
+      const valid = validator.validate(test.data).length === 0;
+      if (valid === test.valid) {
+        counts.passed += 1;
+      } else {
+        counts.failed += 1;
+        if (flags.has("--verbose")) {
+          console.log(`  ${name}: ${group.description}: ${test.description} (expected ${test.valid ? "valid" : "invalid"})`);
+        }
+      }
+    }
+  }
+  if (counts.failed > 0 || flags.has("--verbose")) {
+    console.log(`${name}: ${counts.passed} passed, ${counts.failed} failed, ${counts.skipped} skipped`);
+  }
+  totals.passed += counts.passed;
+  totals.failed += counts.failed;
+  totals.skipped += counts.skipped;
+}
+
+console.log(`${suiteDraft}: ${totals.passed} passed, ${totals.failed} failed, ${totals.skipped} skipped`);
+process.exit(totals.failed > 0 ? 1 : 0);
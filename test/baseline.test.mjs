@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+  buildBaselineEntries,
+  diagnosticFingerprint,
+  partitionByBaseline,
+  shrinkBaseline,
+} from "../bin/compound-quality.mjs";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+const COVERAGE = { packageDirs: ["."], expectedPackages: 1 };
+
+const root = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+const typeError = (file, line, code, message) => ({ file, line, column: 1, code, message, command: "typecheck" });
+
+test("fingerprints ignore line numbers and digits in messages but keep file, code and source", () => {
+  const error = typeError("src/a.ts", 3, "TS2554", "Expected 2 arguments, but got 1.");
+  assert.match(diagnosticFingerprint("typescript", error), /^[0-9a-f]{16}$/);
+  assert.equal(
+    diagnosticFingerprint("typescript", error),
+    diagnosticFingerprint("typescript", typeError("src/a.ts", 40, "TS2554", "Expected 3  arguments, but got 2.")),
+  );
+  for (const other of [
+    typeError("src/b.ts", 3, "TS2554", error.message),
+    typeError("src/a.ts", 3, "TS2555", error.message),
+    typeError("src/a.ts", 3, "TS2554", "Expected arguments."),
+  ]) {
+    assert.notEqual(diagnosticFingerprint("typescript", error), diagnosticFingerprint("typescript", other));
+  }
+  assert.notEqual(diagnosticFingerprint("typescript", error), diagnosticFingerprint("lint", error));
+  // Lint diagnostics are keyed by rule.
+  assert.equal(
+    diagnosticFingerprint("lint", { file: "src/a.ts", rule: "no-console", message: "Unexpected console statement." }),
+    diagnosticFingerprint("lint", { file: "src/a.ts", code: "no-console", message: "Unexpected console statement." }),
+  );
+});
+
+test("a fingerprint baselined N times absorbs its first N occurrences and shrinks to what is still reported", () => {
+  const legacy = [
+    typeError("src/a.ts", 1, "TS7006", "Parameter 'a' implicitly has an 'any' type."),
+    typeError("src/a.ts", 9, "TS7006", "Parameter 'a' implicitly has an 'any' type."),
+    typeError("src/b.ts", 2, "TS2304", "Cannot find name 'x'."),
+  ];
+  const entries = buildBaselineEntries({ typescript: legacy, lint: [] });
+  assert.deepEqual(Object.values(entries), [
+    { source: "typescript", file: "src/a.ts", code: "TS7006", message: "Parameter 'a' implicitly has an 'any' type.", count: 2 },
+    { source: "typescript", file: "src/b.ts", code: "TS2304", message: "Cannot find name 'x'.", count: 1 },
+  ]);
+
+  const current = [legacy[0], legacy[1], legacy[1], typeError("src/c.ts", 1, "TS2304", "Cannot find name 'y'.")];
+  const { fresh, known, seen } = partitionByBaseline(current, "typescript", entries);
+  assert.equal(known, 2);
+  assert.deepEqual(
+    fresh.map(({ file, line }) => `${file}:${line}`),
+    ["src/a.ts:9", "src/c.ts:1"],
+  );
+  // The same fingerprint under another source is not covered.
+  assert.equal(partitionByBaseline(legacy, "lint", entries).known, 0);
+
+  // src/b.ts was fixed; src/a.ts still has (more than) its two.
+  assert.equal(shrinkBaseline(entries, "typescript", seen), 1);
+  assert.deepEqual(
+    Object.values(entries).map(({ file, count }) => ({ file, count })),
+    [{ file: "src/a.ts", count: 2 }],
+  );
+  assert.equal(shrinkBaseline(entries, "lint", new Map()), 0);
+});
+
+function run(mode, commands, expectedStatus = 0) {
+  writeFileSync(join(root, ".compound-quality.json"), JSON.stringify({ version: 1, commands, coverage: COVERAGE }));
+  const result = spawnSync(process.execPath, [CLI, mode, ...(mode === "reflect" ? ["--json"] : [])], { cwd: root, encoding: "utf8" });
+  assert.equal(result.status, expectedStatus, result.stderr);
+  return result.stdout;
+}
+
+const readJson = (file) => JSON.parse(readFileSync(join(root, file), "utf8"));
+
+test("reflect counts only diagnostics missing from the baseline and keeps the baseline on a crashed typecheck", () => {
+  const typecheck = { typecheck: "cat tsc.txt" };
+  writeFileSync(
+    join(root, "tsc.txt"),
+    [
+      "src/a.ts(1,1): error TS7006: Parameter 'a' implicitly has an 'any' type.",
+      "src/a.ts(9,1): error TS7006: Parameter 'a' implicitly has an 'any' type.",
+      "src/b.ts(2,5): error TS2304: Cannot find name 'x'.",
+    ].join("\n"),
+  );
+  assert.match(run("baseline", typecheck), /^Baselined 3 type errors and 0 lint diagnostics \(2 fingerprints\)\./m);
+
+  run("reflect", typecheck);
+  let scorecard = readJson(".quality/scorecard.json");
+  assert.equal(scorecard.metrics.typeErrors, 0);
+  assert.deepEqual(scorecard.baseline, {
+    file: ".quality/baseline.json",
+    knownTypeErrors: 3,
+    knownLintDiagnostics: 0,
+    fixed: 0,
+    remaining: 3,
+  });
+  assert.ok(!scorecard.actionItems.some((item) => item.includes("TypeScript errors")));
+
+  // b.ts is fixed and c.ts gains a new error.
+  writeFileSync(
+    join(root, "tsc.txt"),
+    [
+      "src/a.ts(1,1): error TS7006: Parameter 'a' implicitly has an 'any' type.",
+      "src/a.ts(12,1): error TS7006: Parameter 'a' implicitly has an 'any' type.",
+      "src/c.ts(1,1): error TS2304: Cannot find name 'y'.",
+    ].join("\n"),
+  );
+  run("reflect", typecheck);
+  scorecard = readJson(".quality/scorecard.json");
+  assert.equal(scorecard.metrics.typeErrors, 1);
+  assert.deepEqual(scorecard.baseline, {
+    file: ".quality/baseline.json",
+    knownTypeErrors: 2,
+    knownLintDiagnostics: 0,
+    fixed: 1,
+    remaining: 2,
+  });
+  assert.deepEqual(
+    Object.values(readJson(".quality/baseline.json").entries).map(({ file, count }) => ({ file, count })),
+    [{ file: "src/a.ts", count: 2 }],
+  );
+
+  // A typecheck that fails without output does not empty the baseline.
+  run("reflect", { typecheck: "cat missing-tsc.txt" }, 1);
+  scorecard = readJson(".quality/scorecard.json");
+  assert.equal(scorecard.baseline.fixed, 0);
+  assert.equal(scorecard.baseline.remaining, 2);
+});
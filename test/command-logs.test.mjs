@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, readdirSync, readFileSync, rmSync, statSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+import { createLogWriter, createOutputTail, pruneLogRuns, runCommand } from "../bin/compound-quality.mjs";
+
+const NODE = JSON.stringify(process.execPath);
+
+const root = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+test("stdout and stderr stream to the log file without ANSI colors", async () => {
+  const logPath = join(root, "logs", "run-1", "test.log");
+  const result = await runCommand(root, "test", "printf '\\033[31mred\\033[0m\\n'; echo err >&2; printf tail", { logPath });
+  assert.equal(result.status, "passed");
+  assert.equal(result.logPath, logPath);
+  assert.equal(result.logWarning, null);
+  assert.equal(result.stdout, "\u001b[31mred\u001b[0m\ntail");
+  assert.equal(result.stderr, "err\n");
+  // The two pipes interleave in any order, but never within a line.
+  assert.deepEqual(readFileSync(logPath, "utf8").split("\n").sort(), ["err", "red", "tail"]);
+});
+
+test("output beyond the in-memory limit is cut to a tail while the log keeps all of it", async () => {
+  const logPath = join(root, "logs", "run-1", "big.log");
+  const script = "const line = 'x'.repeat(1023) + '\\n'; for (let i = 0; i < 9 * 1024; i += 1) process.stdout.write(line); console.log('last');";
+  const result = await runCommand(root, "big", `${NODE} -e "${script}"`, { logPath });
+  assert.equal(result.status, "passed");
+  assert.equal(result.outputTruncated, true);
+  assert.ok(result.stdout.length <= 8 * 1024 * 1024);
+  assert.ok(result.stdout.startsWith("x"));
+  assert.ok(result.stdout.endsWith("last\n"));
+  assert.equal(statSync(logPath).size, 9 * 1024 * 1024 + "last\n".length);
+});
+
+test("a log directory that cannot be created is a warning, not a failed run", async () => {
+  writeFileSync(join(root, "not-a-dir"), "");
+  const result = await runCommand(root, "lint", "echo fine", { logPath: join(root, "not-a-dir", "lint.log") });
+  assert.equal(result.status, "passed");
+  assert.equal(result.stdout, "fine\n");
+  assert.match(result.logWarning, /^Could not write .*not-a-dir\/lint\.log: /);
+});
+
+test("an unfinished stdout line is not spliced into a stderr line", async () => {
+  const logPath = join(root, "interleaved.log");
+  const writer = createLogWriter(logPath);
+  writer.write("progress 50%", "stdout");
+  writer.write("warning: slow\n", "stderr");
+  writer.write(" done\n", "stdout");
+  await writer.end();
+  assert.equal(readFileSync(logPath, "utf8"), "warning: slow\nprogress 50% done\n");
+});
+
+test("a log file that fails mid-run stops logging with a warning", async () => {
+  mkdirSync(join(root, "dir.log"));
+  const writer = createLogWriter(join(root, "dir.log"));
+  writer.write("line\n");
+  await writer.end();
+  assert.match(writer.warning, /^Stopped writing .*dir\.log: /);
+  assert.equal(writer.write("more\n"), true);
+});
+
+test("the output tail starts at a line boundary once it is truncated", () => {
+  const tail = createOutputTail();
+  tail.append("first line\n");
+  assert.equal(String(tail), "first line\n");
+  assert.equal(tail.truncated, false);
+  tail.append(`${"y".repeat(8 * 1024 * 1024)}\nend\n`);
+  assert.equal(tail.truncated, true);
+  assert.equal(String(tail), "end\n");
+});
+
+test("only the newest log runs are kept", async () => {
+  const logsDir = join(root, "pruned");
+  for (const run of ["2026-01-01", "2026-01-02", "2026-01-03"]) mkdirSync(join(logsDir, run), { recursive: true });
+  await pruneLogRuns(logsDir, 2);
+  assert.deepEqual(readdirSync(logsDir).sort(), ["2026-01-02", "2026-01-03"]);
+});
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  buildActionItems,
+  computeComponentScores,
+  normalizeCommandEntry,
+  normalizeConfig,
+  resolveComponentWeights,
+} from "../bin/compound-quality.mjs";
+
+const COVERAGE = { packageDirs: ["."], expectedPackages: 1 };
+const CLASSIC_COMMANDS = { typecheck: "tsc", lint: "eslint .", test: "vitest run", build: "vite build" };
+// 2 type errors, 5 lint violations, 9/10 tests, 60% coverage and a passing build.
+const METRICS = { typeErrors: 2, lintViolations: 5, testsPassed: 9, testsFailed: 1, coveragePct: 60, buildExitCode: 0 };
+
+const score = (commands, commandScores = {}) => {
+  const config = normalizeConfig({ version: 1, commands, coverage: COVERAGE });
+  return computeComponentScores(METRICS, resolveComponentWeights(config), commandScores);
+};
+
+test("built-in commands are scored by default and custom commands are gates", () => {
+  assert.equal(normalizeCommandEntry("lint", "eslint .").role, "scored");
+  assert.equal(normalizeCommandEntry("lint", "eslint .").builtin, true);
+  assert.deepEqual(
+    (({ role, builtin, weight, testParser }) => ({ role, builtin, weight, testParser }))(normalizeCommandEntry("audit", "npm audit")),
+    { role: "gate", builtin: false, weight: 0.1, testParser: "none" },
+  );
+  assert.equal(normalizeCommandEntry("test", "vitest run").testParser, "auto");
+});
+
+test("invalid command entries name the offending field", () => {
+  assert.throws(() => normalizeCommandEntry("audit", {}), /Invalid command config for "audit"/);
+  assert.throws(() => normalizeCommandEntry("audit", { command: "x", role: "optional" }), /commands\.audit\.role must be one of/);
+  assert.throws(() => normalizeCommandEntry("lint", { command: "x", weight: 0.5 }), /use weights\.lintCompliance/);
+  assert.throws(() => normalizeCommandEntry("audit", { command: "x", weight: -1 }), /weight must be a non-negative number/);
+  assert.throws(() => normalizeCommandEntry("audit", { command: "x", testParser: "junit" }), /testParser must be one of/);
+});
+
+test("the four built-in commands keep the original weighted sum", () => {
+  // 0.25 * 84 + 0.3 * 90 + 0.15 * 80 + 0.2 * 60 + 0.1 * 100
+  assert.deepEqual(score(CLASSIC_COMMANDS), {
+    overall: 82,
+    components: { typeSafety: 84, testHealth: 90, lintCompliance: 80, coverageLevel: 60, buildStability: 100 },
+  });
+});
+
+test("an omitted built-in command drops out and the remaining weights are renormalized", () => {
+  const { overall, components } = score({ typecheck: "tsc", test: "vitest run" });
+  assert.deepEqual(Object.keys(components), ["typeSafety", "testHealth", "coverageLevel"]);
+  // (0.25 * 84 + 0.3 * 90 + 0.2 * 60) / 0.75
+  assert.equal(overall, 80);
+});
+
+test("a scored custom command adds its own weighted component", () => {
+  const commands = { ...CLASSIC_COMMANDS, audit: { command: "npm audit", role: "scored", weight: 0.2 } };
+  assert.equal(score(commands, { audit: 0 }).components.audit, 0);
+  // (82 + 0.2 * 0) / 1.2
+  assert.equal(score(commands, { audit: 0 }).overall, 68.33);
+  assert.equal(score(commands, { audit: 100 }).overall, 85);
+});
+
+test("gate and informational commands do not change the score", () => {
+  const withGate = score({ ...CLASSIC_COMMANDS, audit: "npm audit" }, { audit: 0 });
+  assert.equal(withGate.components.audit, undefined);
+  const informationalLint = score({ ...CLASSIC_COMMANDS, lint: { command: "eslint .", role: "informational" } });
+  assert.equal(informationalLint.components.lintCompliance, undefined);
+  // (0.25 * 84 + 0.3 * 90 + 0.2 * 60 + 0.1 * 100) / 0.85
+  assert.equal(informationalLint.overall, 82.35);
+});
+
+test("informational built-in commands produce no action items", () => {
+  const metrics = { ...METRICS, buildExitCode: 1, coverageQualified: true, coverageFloor: 50 };
+  assert.deepEqual(buildActionItems(metrics), [
+    "Fix 2 TypeScript errors before merge.",
+    "Resolve 5 lint violations.",
+    "Address 1 failing tests.",
+    "Build is unstable; fix build failures before enabling automation.",
+  ]);
+  assert.deepEqual(buildActionItems({ ...metrics, informationalCommands: ["typecheck", "lint", "test", "build"] }), [
+    "Quality gates passed. Promote one repeated issue pattern into prevention rules this session.",
+  ]);
+});
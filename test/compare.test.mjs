@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { buildComparison, diffDiagnostics, renderComparisonMarkdown } from "../bin/compound-quality.mjs";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+const CONFIG = { version: 1, commands: { typecheck: "cat tsc.txt" }, coverage: { packageDirs: ["."], expectedPackages: 1 } };
+
+const root = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+const typeError = (file, line, code, message) => ({ file, line, column: 1, code, message, command: "typecheck" });
+
+function git(...args) {
+  const result = spawnSync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args], {
+    cwd: root,
+    encoding: "utf8",
+  });
+  assert.equal(result.status, 0, result.stderr);
+  return result.stdout.trim();
+}
+
+// One side of a comparison, as measured in a worktree.
+function measured(ref, overall, metrics, typescript, patterns = {}) {
+  return {
+    ref,
+    commit: `${ref}0123456789abcdef`.padEnd(40, "0"),
+    score: { overall },
+    metrics,
+    commandResults: [],
+    diagnostics: { typescript, lint: [] },
+    patterns,
+  };
+}
+
+test("diagnostics that only moved are neither new nor fixed", () => {
+  const base = [typeError("src/a.ts", 3, "TS2322", "x"), typeError("src/a.ts", 8, "TS2322", "x"), typeError("src/b.ts", 1, "TS2304", "y")];
+  const head = [typeError("src/a.ts", 13, "TS2322", "x"), typeError("src/c.ts", 1, "TS2304", "z")];
+  const { new: added, fixed } = diffDiagnostics(base, head, "typescript");
+  assert.deepEqual(
+    added.map(({ file, line }) => `${file}:${line}`),
+    ["src/c.ts:1"],
+  );
+  assert.deepEqual(
+    fixed.map(({ file, line }) => `${file}:${line}`),
+    ["src/a.ts:8", "src/b.ts:1"],
+  );
+});
+
+test("a comparison lists metric deltas and only the patterns whose counts changed", () => {
+  const comparison = buildComparison(
+    measured("main", 80, { typeErrors: 2, coveragePct: 70.5 }, [typeError("src/b.ts", 1, "TS2304", "Cannot find name 'y'.")], {
+      "any-type": 3,
+      todo: 1,
+    }),
+    measured("HEAD", 75.25, { typeErrors: 1, coveragePct: 70.1 }, [typeError(null, null, "TS5023", "Unknown option.")], {
+      "any-type": 3,
+      "lint:no-console": 2,
+    }),
+  );
+  assert.deepEqual(comparison.score, { base: 80, head: 75.25, delta: -4.75 });
+  assert.deepEqual(comparison.metrics, {
+    typeErrors: { base: 2, head: 1, delta: -1 },
+    coveragePct: { base: 70.5, head: 70.1, delta: -0.4 },
+  });
+  assert.deepEqual(comparison.patterns, {
+    todo: { base: 1, head: 0, delta: -1 },
+    "lint:no-console": { base: 0, head: 2, delta: 2 },
+  });
+
+  const markdown = renderComparisonMarkdown(comparison);
+  assert.match(markdown, /^# Quality Compare: main \(main01234567\) vs HEAD \(HEAD01234567\)$/m);
+  assert.match(markdown, /^- Score: \*\*80 -> 75\.25\*\* \(-4\.75\)$/m);
+  assert.match(markdown, /^\| typeErrors \| 2 \| 1 \| -1 \|$/m);
+  assert.match(markdown, /^### New \(1\)\n- \(global\) TS5023: Unknown option\.$/m);
+  assert.match(markdown, /^### Fixed \(1\)\n- src\/b\.ts:1 TS2304: Cannot find name 'y'\.$/m);
+  assert.match(markdown, /^- lint:no-console: 0 -> 2 \(\+2\)$/m);
+});
+
+test("compare measures both refs in temporary worktrees and writes compare.json and compare.md", () => {
+  git("init", "--quiet", "--initial-branch=main");
+  writeFileSync(join(root, ".gitignore"), ".quality/\n");
+  writeFileSync(join(root, ".compound-quality.json"), JSON.stringify(CONFIG));
+  writeFileSync(
+    join(root, "tsc.txt"),
+    "src/a.ts(3,1): error TS2322: Type 'string' is not assignable to type 'number'.\nsrc/b.ts(1,1): error TS2304: Cannot find name 'y'.\n",
+  );
+  git("add", "-A");
+  git("commit", "--quiet", "-m", "base");
+  writeFileSync(
+    join(root, "tsc.txt"),
+    [
+      "src/a.ts(9,1): error TS2322: Type 'string' is not assignable to type 'number'.",
+      "src/c.ts(2,1): error TS7006: Parameter 'p' implicitly has an 'any' type.",
+    ].join("\n"),
+  );
+  git("commit", "--quiet", "-am", "head");
+  // An uncommitted change is not part of either ref.
+  writeFileSync(join(root, "tsc.txt"), "");
+
+  const result = spawnSync(process.execPath, [CLI, "compare", "--base", "HEAD~1", "--json"], { cwd: root, encoding: "utf8" });
+  assert.equal(result.status, 0, result.stderr);
+  const summary = JSON.parse(result.stdout);
+  assert.equal(summary.newDiagnostics, 1);
+  assert.equal(summary.fixedDiagnostics, 1);
+
+  const comparison = JSON.parse(readFileSync(join(root, ".quality/compare.json"), "utf8"));
+  assert.equal(comparison.base.commit, git("rev-parse", "HEAD~1"));
+  assert.equal(comparison.head.commit, git("rev-parse", "HEAD"));
+  assert.deepEqual(comparison.metrics.typeErrors, { base: 2, head: 2, delta: 0 });
+  assert.deepEqual(
+    comparison.diagnostics.typescript.new.map(({ file, code }) => `${file} ${code}`),
+    ["src/c.ts TS7006"],
+  );
+  assert.deepEqual(
+    comparison.diagnostics.typescript.fixed.map(({ file, code }) => `${file} ${code}`),
+    ["src/b.ts TS2304"],
+  );
+  assert.match(readFileSync(join(root, ".quality/compare.md"), "utf8"), /^# Quality Compare: HEAD~1 /);
+  // Both worktrees are removed again.
+  assert.equal(git("worktree", "list").split("\n").length, 1);
+});
+
+test("compare requires a base ref", () => {
+  const result = spawnSync(process.execPath, [CLI, "compare"], { cwd: root, encoding: "utf8" });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /compare requires --base <ref>/);
+});
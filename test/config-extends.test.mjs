@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+const BASE_CONFIG = { version: 1, commands: { typecheck: "true" }, coverage: { packageDirs: ["."], expectedPackages: 1 } };
+const DEFAULT_RULE_KEYS = ["cannot_find_module", "type_mismatch", "unused_symbol", "formatting_violation", "missing_test_coverage"];
+
+const dirs = [];
+after(() => dirs.forEach((dir) => rmSync(dir, { recursive: true, force: true })));
+
+function resolveConfig(files) {
+  const dir = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+  dirs.push(dir);
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(dir, name)), { recursive: true });
+    writeFileSync(join(dir, name), typeof content === "string" ? content : JSON.stringify(content));
+  }
+  const result = spawnSync(process.execPath, [CLI, "config", "print", "--resolved", "--json"], { cwd: dir, encoding: "utf8" });
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+  return JSON.parse(result.stdout);
+}
+
+test("removing a built-in pattern rule keeps the other built-in rules", () => {
+  const resolved = resolveConfig({
+    "base.json": BASE_CONFIG,
+    ".compound-quality.json": { extends: "./base.json", patterns: { rules: [{ key: "formatting_violation", $remove: true }] } },
+  });
+  assert.deepEqual(
+    resolved.config.patterns.rules.map((rule) => rule.key),
+    DEFAULT_RULE_KEYS.filter((key) => key !== "formatting_violation"),
+  );
+  assert.equal(resolved.sources["patterns.rules[type_mismatch].pattern"], "built-in defaults");
+});
+
+test("a rule added by an extending config merges into the built-in rules", () => {
+  const resolved = resolveConfig({
+    "base.json": BASE_CONFIG,
+    ".compound-quality.json": { extends: "./base.json", patterns: { rules: [{ key: "oom", pattern: "heap out of memory" }] } },
+  });
+  assert.deepEqual(resolved.config.patterns.rules.map((rule) => rule.key), [...DEFAULT_RULE_KEYS, "oom"]);
+});
+
+test("rules set by a standalone config replace the built-in rules", () => {
+  const resolved = resolveConfig({
+    ".compound-quality.json": { ...BASE_CONFIG, patterns: { rules: [{ key: "oom", pattern: "heap out of memory" }] } },
+  });
+  assert.deepEqual(resolved.config.patterns.rules.map((rule) => rule.key), ["oom"]);
+});
+
+test("a package with a JavaScript main resolves to its .compound-quality.json", () => {
+  const resolved = resolveConfig({
+    "node_modules/@acme/quality-config/package.json": { name: "@acme/quality-config", main: "index.js" },
+    "node_modules/@acme/quality-config/index.js": "module.exports = {};\n",
+    "node_modules/@acme/quality-config/.compound-quality.json": BASE_CONFIG,
+    ".compound-quality.json": { extends: "@acme/quality-config" },
+  });
+  assert.deepEqual(resolved.layers, ["@acme/quality-config", ".compound-quality.json"]);
+  assert.equal(resolved.config.commands.typecheck, "true");
+});
+
+test("a package without main resolves to its .compound-quality.json even when it has an index.js", () => {
+  const resolved = resolveConfig({
+    "node_modules/quality-config/package.json": { name: "quality-config" },
+    "node_modules/quality-config/index.js": "module.exports = {};\n",
+    "node_modules/quality-config/.compound-quality.json": BASE_CONFIG,
+    ".compound-quality.json": { extends: "quality-config" },
+  });
+  assert.equal(resolved.config.commands.typecheck, "true");
+});
+
+test("a package whose main is a JSON file resolves to that file", () => {
+  const resolved = resolveConfig({
+    "node_modules/quality-config/package.json": { name: "quality-config", main: "config/base.json" },
+    "node_modules/quality-config/config/base.json": BASE_CONFIG,
+    ".compound-quality.json": { extends: "quality-config", commands: { lint: "true" } },
+  });
+  assert.deepEqual(resolved.config.commands, { typecheck: "true", lint: "true" });
+});
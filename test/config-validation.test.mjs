@@ -0,0 +1,157 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { normalizeConfig, validateConfigShape } from "../bin/compound-quality.mjs";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+const BASE_CONFIG = { version: 1, commands: { typecheck: "true" }, coverage: { packageDirs: ["."], expectedPackages: 1 } };
+
+const dirs = [];
+after(() => dirs.forEach((dir) => rmSync(dir, { recursive: true, force: true })));
+
+function run(files, ...args) {
+  const dir = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+  dirs.push(dir);
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(dir, name)), { recursive: true });
+    writeFileSync(join(dir, name), typeof content === "string" ? content : JSON.stringify(content));
+  }
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: "utf8" });
+}
+
+function doctor(files) {
+  const result = run(files, "doctor", "--json");
+  const { ok, checks } = JSON.parse(result.stdout);
+  return { status: result.status, ok, checks: Object.fromEntries(checks.map((entry) => [entry.check, entry])) };
+}
+
+test("misspelled section keys are errors with a suggestion; unknown top-level keys are warnings", async () => {
+  assert.deepEqual(await validateConfigShape({ ...BASE_CONFIG, coverag: {}, coverage: { ...BASE_CONFIG.coverage, summaryFle: "x" } }), {
+    errors: ['coverage.summaryFle: unexpected property (did you mean "summaryFile"?)'],
+    warnings: ['coverag: unexpected property (did you mean "coverage"?)'],
+  });
+  assert.deepEqual(await validateConfigShape(BASE_CONFIG), { errors: [], warnings: [] });
+});
+
+test("errors name gates by id and report wrong types and values", async () => {
+  const { errors } = await validateConfigShape({
+    ...BASE_CONFIG,
+    concurrency: "2",
+    verify: { gates: [{ id: "lint", type: "command", command: "true" }, { id: "build", type: "comand", command: 1 }] },
+  });
+  assert.deepEqual(errors, [
+    "concurrency: expected type integer, got string",
+    'verify.gates[build].type: must be one of: "command", "custom_script", "diff_coverage", "file_exists", "json_schema", "regex"',
+    "verify.gates[build].command: expected type string, got number",
+  ]);
+});
+
+test("with the sources of an extends chain, each message names the file that set the field", async () => {
+  const config = { ...BASE_CONFIG, verify: { gates: [{ id: "build", type: "command", comand: "make" }] } };
+  const sources = new Map([
+    ["coverage.packageDirs", ".compound-quality.json"],
+    ["verify.gates[build].id", "base.json"],
+    ["verify.gates[build].type", "base.json"],
+    ["verify.gates[build].comand", "base.json"],
+  ]);
+  assert.deepEqual((await validateConfigShape(config, sources)).errors, [
+    'verify.gates[build].comand (from base.json): unexpected property (did you mean "command"?)',
+  ]);
+});
+
+test("a pattern rule whose regex does not compile is a config error", () => {
+  assert.throws(() => normalizeConfig({ ...BASE_CONFIG, patterns: { rules: [{ key: "oom", pattern: "heap (" }] } }), {
+    message: /^patterns\.rules\[0\] \(oom\): Invalid regular expression: \/heap \(\/gi: /,
+  });
+});
+
+test("every command refuses an invalid config and lists the offending fields", () => {
+  const config = { ...BASE_CONFIG, coverage: { ...BASE_CONFIG.coverage, summaryFle: "x" } };
+  const result = run({ ".compound-quality.json": config }, "verify", "--json");
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /^Invalid config .*\.compound-quality\.json:\n/);
+  assert.match(result.stderr, /\n {2}- coverage\.summaryFle: unexpected property \(did you mean "summaryFile"\?\)$/m);
+});
+
+test("config print --resolved reports errors with their source layer and warnings for ignored keys", () => {
+  const result = run(
+    {
+      "base.json": { ...BASE_CONFIG, score: { weigths: { typeSafety: 2 } } },
+      ".compound-quality.json": { extends: "./base.json", owner: "qa" },
+    },
+    "config",
+    "print",
+    "--resolved",
+    "--json",
+  );
+  assert.equal(result.status, 0, result.stderr);
+  const { errors, warnings, layers } = JSON.parse(result.stdout);
+  assert.deepEqual(layers, ["base.json", ".compound-quality.json"]);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, ["score (from base.json): unexpected property", "owner (from .compound-quality.json): unexpected property"]);
+
+  const invalid = run(
+    {
+      "base.json": { ...BASE_CONFIG, coverage: { ...BASE_CONFIG.coverage, format: "jacoco" } },
+      ".compound-quality.json": { extends: "./base.json" },
+    },
+    "config",
+    "print",
+    "--resolved",
+    "--json",
+  );
+  assert.equal(invalid.status, 1);
+  assert.deepEqual(JSON.parse(invalid.stdout).errors, [
+    'coverage.format (from base.json): must be one of: "istanbul", "lcov", "cobertura"',
+  ]);
+});
+
+test("doctor fails a missing config and reports an invalid one as its only check", () => {
+  const missing = doctor({});
+  assert.equal(missing.status, 1);
+  assert.equal(missing.checks.config.message, 'missing at .compound-quality.json; run "compound-quality init" first');
+
+  const invalid = doctor({ ".compound-quality.json": { ...BASE_CONFIG, patterns: { rules: [{ key: "oom", pattern: "heap (" }] } } });
+  assert.equal(invalid.status, 1);
+  assert.deepEqual(Object.keys(invalid.checks), ["config"]);
+  assert.match(invalid.checks.config.message, /^patterns\.rules\[0\] \(oom\): Invalid regular expression/);
+});
+
+test("doctor checks policy packs, gate regexes and the waivers file", () => {
+  const { status, ok, checks } = doctor({
+    ".compound-quality.json": {
+      ...BASE_CONFIG,
+      verify: {
+        enabled: true,
+        waiversFile: "waivers.json",
+        policyPacks: ["builtin:nope"],
+        gates: [{ id: "todo", type: "regex", pattern: "(", file: "notes.md" }],
+      },
+    },
+    "waivers.json": "{ not json",
+  });
+  assert.equal(status, 1);
+  assert.equal(ok, false);
+  assert.equal(checks.config.status, "ok");
+  assert.equal(checks["commands.typecheck"].status, "ok");
+  assert.equal(checks["policy pack builtin:nope"].status, "fail");
+  assert.equal(checks["policy pack builtin:nope"].message, "Unknown builtin policy pack: builtin:nope");
+  assert.equal(checks.regexes.status, "fail");
+  assert.match(checks.regexes.message, /^verify\.gates\[todo\]\.pattern: Invalid regular expression: \/\(\/g: /);
+  assert.equal(checks.waivers.status, "fail");
+
+  const healthy = doctor({
+    ".compound-quality.json": {
+      ...BASE_CONFIG,
+      verify: { enabled: true, waiversFile: "waivers.json", gates: [{ id: "todo", type: "regex", pattern: "TODO", file: "notes.md" }] },
+    },
+    "waivers.json": { waivers: [{ gateId: "todo", reason: "tracked" }] },
+  });
+  assert.equal(healthy.status, 0, JSON.stringify(healthy.checks));
+  assert.equal(healthy.checks.regexes.status, "ok");
+  assert.equal(healthy.checks.waivers.message, "1 waiver(s) in waivers.json");
+});
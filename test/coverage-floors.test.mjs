@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { findPackageCoverageRegressions, ratchetCoverageFloor } from "../bin/compound-quality.mjs";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+const CONFIG = {
+  version: 1,
+  commands: { test: "true" },
+  coverage: { packageDirs: ["packages/a", "packages/b"], format: "lcov" },
+};
+
+const root = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+function writeCoverage(dir, pct) {
+  const file = join(root, dir, "coverage/lcov.info");
+  if (pct === null) {
+    rmSync(file, { force: true });
+    return;
+  }
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, `SF:src/index.js\nLF:100\nLH:${pct}\nend_of_record\n`);
+}
+
+function reflect(coverage) {
+  for (const [dir, pct] of Object.entries(coverage)) writeCoverage(dir, pct);
+  const result = spawnSync(process.execPath, [CLI, "reflect", "--json"], { cwd: root, encoding: "utf8" });
+  assert.equal(result.status, 0, result.stderr);
+  const scorecard = JSON.parse(readFileSync(join(root, ".quality/scorecard.json"), "utf8"));
+  const plan = JSON.parse(readFileSync(join(root, ".quality/dispatch/plan.json"), "utf8"));
+  return { scorecard, taskIds: plan.tasks.map((task) => task.id) };
+}
+
+test("a floor trails a qualified percentage by two points and only ratchets up", () => {
+  assert.equal(ratchetCoverageFloor(0, false, 81.5, true), 79.5);
+  assert.equal(ratchetCoverageFloor(79.5, true, 90, true), 88);
+  assert.equal(ratchetCoverageFloor(88, true, 70, true), 88);
+  assert.equal(ratchetCoverageFloor(88, true, 95, false), 88);
+  // The first qualified run after unqualified ones resets the floor, down as well as up.
+  assert.equal(ratchetCoverageFloor(88, false, 60, true), 58);
+  assert.equal(ratchetCoverageFloor(0, false, 1, true), 0);
+});
+
+test("only packages below their own floor regress", () => {
+  const packages = [
+    { dir: "packages/a", pct: 90 },
+    { dir: "packages/b", pct: 60 },
+    { dir: "packages/c", pct: 10 },
+  ];
+  assert.deepEqual(findPackageCoverageRegressions(packages, { "packages/a": 88, "packages/b": 78 }), [
+    { dir: "packages/b", pct: 60, floor: 78 },
+  ]);
+  assert.deepEqual(findPackageCoverageRegressions(undefined, { "packages/a": 88 }), []);
+});
+
+test("reflect keeps a floor per package and reports the package that regressed", () => {
+  writeFileSync(join(root, ".compound-quality.json"), JSON.stringify(CONFIG));
+
+  const first = reflect({ "packages/a": 90, "packages/b": 80 });
+  assert.deepEqual(first.scorecard.thresholds.packageCoverageFloors, { "packages/a": 88, "packages/b": 78 });
+  assert.equal(first.scorecard.thresholds.coverageFloor, 83);
+  assert.equal(first.taskIds.filter((id) => id.startsWith("coverage-health")).length, 0);
+
+  // Package a improves enough to hide b's drop in the overall percentage.
+  const second = reflect({ "packages/a": 100, "packages/b": 66 });
+  assert.equal(second.scorecard.metrics.coveragePct, 83);
+  assert.deepEqual(second.scorecard.thresholds.packageCoverageFloors, { "packages/a": 98, "packages/b": 78 });
+  assert.deepEqual(
+    second.scorecard.actionItems.filter((item) => item.startsWith("Coverage")),
+    ['Coverage for package "packages/b" is 66.00%, below its floor 78.00%; add tests in packages/b.'],
+  );
+  assert.deepEqual(
+    second.taskIds.filter((id) => id.startsWith("coverage-health")),
+    ["coverage-health-packages-b"],
+  );
+
+  // A run that misses a package is not qualified: no floor moves and no package is reported.
+  const third = reflect({ "packages/a": 50, "packages/b": null });
+  assert.equal(third.scorecard.thresholds.coverageQualified, false);
+  assert.deepEqual(third.scorecard.thresholds.packageCoverageFloors, { "packages/a": 98, "packages/b": 78 });
+  assert.equal(third.taskIds.filter((id) => id.startsWith("coverage-health-packages")).length, 0);
+});
@@ -0,0 +1,170 @@
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import {
+  combineCoverageMetrics,
+  normalizeConfig,
+  parseCobertura,
+  parseIstanbulSummary,
+  parseLcov,
+  readCoverage,
+  readLineHits,
+} from "../bin/compound-quality.mjs";
+
+const LCOV = `TN:
+SF:src/a.js
+FN:1,a
+FNDA:1,a
+FNF:2
+FNH:1
+DA:1,1
+DA:2,0
+LF:2
+LH:1
+BRDA:1,0,0,1
+BRF:4
+BRH:3
+end_of_record
+SF:src/b.js
+DA:1,5
+DA:2,0
+DA:3,1
+end_of_record
+`;
+
+const COBERTURA = `<?xml version="1.0" ?>
+<!DOCTYPE coverage SYSTEM "http://cobertura.sourceforge.net/xml/coverage-04.dtd">
+<coverage lines-valid="40" lines-covered="30" branches-valid="8" branches-covered="2" line-rate="0.75">
+  <sources><source>/repo/src</source></sources>
+  <packages><package name="app"><classes>
+    <class name="a" filename="app/a.py">
+      <methods>
+        <method name="run" line-rate="1"/>
+        <method name="stop" line-rate="0"/>
+      </methods>
+      <lines><line number="1" hits="3"/><line number="2" hits="0"/></lines>
+    </class>
+  </classes></package></packages>
+</coverage>
+`;
+
+const root = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+function writeFiles(files) {
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, name)), { recursive: true });
+    writeFileSync(join(root, name), typeof content === "string" ? content : JSON.stringify(content));
+  }
+}
+
+test("istanbul summaries yield covered and total counts for every metric present", () => {
+  const summary = {
+    total: {
+      lines: { total: 10, covered: 8, skipped: 0, pct: 80 },
+      branches: { total: 4, covered: 1, skipped: 0, pct: 25 },
+      functions: { total: 0, covered: 0, skipped: 0, pct: "Unknown" },
+    },
+    "src/a.js": { lines: { total: 10, covered: 8 } },
+  };
+  assert.deepEqual(parseIstanbulSummary(JSON.stringify(summary)), {
+    lines: { covered: 8, total: 10 },
+    branches: { covered: 1, total: 4 },
+    functions: { covered: 0, total: 0 },
+  });
+  assert.throws(() => parseIstanbulSummary("{}"), /missing "total" section/);
+});
+
+test("lcov records use LF/LH when present and count DA lines otherwise", () => {
+  assert.deepEqual(parseLcov(LCOV), {
+    lines: { covered: 3, total: 5 },
+    branches: { covered: 3, total: 4 },
+    functions: { covered: 1, total: 2 },
+  });
+  assert.deepEqual(parseLcov(LCOV.replaceAll("\n", "\r\n")), parseLcov(LCOV));
+});
+
+test("Cobertura reports read the root counters, or count class lines when they are missing", () => {
+  assert.deepEqual(parseCobertura(COBERTURA), {
+    lines: { covered: 30, total: 40 },
+    branches: { covered: 2, total: 8 },
+    functions: { covered: 1, total: 2 },
+  });
+  const withoutCounters = COBERTURA.replace(/<coverage [^>]*>/, "<coverage>");
+  assert.deepEqual(parseCobertura(withoutCounters), {
+    lines: { covered: 1, total: 2 },
+    functions: { covered: 1, total: 2 },
+  });
+  assert.throws(() => parseCobertura("<report/>"), /missing <coverage> element/);
+});
+
+test("metric weights combine percentages and skip metrics without data", () => {
+  const metrics = { lines: { pct: 80 }, branches: { pct: 50 }, functions: { pct: null } };
+  assert.equal(combineCoverageMetrics(metrics, { lines: 1 }), 80);
+  assert.equal(combineCoverageMetrics(metrics, { lines: 3, branches: 1 }), 72.5);
+  assert.equal(combineCoverageMetrics(metrics, { lines: 1, functions: 1, statements: 1 }), 80);
+  assert.equal(combineCoverageMetrics(metrics, { lines: 0, functions: 1 }), 0);
+});
+
+test("packages are aggregated by line counts, not by averaging their percentages", async () => {
+  writeFiles({
+    "packages/tiny/coverage/lcov.info": "SF:a.js\nLF:10\nLH:0\nBRF:2\nBRH:0\nend_of_record\n",
+    "packages/big/coverage/lcov.info": "SF:a.js\nLF:1000\nLH:900\nBRF:98\nBRH:49\nend_of_record\n",
+  });
+  const config = normalizeConfig({
+    version: 1,
+    commands: { test: "true" },
+    coverage: { packageDirs: ["packages/tiny", "packages/big", "packages/missing"], format: "lcov", metrics: { lines: 3, branches: 1 } },
+  });
+  const coverage = await readCoverage(root, config.coverage);
+  assert.equal(coverage.packageCount, 2);
+  assert.deepEqual(coverage.metrics.lines, { covered: 900, total: 1010, pct: 89.11 });
+  assert.deepEqual(coverage.metrics.branches, { covered: 49, total: 100, pct: 49 });
+  // (3 * 89.11 + 49) / 4
+  assert.equal(coverage.pct, 79.08);
+  assert.deepEqual(
+    coverage.packages.map(({ dir, pct }) => ({ dir, pct })),
+    [
+      { dir: "packages/tiny", pct: 0 },
+      { dir: "packages/big", pct: 80 },
+    ],
+  );
+});
+
+test("coverage config rejects unknown formats and metrics", () => {
+  const config = (coverage) => normalizeConfig({ version: 1, commands: { test: "true" }, coverage: { packageDirs: ["."], ...coverage } });
+  assert.equal(config({ format: "cobertura" }).coverage.summaryFile, "coverage/cobertura-coverage.xml");
+  assert.deepEqual(config({}).coverage.metrics, { lines: 1 });
+  assert.throws(() => config({ format: "jacoco" }), /coverage\.format must be one of: istanbul, lcov, cobertura/);
+  assert.throws(() => config({ metrics: { mutations: 1 } }), /coverage\.metrics\.mutations is not a coverage metric/);
+  assert.throws(() => config({ metrics: { lines: -1 } }), /coverage\.metrics\.lines must be a non-negative weight/);
+});
+
+test("line hits are read per file from each format and keyed by project path", async () => {
+  writeFiles({
+    "hits/lcov/coverage/lcov.info": LCOV,
+    "hits/lcov/src/a.js": "",
+    "hits/cobertura/coverage/cobertura-coverage.xml": COBERTURA.replace("/repo/src", "src"),
+    "hits/cobertura/src/app/a.py": "",
+    "hits/istanbul/coverage/coverage-final.json": {
+      [join(root, "hits/istanbul/src/c.ts")]: {
+        statementMap: { 0: { start: { line: 4 } }, 1: { start: { line: 4 } }, 2: { start: { line: 6 } } },
+        s: { 0: 0, 1: 2, 2: 0 },
+      },
+    },
+  });
+  const hits = async (dir, format) => {
+    const config = normalizeConfig({ version: 1, commands: { test: "true" }, coverage: { packageDirs: [dir], format } });
+    const { lineHits, warnings } = await readLineHits(root, config.coverage);
+    assert.deepEqual(warnings, []);
+    return Object.fromEntries([...lineHits].map(([file, lines]) => [file, Object.fromEntries(lines)]));
+  };
+  assert.deepEqual(await hits("hits/lcov", "lcov"), {
+    "hits/lcov/src/a.js": { 1: 1, 2: 0 },
+    "hits/lcov/src/b.js": { 1: 5, 2: 0, 3: 1 },
+  });
+  assert.deepEqual(await hits("hits/cobertura", "cobertura"), { "hits/cobertura/src/app/a.py": { 1: 3, 2: 0 } });
+  assert.deepEqual(await hits("hits/istanbul", "istanbul"), { "hits/istanbul/src/c.ts": { 4: 2, 6: 0 } });
+});
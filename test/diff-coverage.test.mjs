@@ -0,0 +1,171 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { normalizeConfig, parseChangedLines, summarizeDiffCoverage } from "../bin/compound-quality.mjs";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+const CONFIG = {
+  version: 1,
+  commands: { typecheck: "true" },
+  coverage: { packageDirs: ["."], expectedPackages: 1 },
+  verify: { enabled: true, gates: [{ id: "diff", type: "diff_coverage", base: "main", minPct: 80 }] },
+};
+
+const dirs = [];
+after(() => dirs.forEach((dir) => rmSync(dir, { recursive: true, force: true })));
+
+function git(cwd, ...args) {
+  const result = spawnSync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args], { cwd, encoding: "utf8" });
+  assert.equal(result.status, 0, result.stderr);
+}
+
+function writeFiles(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(dir, name)), { recursive: true });
+    writeFileSync(join(dir, name), typeof content === "string" ? content : JSON.stringify(content));
+  }
+}
+
+// A repository whose `main` holds the config and a feature branch that commits `files` on top of it.
+function verifyChange(files, coverage) {
+  const dir = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+  dirs.push(dir);
+  git(dir, "init", "--quiet", "--initial-branch=main");
+  writeFiles(dir, { ".compound-quality.json": CONFIG, ".gitignore": "coverage/\n.quality/\n" });
+  git(dir, "add", "-A");
+  git(dir, "commit", "--quiet", "-m", "base");
+  git(dir, "checkout", "--quiet", "-b", "feature");
+  writeFiles(dir, files);
+  git(dir, "add", "-A");
+  git(dir, "commit", "--quiet", "-m", "change");
+  writeFiles(dir, { "coverage/coverage-final.json": coverage });
+  const result = spawnSync(process.execPath, [CLI, "verify", "--json"], { cwd: dir, encoding: "utf8" });
+  return { status: result.status, gate: JSON.parse(result.stdout).gates.find((gate) => gate.id === "diff") };
+}
+
+// Istanbul line data for a file whose statements 1..n sit on lines 1..n with the given hit counts.
+function istanbulFile(path, hits) {
+  const statementMap = {};
+  const s = {};
+  hits.forEach((count, index) => {
+    statementMap[index] = { start: { line: index + 1, column: 0 }, end: { line: index + 1, column: 10 } };
+    s[index] = count;
+  });
+  return { [path]: { path, statementMap, s, fnMap: {}, f: {}, branchMap: {}, b: {} } };
+}
+
+test("a changed source file without coverage data counts as uncovered", () => {
+  const { status, gate } = verifyChange(
+    {
+      "src/tested.js": "export const a = 1;\n",
+      "src/untested.js": "export const b = 1;\n\nexport const c = 2;\nexport const d = 3;\n",
+    },
+    istanbulFile("src/tested.js", [1]),
+  );
+  assert.equal(status, 1);
+  assert.equal(gate.status, "fail");
+  assert.equal(gate.diffCoverage.total, 4);
+  assert.equal(gate.diffCoverage.covered, 1);
+  assert.deepEqual(gate.diffCoverage.filesWithoutCoverage, ["src/untested.js"]);
+  assert.deepEqual(gate.diffCoverage.files.find((file) => file.file === "src/untested.js").uncoveredLines, "1, 3-4");
+});
+
+test("changed tests and non-source files without coverage data are not measured", () => {
+  const { status, gate } = verifyChange(
+    {
+      "src/tested.js": "export const a = 1;\n",
+      "src/tested.test.js": "import { a } from './tested.js';\n",
+      "docs/notes.md": "# Notes\n",
+      "vite.config.ts": "export default {};\n",
+    },
+    istanbulFile("src/tested.js", [1]),
+  );
+  assert.equal(status, 0, JSON.stringify(gate));
+  assert.equal(gate.status, "pass");
+  assert.equal(gate.diffCoverage.total, 1);
+  assert.deepEqual(gate.diffCoverage.filesWithoutCoverage, []);
+});
+
+test("coverage.diffExclude skips matching files without coverage data", () => {
+  const dir = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+  dirs.push(dir);
+  const config = { ...CONFIG, coverage: { ...CONFIG.coverage, diffExclude: ["src/generated/**"] } };
+  git(dir, "init", "--quiet", "--initial-branch=main");
+  writeFiles(dir, { ".compound-quality.json": config, ".gitignore": "coverage/\n.quality/\n" });
+  git(dir, "add", "-A");
+  git(dir, "commit", "--quiet", "-m", "base");
+  git(dir, "checkout", "--quiet", "-b", "feature");
+  writeFiles(dir, { "src/generated/client.js": "export const client = {};\n" });
+  git(dir, "add", "-A");
+  git(dir, "commit", "--quiet", "-m", "change");
+  const result = spawnSync(process.execPath, [CLI, "verify", "--json"], { cwd: dir, encoding: "utf8" });
+  const gate = JSON.parse(result.stdout).gates.find((entry) => entry.id === "diff");
+  assert.equal(result.status, 0, result.stdout);
+  assert.equal(gate.diffCoverage.total, 0);
+  assert.match(gate.message, /no measurable changed lines since main/);
+});
+
+test("changed lines are the non-blank added lines of each hunk in the new file", () => {
+  const diff = [
+    "diff --git a/src/a.js b/src/a.js",
+    "--- a/src/a.js",
+    "+++ b/src/a.js",
+    "@@ -3,0 +4,3 @@ function a() {",
+    "+  const x = 1;",
+    "+",
+    "+  return x;",
+    "@@ -10 +13 @@",
+    "-old",
+    "+new",
+    // An added line that itself starts with "++ " must not be read as a file header.
+    "@@ -20,0 +24 @@",
+    "+++ counter",
+    "diff --git a/old.js b/old.js",
+    "--- a/old.js",
+    "+++ /dev/null",
+    "@@ -1,2 +0,0 @@",
+    "-a",
+    "-b",
+    "diff --git a/src/trimmed.js b/src/trimmed.js",
+    "--- a/src/trimmed.js",
+    "+++ b/src/trimmed.js",
+    "@@ -5,2 +4,0 @@",
+    "-x",
+    "-y",
+  ].join("\n");
+  assert.deepEqual(Object.fromEntries(parseChangedLines(diff)), { "src/a.js": [4, 6, 13, 24], "src/trimmed.js": [] });
+});
+
+test("diff coverage counts measurable changed lines and every line of unmeasured source files", () => {
+  const { coverage } = normalizeConfig({ ...CONFIG, coverage: { packageDirs: ["packages/web"] } });
+  const changedLines = new Map([
+    ["packages/web/src/a.js", [1, 2, 3, 4]],
+    ["packages/web/src/b.js", [7]],
+    ["packages/web/src/comments.js", [1, 2]],
+    ["packages/web/src/new.ts", [1, 2, 3, 5]],
+    ["packages/web/src/new.test.ts", [1, 2]],
+    ["packages/api/src/server.js", [1]],
+  ]);
+  const lineHits = new Map([
+    // Line 4 holds no statement, so it is not measurable.
+    ["packages/web/src/a.js", new Map([[1, 2], [2, 0], [3, 1]])],
+    ["packages/web/src/b.js", new Map([[7, 1]])],
+    ["packages/web/src/comments.js", new Map([[10, 1]])],
+  ]);
+  assert.deepEqual(summarizeDiffCoverage(changedLines, lineHits, coverage), {
+    pct: 37.5,
+    covered: 3,
+    total: 8,
+    files: [
+      { file: "packages/web/src/new.ts", covered: 0, total: 4, pct: 0, uncoveredLines: "1-3, 5" },
+      { file: "packages/web/src/a.js", covered: 2, total: 3, pct: 66.67, uncoveredLines: "2" },
+      { file: "packages/web/src/b.js", covered: 1, total: 1, pct: 100, uncoveredLines: "" },
+    ],
+    filesWithoutCoverage: ["packages/web/src/new.ts"],
+  });
+  assert.equal(summarizeDiffCoverage(new Map(), lineHits, coverage).pct, null);
+});
@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+const BASE_CONFIG = { version: 1, coverage: { packageDirs: ["."], expectedPackages: 1 } };
+
+const dirs = [];
+after(() => dirs.forEach((dir) => rmSync(dir, { recursive: true, force: true })));
+
+function doctor(files) {
+  const dir = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+  dirs.push(dir);
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(dir, name)), { recursive: true });
+    writeFileSync(join(dir, name), typeof content === "string" ? content : JSON.stringify(content));
+  }
+  const result = spawnSync(process.execPath, [CLI, "doctor", "--json"], { cwd: dir, encoding: "utf8" });
+  const { ok, checks } = JSON.parse(result.stdout);
+  return { status: result.status, ok, checks: Object.fromEntries(checks.map((entry) => [entry.check, entry])) };
+}
+
+test("commands whose program cannot be read off the command line are warnings", () => {
+  const { status, checks } = doctor({
+    ".compound-quality.json": {
+      ...BASE_CONFIG,
+      commands: {
+        typecheck: "(cd pkg && make)",
+        lint: "{ true; }",
+        test: "\"$NODE\" --test",
+        build: "FOO=\"a b\" BAR='c d' BAZ=e\\ f true --flag",
+      },
+    },
+  });
+  assert.equal(status, 0);
+  for (const name of ["typecheck", "lint", "test"]) {
+    assert.equal(checks[`commands.${name}`].status, "warn", name);
+    assert.match(checks[`commands.${name}`].message, /^cannot determine the program of /);
+  }
+  assert.equal(checks["commands.build"].status, "ok");
+  assert.match(checks["commands.build"].message, /^true -> /);
+});
+
+test("a command whose program is missing still fails", () => {
+  const { status, checks } = doctor({
+    ".compound-quality.json": { ...BASE_CONFIG, commands: { typecheck: "FOO=1 compound-quality-no-such-program" } },
+  });
+  assert.equal(status, 1);
+  assert.equal(checks["commands.typecheck"].status, "fail");
+  assert.match(checks["commands.typecheck"].message, /"compound-quality-no-such-program" is not an executable/);
+});
+
+test("a schema with a $ref to a missing file fails", () => {
+  const { status, checks } = doctor({
+    ".compound-quality.json": {
+      ...BASE_CONFIG,
+      commands: { typecheck: "true" },
+      verify: { enabled: true, gates: [{ id: "evidence", type: "json_schema", schemaFile: "schemas/evidence.json", dataFile: "x.json" }] },
+    },
+    "schemas/evidence.json": { properties: { commit: { $ref: "commit.json" }, run: { $ref: "nope.json#/$defs/run" } } },
+    "schemas/commit.json": { type: "string" },
+  });
+  assert.equal(status, 1);
+  assert.equal(checks["schema schemas/evidence.json"].status, "fail");
+  assert.equal(checks["schema schemas/evidence.json"].message, "unresolved $ref: schemas/nope.json (from schemas/evidence.json)");
+});
+
+test("a $ref satisfied by the gate's preloadSchemas passes", () => {
+  const { checks } = doctor({
+    ".compound-quality.json": {
+      ...BASE_CONFIG,
+      commands: { typecheck: "true" },
+      verify: {
+        enabled: true,
+        gates: [
+          {
+            id: "evidence",
+            type: "json_schema",
+            schemaFile: "schemas/evidence.json",
+            dataFile: "x.json",
+            preloadSchemas: ["vendor/commit.json"],
+          },
+        ],
+      },
+    },
+    "schemas/evidence.json": { $ref: "https://example.org/commit.json" },
+    "vendor/commit.json": { $id: "https://example.org/commit.json", type: "string" },
+  });
+  assert.equal(checks["schema schemas/evidence.json"].status, "ok", checks["schema schemas/evidence.json"].message);
+});
+
+test("unknown top-level keys are a warning, unknown section keys an error", () => {
+  const topLevel = doctor({ ".compound-quality.json": { ...BASE_CONFIG, commands: { typecheck: "true" }, $comment: "x", owner: "qa" } });
+  assert.equal(topLevel.status, 0);
+  assert.equal(topLevel.checks.config.status, "warn");
+  assert.match(topLevel.checks.config.message, /^owner: unexpected property.*; the key is ignored$/);
+
+  const section = doctor({
+    ".compound-quality.json": { ...BASE_CONFIG, commands: { typecheck: "true" }, coverage: { ...BASE_CONFIG.coverage, summaryFle: "x" } },
+  });
+  assert.equal(section.status, 1);
+  assert.equal(section.checks.config.status, "fail");
+  assert.match(section.checks.config.message, /coverage\.summaryFle: unexpected property \(did you mean "summaryFile"\?\)/);
+});
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { createSchemaValidator } from "../bin/compound-quality.mjs";
+
+const ROOT = dirname(dirname(fileURLToPath(import.meta.url)));
+const SUITE_DIR = join(ROOT, "test", "fixtures", "json-schema-test-suite");
+const SKIP_FILE = join(SUITE_DIR, "skip.json");
+
+for (const draft of ["draft7", "draft2020-12"]) {
+  test(`the vendored ${draft} suite subset passes, optional cases included`, () => {
+    const result = spawnSync(
+      process.execPath,
+      [join(ROOT, "scripts", "json-schema-test-suite.mjs"), SUITE_DIR, draft, "--optional", "--skip", SKIP_FILE],
+      { encoding: "utf8" },
+    );
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, new RegExp(`^${draft}: \\d+ passed, 0 failed, \\d+ skipped$`, "m"));
+  });
+}
+
+test("the skip list only names optional cases", () => {
+  for (const key of Object.keys(JSON.parse(readFileSync(SKIP_FILE, "utf8")))) {
+    assert.match(key, /^optional\//, key);
+  }
+});
+
+test("multipleOf handles a quotient that overflows", () => {
+  const validator = createSchemaValidator({ type: "integer", multipleOf: 0.5 });
+  assert.deepEqual(validator.validate(1e308), []);
+  assert.equal(createSchemaValidator({ multipleOf: 0.123456789 }).validate(1e308).length, 1);
+});
+
+test("strict mode accepts x- extension keywords but still reports unknown ones", () => {
+  const validator = createSchemaValidator({ type: "object", "x-internal": true, "x-owner": { team: "qa" } }, { strict: true });
+  assert.deepEqual(validator.schemaErrors, []);
+  assert.deepEqual(createSchemaValidator({ requried: ["id"] }, { strict: true }).schemaErrors, [
+    'schema #: unknown keyword "requried"',
+  ]);
+});
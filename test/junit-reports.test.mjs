@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, utimesSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { expandGlob, globToRegExp, parseJunitReport, readTestReports } from "../bin/compound-quality.mjs";
+
+const REPORT = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- generated by vitest -->
+<testsuites name="vitest tests" tests="6">
+  <testsuite name="src/sum.test.ts" file="src/sum.test.ts">
+    <testcase classname="src/sum.test.ts" name="adds &amp; carries" time="0.001"/>
+    <testcase classname="src/sum.test.ts" name="subtracts">
+      <failure message="expected 1 to be 2 &#x2014; off by one" type="AssertionError">AssertionError: expected 1 to be 2
+    at src/sum.test.ts:8:5</failure>
+    </testcase>
+    <testcase classname="src/sum.test.ts" name="divides"><skipped/></testcase>
+  </testsuite>
+  <testsuite name="api">
+    <testsuite name="api &gt; get" file="src/api.test.ts">
+      <testcase name="returns 200"/>
+      <testcase name="times out"><error><![CDATA[Error: timeout <5000ms> exceeded
+    at fetch]]></error></testcase>
+    </testsuite>
+  </testsuite>
+  <testcase classname="orphans" name="runs without a suite"/>
+</testsuites>
+`;
+
+const root = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+function writeFiles(files) {
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, name)), { recursive: true });
+    writeFileSync(join(root, name), content);
+  }
+}
+
+test("JUnit reports count passed, failed and skipped test cases across nested suites", () => {
+  const report = parseJunitReport(REPORT);
+  assert.deepEqual([report.passed, report.failed, report.skipped], [3, 2, 1]);
+  assert.deepEqual(report.failures, [
+    { suite: "src/sum.test.ts", name: "subtracts", file: "src/sum.test.ts", message: "expected 1 to be 2 — off by one" },
+    { suite: "api > get", name: "times out", file: "src/api.test.ts", message: "Error: timeout <5000ms> exceeded" },
+  ]);
+});
+
+test("a failure without a message falls back to its text, then to the element name", () => {
+  const report = parseJunitReport(`<testsuite name="s">
+    <testcase classname="c" name="a"><failure>
+      boom
+    </failure></testcase>
+    <testcase name="b"><error/></testcase>
+  </testsuite>`);
+  assert.deepEqual(
+    report.failures.map(({ name, message }) => ({ name, message })),
+    [
+      { name: "a", message: "boom" },
+      { name: "b", message: "error" },
+    ],
+  );
+});
+
+test("globs support **, *, ? and {a,b} with wildcards inside the braces", () => {
+  const matches = (pattern, path) => globToRegExp(pattern).test(path);
+  assert.equal(matches("**/junit.xml", "junit.xml"), true);
+  assert.equal(matches("**/junit.xml", "packages/a/reports/junit.xml"), true);
+  assert.equal(matches("reports/*.xml", "reports/unit.xml"), true);
+  assert.equal(matches("reports/*.xml", "reports/nested/unit.xml"), false);
+  assert.equal(matches("reports/junit-?.xml", "reports/junit-1.xml"), true);
+  assert.equal(matches("reports/junit-?.xml", "reports/junit-10.xml"), false);
+  assert.equal(matches("**/*.{xml,json}", "a/b.json"), true);
+  assert.equal(matches("**/{test_*,*_test}.py", "tests/test_api.py"), true);
+  assert.equal(matches("**/{test_*,*_test}.py", "src/api.py"), false);
+  assert.equal(matches("a+b/(c).xml", "a+b/(c).xml"), true);
+});
+
+test("expandGlob walks below the static prefix and skips node_modules", async () => {
+  writeFiles({
+    "glob/reports/unit/junit.xml": "",
+    "glob/reports/e2e/junit.xml": "",
+    "glob/node_modules/dep/reports/junit.xml": "",
+    "glob/reports/notes.txt": "",
+  });
+  assert.deepEqual(await expandGlob(join(root, "glob"), "**/junit.xml"), [
+    join(root, "glob/reports/e2e/junit.xml"),
+    join(root, "glob/reports/unit/junit.xml"),
+  ]);
+  assert.deepEqual(await expandGlob(join(root, "glob"), "reports/notes.txt"), [join(root, "glob/reports/notes.txt")]);
+  assert.deepEqual(await expandGlob(join(root, "glob"), "missing/**/*.xml"), []);
+});
+
+test("readTestReports reads each report once, ignores stale ones and lists failures by report", async () => {
+  writeFiles({
+    "mono/packages/a/reports/junit.xml": REPORT,
+    "mono/packages/b/reports/junit.xml": '<testsuite name="b"><testcase name="ok"/></testsuite>',
+    "mono/packages/b/reports/old.xml": '<testsuite name="old"><testcase name="gone"><failure/></testcase></testsuite>',
+  });
+  const old = new Date(Date.now() - 60_000);
+  utimesSync(join(root, "mono/packages/b/reports/old.xml"), old, old);
+  const result = await readTestReports(
+    join(root, "mono"),
+    { packageDirs: [".", "packages/a", "packages/b"], files: ["**/reports/*.xml"] },
+    { since: Date.now() - 30_000 },
+  );
+  assert.equal(result.found, true);
+  assert.deepEqual([result.passed, result.failed, result.skipped], [4, 2, 1]);
+  assert.deepEqual(
+    result.reports.map((report) => report.path).sort(),
+    ["packages/a/reports/junit.xml", "packages/b/reports/junit.xml"],
+  );
+  assert.equal(result.failures[0].report, "packages/a/reports/junit.xml");
+  assert.deepEqual(result.warnings, ["Ignored stale test report packages/b/reports/old.xml (not written during this run)."]);
+});
+
+test("readTestReports warns instead of searching when there are no package dirs", async () => {
+  const result = await readTestReports(root, { packageDirs: [], files: ["**/junit.xml"] });
+  assert.equal(result.found, false);
+  assert.match(result.warnings[0], /^No JUnit reports were searched because testReports\.packageDirs/);
+});
@@ -0,0 +1,215 @@
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, utimesSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import {
+  countLintViolations,
+  detectLintRulePatterns,
+  normalizeLintReportsConfig,
+  parseBiomeReport,
+  parseEslintReport,
+  parseSarifReport,
+  readLintReports,
+  summarizeLintDiagnostics,
+} from "../bin/compound-quality.mjs";
+
+const ESLINT_REPORT = [
+  {
+    filePath: "/repo/src/a.js",
+    messages: [
+      { ruleId: "no-unused-vars", severity: 2, message: "'x' is defined but never used.", line: 1, column: 7 },
+      { ruleId: "eqeqeq", severity: 1, message: "Expected '===' and instead saw '=='.\nmore detail", line: 4, column: 9 },
+    ],
+  },
+  { filePath: "/repo/src/b.js", messages: [{ fatal: true, severity: 2, message: "Parsing error: Unexpected token", line: 2 }] },
+  { filePath: "/repo/src/clean.js", messages: [] },
+];
+
+const root = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+function writeFiles(files) {
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, name)), { recursive: true });
+    writeFileSync(join(root, name), typeof content === "string" ? content : JSON.stringify(content));
+  }
+}
+
+test("ESLint results map severity 2 and fatal messages to errors and keep the first message line", () => {
+  assert.deepEqual(parseEslintReport("/repo", ESLINT_REPORT), [
+    {
+      file: "src/a.js",
+      line: 1,
+      column: 7,
+      rule: "no-unused-vars",
+      severity: "error",
+      message: "'x' is defined but never used.",
+      source: "eslint",
+    },
+    {
+      file: "src/a.js",
+      line: 4,
+      column: 9,
+      rule: "eqeqeq",
+      severity: "warning",
+      message: "Expected '===' and instead saw '=='.",
+      source: "eslint",
+    },
+    {
+      file: "src/b.js",
+      line: 2,
+      column: null,
+      rule: "parse-error",
+      severity: "error",
+      message: "Parsing error: Unexpected token",
+      source: "eslint",
+    },
+  ]);
+  assert.throws(() => parseEslintReport("/repo", { results: [] }), /expected an array of ESLint file results/);
+});
+
+test("Biome diagnostics keep errors and warnings and drop information and hints", () => {
+  const report = {
+    diagnostics: [
+      {
+        category: "lint/suspicious/noDoubleEquals",
+        severity: "error",
+        description: "Use === instead of ==",
+        location: { path: { file: "src/a.ts" }, start: { line: 3, column: 5 } },
+      },
+      { category: "lint/style/useConst", severity: "warning", message: "Use const", location: { path: "./src/b.ts" } },
+      { category: "lint/nursery/x", severity: "fatal", description: "Crashed" },
+      { category: "format", severity: "information", description: "Formatted" },
+      { category: "lint/style/hint", severity: "hint", description: "Maybe" },
+    ],
+  };
+  assert.deepEqual(parseBiomeReport("/repo", report), [
+    {
+      file: "src/a.ts",
+      line: 3,
+      column: 5,
+      rule: "lint/suspicious/noDoubleEquals",
+      severity: "error",
+      message: "Use === instead of ==",
+      source: "biome",
+    },
+    { file: "src/b.ts", line: null, column: null, rule: "lint/style/useConst", severity: "warning", message: "Use const", source: "biome" },
+    { file: null, line: null, column: null, rule: "lint/nursery/x", severity: "error", message: "Crashed", source: "biome" },
+  ]);
+  assert.throws(() => parseBiomeReport("/repo", []), /"diagnostics" array/);
+});
+
+test("SARIF results take the level from the rule default and the rule id from ruleIndex", () => {
+  const report = {
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "semgrep",
+            rules: [
+              { id: "js.no-eval", defaultConfiguration: { level: "error" } },
+              { id: "js.todo", defaultConfiguration: { level: "note" } },
+            ],
+          },
+        },
+        results: [
+          {
+            ruleIndex: 0,
+            message: { text: "Avoid eval" },
+            locations: [
+              { physicalLocation: { artifactLocation: { uri: "file:///repo/src/a.js" }, region: { startLine: 9, startColumn: 2 } } },
+            ],
+          },
+          { ruleIndex: 1, message: { text: "TODO found" } },
+          { ruleId: "js.console", level: "warning", message: { markdown: "Use the **logger**" } },
+        ],
+      },
+      { results: [{ level: "error", message: { text: "No tool name" } }] },
+    ],
+  };
+  assert.deepEqual(parseSarifReport("/repo", report), [
+    { file: "src/a.js", line: 9, column: 2, rule: "js.no-eval", severity: "error", message: "Avoid eval", source: "semgrep" },
+    { file: null, line: null, column: null, rule: "js.console", severity: "warning", message: "Use the **logger**", source: "semgrep" },
+    { file: null, line: null, column: null, rule: "unknown", severity: "error", message: "No tool name", source: "sarif" },
+  ]);
+  assert.throws(() => parseSarifReport("/repo", {}), /SARIF 2\.1 log with a "runs" array/);
+});
+
+test("lint diagnostics are summarized per rule and per file, errors first", () => {
+  const diagnostics = parseEslintReport("/repo", ESLINT_REPORT);
+  assert.deepEqual(summarizeLintDiagnostics(diagnostics, "file"), [
+    { file: "src/a.js", errors: 1, warnings: 1 },
+    { file: "src/b.js", errors: 1, warnings: 0 },
+  ]);
+  assert.deepEqual(summarizeLintDiagnostics(diagnostics, "rule"), [
+    { rule: "no-unused-vars", errors: 1, warnings: 0 },
+    { rule: "parse-error", errors: 1, warnings: 0 },
+    { rule: "eqeqeq", errors: 0, warnings: 1 },
+  ]);
+});
+
+test("lint violations count report errors only, or fall back to the lint output", () => {
+  const diagnostics = parseEslintReport("/repo", ESLINT_REPORT);
+  assert.equal(countLintViolations({ found: true }, diagnostics, []), 2);
+  const lint = { name: "lint", stdout: "src/error-handler.ts\n  3:1  error  Unexpected any\n\nFound 7 errors.\n", stderr: "", exitCode: 1 };
+  assert.equal(countLintViolations({ found: false }, [], [lint]), 7);
+});
+
+test("per-rule lint diagnostics feed the pattern detector", () => {
+  const detected = detectLintRulePatterns(parseEslintReport("/repo", [...ESLINT_REPORT, ESLINT_REPORT[0]]), 1);
+  assert.deepEqual(Object.keys(detected).sort(), ["lint:eqeqeq", "lint:no-unused-vars", "lint:parse-error"]);
+  assert.equal(detected["lint:no-unused-vars"].count, 2);
+  assert.deepEqual(detected["lint:no-unused-vars"].occurrences, [
+    { command: null, tool: "eslint", text: "'x' is defined but never used.", file: "src/a.js", line: 1 },
+  ]);
+});
+
+test("lint report config accepts one glob or a list and rejects unknown formats", () => {
+  assert.deepEqual(normalizeLintReportsConfig([{ format: "eslint", files: "eslint.json" }]), [
+    { format: "eslint", files: ["eslint.json"] },
+  ]);
+  assert.throws(
+    () => normalizeLintReportsConfig([{ format: "stylelint", files: "x" }]),
+    /lintReports\[0\]\.format must be one of: eslint, biome, sarif/,
+  );
+  assert.throws(() => normalizeLintReportsConfig([{ format: "sarif", files: [] }]), /lintReports\[0\]\.files must be a glob string/);
+});
+
+test("readLintReports de-duplicates overlapping reports and warns about unreadable and stale files", async () => {
+  const absolute = (file) => join(root, file);
+  writeFiles({
+    "reports/eslint-a.json": [{ filePath: absolute("src/a.js"), messages: ESLINT_REPORT[0].messages }],
+    "reports/eslint-b.json": [{ filePath: "src/a.js", messages: ESLINT_REPORT[0].messages }],
+    "reports/eslint-broken.json": "{",
+    "reports/eslint-old.json": [{ filePath: "src/old.js", messages: ESLINT_REPORT[0].messages }],
+  });
+  const old = new Date(Date.now() - 60_000);
+  utimesSync(absolute("reports/eslint-old.json"), old, old);
+  const result = await readLintReports(
+    root,
+    [
+      { format: "eslint", files: ["reports/eslint-*.json"] },
+      { format: "sarif", files: ["reports/*.sarif"] },
+    ],
+    { since: Date.now() - 30_000 },
+  );
+  assert.equal(result.found, true);
+  assert.equal(result.diagnostics.length, 2);
+  assert.deepEqual(
+    result.reports.map(({ path, errors, warnings }) => ({ path, errors, warnings })),
+    [
+      { path: "reports/eslint-a.json", errors: 1, warnings: 1 },
+      { path: "reports/eslint-b.json", errors: 1, warnings: 1 },
+    ],
+  );
+  assert.deepEqual(
+    result.warnings.map((warning) => warning.replace(/: .*/, "")),
+    [
+      "Ignored stale lint report reports/eslint-old.json (not written during this run).",
+      "Could not parse lint report reports/eslint-broken.json",
+      "No sarif lint report matched reports/*.sarif.",
+    ],
+  );
+});
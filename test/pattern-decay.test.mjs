@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+  decayedPatternCount,
+  normalizePatternDecay,
+  patternRunWeight,
+  recommendationForCount,
+  seedPatternRuns,
+  trimPatternRuns,
+} from "../bin/compound-quality.mjs";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+const NOW = "2026-03-01T00:00:00.000Z";
+const HALF_LIFE = { mode: "half-life", halfLifeDays: 14 };
+const WINDOW = { mode: "window", windowDays: 30 };
+
+const dirs = [];
+after(() => dirs.forEach((dir) => rmSync(dir, { recursive: true, force: true })));
+
+const daysAgo = (days) => new Date(Date.parse(NOW) - days * 24 * 60 * 60 * 1000).toISOString();
+
+test("decay config defaults to a 14-day half-life and validates its numbers", () => {
+  assert.deepEqual(normalizePatternDecay(undefined), HALF_LIFE);
+  assert.deepEqual(normalizePatternDecay({ mode: "window" }), WINDOW);
+  assert.throws(() => normalizePatternDecay({ mode: "linear" }), /patterns\.decay\.mode must be "half-life" or "window"/);
+  assert.throws(() => normalizePatternDecay({ halfLifeDays: 0 }), /halfLifeDays must be a positive number/);
+  assert.throws(() => normalizePatternDecay({ mode: "window", windowDays: -1 }), /windowDays must be a positive number/);
+});
+
+test("a run's weight halves every half-life, or is all-or-nothing inside a window", () => {
+  assert.equal(patternRunWeight({ at: NOW }, HALF_LIFE, NOW), 1);
+  assert.equal(patternRunWeight({ at: daysAgo(14) }, HALF_LIFE, NOW), 0.5);
+  assert.equal(patternRunWeight({ at: daysAgo(28) }, HALF_LIFE, NOW), 0.25);
+  // Clock skew: a run stamped in the future counts fully.
+  assert.equal(patternRunWeight({ at: daysAgo(-1) }, HALF_LIFE, NOW), 1);
+  assert.equal(patternRunWeight({ at: daysAgo(30) }, WINDOW, NOW), 1);
+  assert.equal(patternRunWeight({ at: daysAgo(31) }, WINDOW, NOW), 0);
+});
+
+test("the recent count sums distinct sightings by weight and drops runs that no longer matter", () => {
+  const runs = [
+    { at: daysAgo(200), total: 40, distinct: 40 },
+    { at: daysAgo(14), total: 6, distinct: 4 },
+    { at: NOW, total: 9, distinct: 1 },
+  ];
+  assert.equal(decayedPatternCount(runs, HALF_LIFE, NOW), 3);
+  assert.deepEqual(trimPatternRuns(runs, HALF_LIFE, NOW), runs.slice(1));
+  assert.equal(decayedPatternCount(runs, WINDOW, NOW), 5);
+  assert.deepEqual(trimPatternRuns(runs, WINDOW, NOW), runs.slice(1));
+});
+
+test("entries from before per-run tracking become a single run at lastSeenAt", () => {
+  assert.deepEqual(seedPatternRuns({ count: 7, lastSeenAt: NOW }), [{ at: NOW, total: 7, distinct: 7 }]);
+  assert.deepEqual(seedPatternRuns({ count: 0, lastSeenAt: NOW }), []);
+  const runs = [{ at: NOW, total: 1, distinct: 1 }];
+  assert.deepEqual(seedPatternRuns({ count: 7, runs }), runs);
+});
+
+test("recommendations follow the thresholds", () => {
+  const thresholds = { claudeRule: 3, lintRule: 5 };
+  assert.equal(recommendationForCount(2.99, thresholds), "none");
+  assert.equal(recommendationForCount(3, thresholds), "claude_rule");
+  assert.equal(recommendationForCount(5, thresholds), "lint_rule");
+  assert.equal(recommendationForCount(50, { claudeRule: 3, lintRule: Number.POSITIVE_INFINITY }), "claude_rule");
+});
+
+function project(patterns) {
+  const dir = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+  dirs.push(dir);
+  writeFileSync(
+    join(dir, ".compound-quality.json"),
+    JSON.stringify({
+      version: 1,
+      commands: { typecheck: "cat tsc.txt" },
+      coverage: { packageDirs: ["."], expectedPackages: 1 },
+      patterns: { rules: [{ key: "implicit-any", pattern: "TS7006" }], claudeRuleThreshold: 3, lintRuleThreshold: 5 },
+    }),
+  );
+  if (patterns) {
+    mkdirSync(join(dir, ".quality"));
+    writeFileSync(join(dir, ".quality/patterns.json"), JSON.stringify({ version: 1, patterns }));
+  }
+  return (output) => {
+    writeFileSync(join(dir, "tsc.txt"), output);
+    const result = spawnSync(process.execPath, [CLI, "reflect", "--json"], { cwd: dir, encoding: "utf8" });
+    assert.equal(result.status, 0, result.stderr);
+    return JSON.parse(readFileSync(join(dir, ".quality/patterns.json"), "utf8")).patterns["implicit-any"];
+  };
+}
+
+test("re-running reflect on the same broken tree does not inflate the recent count", () => {
+  const reflect = project();
+  const output = "src/a.ts(3,5): error TS7006: x\nsrc/b.ts(1,1): error TS7006: y\n";
+  assert.equal(reflect(output).recentCount, 2);
+  let entry = reflect(output);
+  assert.equal(entry.count, 4);
+  assert.ok(entry.recentCount < 2.01, String(entry.recentCount));
+  assert.equal(entry.recommendation, "none");
+  assert.deepEqual(
+    entry.runs.map(({ total, distinct }) => ({ total, distinct })),
+    [
+      { total: 2, distinct: 2 },
+      { total: 2, distinct: 0 },
+    ],
+  );
+  // A sighting that only moved lines is still the same one; a new file is a recurrence.
+  entry = reflect("src/a.ts(30,5): error TS7006: x\nsrc/c.ts(1,1): error TS7006: z\n");
+  assert.equal(entry.runs.at(-1).distinct, 1);
+});
+
+test("a promotion earned long ago decays away when the pattern is no longer seen", () => {
+  const reflect = project({
+    "implicit-any": {
+      count: 40,
+      lastSeenAt: "2025-06-01T00:00:00.000Z",
+      recommendation: "lint_rule",
+      state: "promoted",
+    },
+  });
+  const entry = reflect("");
+  assert.equal(entry.count, 40);
+  assert.equal(entry.recentCount, 0);
+  assert.equal(entry.recommendation, "none");
+  assert.equal(entry.state, "observed");
+  assert.deepEqual(entry.runs, []);
+});
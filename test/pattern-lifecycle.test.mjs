@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { patternState, renderPreventionReport } from "../bin/compound-quality.mjs";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+const CONFIG = {
+  version: 1,
+  commands: { typecheck: "cat tsc.txt" },
+  coverage: { packageDirs: ["."], expectedPackages: 1 },
+  patterns: { rules: [{ key: "implicit-any", pattern: "TS7006" }], claudeRuleThreshold: 2 },
+};
+const SIGHTINGS = [
+  "src/a.ts(3,5): error TS7006: Parameter 'x' implicitly has an 'any' type.",
+  "src/b.ts(1,1): error TS7006: Parameter 'y' implicitly has an 'any' type.",
+].join("\n");
+
+const root = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+function cli(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: root, encoding: "utf8" });
+}
+
+function reflect(output) {
+  writeFileSync(join(root, "tsc.txt"), output);
+  const result = cli("reflect", "--json");
+  assert.equal(result.status, 0, result.stderr);
+  const reflections = readdirSync(join(root, ".quality/reflections")).sort();
+  return {
+    entry: JSON.parse(readFileSync(join(root, ".quality/patterns.json"), "utf8")).patterns["implicit-any"],
+    reflection: readFileSync(join(root, ".quality/reflections", reflections.at(-1)), "utf8"),
+    taskIds: JSON.parse(readFileSync(join(root, ".quality/dispatch/plan.json"), "utf8")).tasks.map((task) => task.id),
+  };
+}
+
+test("entries without a stored state are promoted or observed by their recommendation", () => {
+  assert.equal(patternState({ recommendation: "lint_rule" }), "promoted");
+  assert.equal(patternState({ recommendation: "none" }), "observed");
+  assert.equal(patternState(undefined), "observed");
+  assert.equal(patternState({ state: "prevented", recommendation: "lint_rule" }), "prevented");
+  assert.equal(patternState({ state: "retired", recommendation: "claude_rule" }), "promoted");
+});
+
+test("the prevention report lists holding and returning patterns", () => {
+  assert.deepEqual(renderPreventionReport({ a: { state: "observed" } }, []), []);
+  const lines = renderPreventionReport(
+    {
+      held: { state: "prevented", prevention: { rule: "no-any", commit: "0123456789abcdef", at: "2026-01-01" } },
+      back: {
+        state: "regressed",
+        prevention: { rule: null, commit: null, at: "2026-01-01" },
+        sightingsSincePrevention: 3,
+        regressedAt: "2026-01-02",
+      },
+    },
+    ["back"],
+  );
+  assert.ok(lines.includes("- held: not seen since prevention (no-any @ 0123456789ab, marked 2026-01-01)"));
+  assert.ok(lines.includes("- back: 3 sightings since prevention (first back 2026-01-02) **new this run**"));
+});
+
+test("a pattern moves from observed to promoted to prevented, and regresses when it comes back", () => {
+  writeFileSync(join(root, ".compound-quality.json"), JSON.stringify(CONFIG));
+
+  const missing = cli("mark-prevented", "implicit-any");
+  assert.equal(missing.status, 1);
+
+  let run = reflect("src/a.ts(3,5): error TS7006: Parameter 'x' implicitly has an 'any' type.\n");
+  assert.equal(run.entry.state, "observed");
+  run = reflect(SIGHTINGS);
+  assert.equal(run.entry.state, "promoted");
+  assert.equal(run.entry.count, 3);
+  assert.ok(run.taskIds.includes("pattern-implicit-any"));
+
+  const marked = cli("mark-prevented", "implicit-any", "--rule", "@typescript-eslint/no-explicit-any", "--commit", "abc123", "--json");
+  assert.equal(marked.status, 0, marked.stderr);
+  const prevention = JSON.parse(marked.stdout);
+  assert.equal(prevention.pattern, "implicit-any");
+  assert.equal(prevention.rule, "@typescript-eslint/no-explicit-any");
+  assert.equal(prevention.commit, "abc123");
+  assert.equal(prevention.countAtPrevention, 3);
+
+  run = reflect("");
+  assert.equal(run.entry.state, "prevented");
+  assert.ok(!run.taskIds.includes("pattern-implicit-any"));
+  assert.match(run.reflection, /^- implicit-any: not seen since prevention \(@typescript-eslint\/no-explicit-any @ abc123, marked /m);
+
+  // Sightings after the prevention are counted on their own and do not feed the promotion count.
+  run = reflect(SIGHTINGS);
+  assert.equal(run.entry.state, "regressed");
+  assert.equal(run.entry.count, 3);
+  assert.equal(run.entry.sightingsSincePrevention, 2);
+  assert.ok(run.taskIds.includes("pattern-regressed-implicit-any"));
+  assert.match(run.reflection, /^- implicit-any: 2 sightings since prevention .* \*\*new this run\*\*$/m);
+  run = reflect(SIGHTINGS);
+  assert.equal(run.entry.sightingsSincePrevention, 4);
+  assert.doesNotMatch(run.reflection, /new this run/);
+
+  // Marking it prevented again keeps the prevention that failed.
+  const again = cli("mark-prevented", "implicit-any", "--rule", "strict", "--json");
+  assert.equal(again.status, 0, again.stderr);
+  assert.equal(JSON.parse(again.stdout).replaces.rule, "@typescript-eslint/no-explicit-any");
+  const entry = JSON.parse(readFileSync(join(root, ".quality/patterns.json"), "utf8")).patterns["implicit-any"];
+  assert.deepEqual([entry.state, entry.sightingsSincePrevention, entry.regressedAt], ["prevented", 0, null]);
+});
+
+test("mark-prevented names the pattern it does not know", () => {
+  const result = cli("mark-prevented", "no-such-pattern");
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Unknown pattern "no-such-pattern" in \.quality\/patterns\.json\./);
+});
@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+  detectPatterns,
+  formatPatternOccurrence,
+  mergePatternExamples,
+  migratePatternsFile,
+  toPatternOccurrence,
+} from "../bin/compound-quality.mjs";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+
+const root = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+const result = (name, stdout, stderr = "") => ({ name, stdout, stderr });
+
+test("occurrences take the file and line from colon and tsc-style locations", () => {
+  assert.deepEqual(toPatternOccurrence("typecheck", "src/a.ts(3,5): error TS7006: Parameter 'x' implicitly has an 'any' type."), {
+    command: "typecheck",
+    text: "src/a.ts(3,5): error TS7006: Parameter 'x' implicitly has an 'any' type.",
+    file: "src/a.ts",
+    line: 3,
+  });
+  assert.deepEqual(
+    (({ file, line }) => ({ file, line }))(toPatternOccurrence("test", "at Object.<anonymous> (./packages/web/src/App.test.tsx:41:7)")),
+    { file: "packages/web/src/App.test.tsx", line: 41 },
+  );
+  assert.deepEqual(
+    (({ file, line }) => ({ file, line }))(toPatternOccurrence("build", "C:\\repo\\src\\main.go:12: undefined: foo")),
+    { file: "C:/repo/src/main.go", line: 12 },
+  );
+  assert.deepEqual(toPatternOccurrence("test", "Error: out of memory"), {
+    command: "test",
+    text: "Error: out of memory",
+    file: null,
+    line: null,
+  });
+  assert.equal(toPatternOccurrence("test", "x".repeat(400)).text, `${"x".repeat(297)}...`);
+});
+
+test("line rules attribute each sighting to its command and line; multi-line rules match the whole output", () => {
+  const detected = detectPatterns(
+    [
+      result("typecheck", "src/a.ts(3,5): error TS7006: any\nsrc/a.ts(9,1): error TS7006: any any\nsrc/a.ts(12,1): error TS7006: any\n"),
+      result("test", "", "FAIL src/b.test.ts\n  Expected: 1\n  Received: 2\nsrc/c.ts:4:2 error TS7006\n"),
+    ],
+    [
+      { key: "ts7006", pattern: "TS7006" },
+      { key: "any", pattern: "\\bany\\b", flags: "g" },
+      { key: "expect-mismatch", pattern: "Expected: .*\\n\\s*Received: .*" },
+    ],
+    2,
+  );
+  assert.equal(detected.ts7006.count, 4);
+  assert.deepEqual(
+    detected.ts7006.occurrences.map(({ command, file, line }) => `${command} ${file}:${line}`),
+    ["typecheck src/a.ts:3", "typecheck src/a.ts:9"],
+  );
+  // Every match counts, the line is recorded once.
+  assert.equal(detected.any.count, 4);
+  assert.equal(detected.any.occurrences.length, 2);
+  assert.deepEqual(detected["expect-mismatch"].occurrences, [
+    { command: "test", text: "Expected: 1 Received: 2", file: null, line: null },
+  ]);
+  // The sightings at a.ts:3 and a.ts:12 differ only in their location and share a fingerprint.
+  assert.equal(detected.ts7006.fingerprints.size, 3);
+});
+
+test("examples are merged newest first, once per text, up to the limit", () => {
+  const example = (text, at) => ({ command: "test", text, file: null, line: null, at });
+  assert.deepEqual(
+    mergePatternExamples([example("b", "2"), example("c", "2")], [example("a", "1"), example("b", "1"), { text: null }], 3).map(
+      ({ text, at }) => `${text}@${at}`,
+    ),
+    ["b@2", "c@2", "a@1"],
+  );
+  assert.deepEqual(mergePatternExamples([], undefined, 3), []);
+});
+
+test("string examples from older patterns.json files become occurrences", () => {
+  const migrated = migratePatternsFile({
+    patterns: { any: { count: 2, examples: ["src/a.ts:3: any", { text: "kept", command: "lint" }] }, bare: {} },
+  });
+  assert.deepEqual(migrated.patterns.any.examples, [
+    { command: null, text: "src/a.ts:3: any", file: "src/a.ts", line: 3 },
+    { text: "kept", command: "lint" },
+  ]);
+  assert.equal(migratePatternsFile(null), null);
+});
+
+test("occurrences are formatted with their command and location", () => {
+  assert.equal(
+    formatPatternOccurrence({ command: "typecheck", text: "error TS7006", file: "src/a.ts", line: 3 }),
+    "`error TS7006` (typecheck, src/a.ts:3)",
+  );
+  assert.equal(
+    formatPatternOccurrence({ tool: "eslint", text: "no-console", file: "src/b.ts", line: null }),
+    "`no-console` (eslint, src/b.ts)",
+  );
+  assert.equal(formatPatternOccurrence({ command: null, text: "boom", file: null, line: null }), "`boom`");
+});
+
+test("reflect stores attributed examples and lists them in suggested updates and the dispatch prompt", () => {
+  writeFileSync(
+    join(root, ".compound-quality.json"),
+    JSON.stringify({
+      version: 1,
+      commands: { typecheck: "cat tsc.txt" },
+      coverage: { packageDirs: ["."], expectedPackages: 1 },
+      patterns: { rules: [{ key: "implicit-any", pattern: "TS7006" }], claudeRuleThreshold: 3, maxExamples: 2 },
+    }),
+  );
+  writeFileSync(
+    join(root, "tsc.txt"),
+    [
+      "src/a.ts(3,5): error TS7006: Parameter 'x' implicitly has an 'any' type.",
+      "src/b.ts(7,1): error TS7006: Parameter 'y' implicitly has an 'any' type.",
+      "src/c.ts(1,1): error TS7006: Parameter 'z' implicitly has an 'any' type.",
+    ].join("\n"),
+  );
+  const run = spawnSync(process.execPath, [CLI, "reflect", "--json"], { cwd: root, encoding: "utf8" });
+  assert.equal(run.status, 0, run.stderr);
+
+  const entry = JSON.parse(readFileSync(join(root, ".quality/patterns.json"), "utf8")).patterns["implicit-any"];
+  assert.equal(entry.recommendation, "claude_rule");
+  assert.deepEqual(
+    entry.examples.map(({ command, file, line }) => ({ command, file, line })),
+    [
+      { command: "typecheck", file: "src/a.ts", line: 3 },
+      { command: "typecheck", file: "src/b.ts", line: 7 },
+    ],
+  );
+  assert.ok(entry.examples.every((example) => typeof example.at === "string"));
+
+  const seen = "`src/a.ts(3,5): error TS7006: Parameter 'x' implicitly has an 'any' type.` (typecheck, src/a.ts:3)";
+  const suggested = readdirSync(join(root, ".quality/suggested-updates")).find((file) => file.endsWith(".md"));
+  assert.ok(readFileSync(join(root, ".quality/suggested-updates", suggested), "utf8").includes(`  - ${seen}`));
+  const plan = JSON.parse(readFileSync(join(root, ".quality/dispatch/plan.json"), "utf8"));
+  const task = plan.tasks.find((candidate) => candidate.id === "pattern-implicit-any");
+  assert.ok(readFileSync(join(root, task.promptPath), "utf8").includes(`Seen: ${seen}`));
+});
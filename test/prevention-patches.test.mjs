@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { pathToFileURL } from "node:url";
+import {
+  buildLintRulePatch,
+  buildPolicyRulePatch,
+  renderAppendPatch,
+  renderNewFilePatch,
+} from "../bin/compound-quality.mjs";
+
+const dirs = [];
+after(() => dirs.forEach((dir) => rmSync(dir, { recursive: true, force: true })));
+
+function repo(files = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+  dirs.push(dir);
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(dir, name)), { recursive: true });
+    writeFileSync(join(dir, name), content);
+  }
+  return dir;
+}
+
+// Applies a patch the way a user would, failing the test with git's message if it does not apply cleanly.
+function gitApply(dir, patch) {
+  const result = spawnSync("git", ["apply", "--whitespace=nowarn", "-"], { cwd: dir, input: patch, encoding: "utf8" });
+  assert.equal(result.status, 0, `${result.stderr}\n${patch}`);
+}
+
+const read = (dir, file) => readFileSync(join(dir, file), "utf8");
+
+const ENTRY = {
+  count: 4,
+  recentCount: 3.5,
+  examples: [
+    { command: "typecheck", text: "src/a.ts(2,1): error TS2307: Cannot find module 'lodash'.", file: "src/a.ts", line: 2 },
+    { command: "typecheck", text: "src/b.ts(1,1): error TS2307: Cannot find module 'lodash'.", file: "src/b.ts", line: 1 },
+  ],
+};
+
+test("new-file and append patches apply with git apply", () => {
+  const dir = repo({ "notes.md": "# Notes\n\none\ntwo\nthree\n", "raw.txt": "a\nb" });
+  gitApply(dir, renderNewFilePatch("docs/new.md", "# New\n\nbody\n"));
+  assert.equal(read(dir, "docs/new.md"), "# New\n\nbody\n");
+  gitApply(dir, renderAppendPatch("notes.md", read(dir, "notes.md"), "\n## Added\n"));
+  assert.equal(read(dir, "notes.md"), "# Notes\n\none\ntwo\nthree\n\n## Added\n");
+  // A file without a final newline gets one before the addition.
+  gitApply(dir, renderAppendPatch("raw.txt", read(dir, "raw.txt"), "c\n"));
+  assert.equal(read(dir, "raw.txt"), "a\nb\nc\n");
+});
+
+test("a claude_rule draft creates CLAUDE.md with the pattern's examples", async () => {
+  const dir = repo();
+  const patch = await buildPolicyRulePatch(dir, "missing-module", ENTRY);
+  assert.match(patch, /^diff --git a\/CLAUDE\.md b\/CLAUDE\.md\nnew file mode/);
+  gitApply(dir, patch);
+  const claude = read(dir, "CLAUDE.md");
+  assert.match(claude, /^# Agent Rules\n\n## Prevent recurring error: missing-module\n/);
+  assert.match(claude, /This error keeps coming back \(3\.5 recent sightings\)/);
+  assert.ok(claude.includes("- `src/a.ts(2,1): error TS2307: Cannot find module 'lodash'.` (typecheck, src/a.ts:2)"));
+});
+
+test("a claude_rule draft appends to AGENTS.md when the project has no CLAUDE.md", async () => {
+  const dir = repo({ "AGENTS.md": "# Agents\n\n- Run the tests." });
+  gitApply(dir, await buildPolicyRulePatch(dir, "missing-module", ENTRY));
+  const agents = read(dir, "AGENTS.md");
+  assert.match(agents, /^# Agents\n\n- Run the tests\.\n\n## Prevent recurring error: missing-module\n/);
+
+  const both = repo({ "AGENTS.md": "# Agents\n", "CLAUDE.md": "# Claude\n" });
+  gitApply(both, await buildPolicyRulePatch(both, "missing-module", ENTRY));
+  assert.match(read(both, "CLAUDE.md"), /^# Claude\n\n## Prevent recurring error: missing-module/);
+  assert.equal(read(both, "AGENTS.md"), "# Agents\n");
+});
+
+test("a lint_rule draft for examples on import lines is a no-restricted-imports fragment", async () => {
+  const dir = repo({
+    "src/a.ts": "// header\nimport { get } from \"lodash\";\n",
+    "src/b.ts": "const { set } = require('lodash/fp');\n",
+  });
+  const patch = await buildLintRulePatch(dir, "missing-module", {
+    ...ENTRY,
+    examples: [...ENTRY.examples, { command: "typecheck", text: "gone", file: "src/deleted.ts", line: 1 }],
+  });
+  gitApply(dir, patch);
+  const fragment = read(dir, "eslint-rules/missing-module.config.mjs");
+  assert.match(fragment, /^\/\/ Draft generated by compound-quality for pattern "missing-module"\.$/m);
+  assert.ok(fragment.includes('          { name: "lodash", message: "Matches recurring error pattern \\"missing-module\\"." },'));
+  assert.ok(fragment.includes('          { name: "lodash/fp", message:'));
+  const config = (await import(pathToFileURL(join(dir, "eslint-rules/missing-module.config.mjs")).href)).default;
+  assert.deepEqual(
+    config.rules["no-restricted-imports"][1].paths.map((path) => path.name),
+    ["lodash", "lodash/fp"],
+  );
+});
+
+test("other lint_rule drafts are a rule skeleton plus a RuleTester file seeded with the offending lines", async () => {
+  const dir = repo({ "src/a.ts": "export const a = 1;\nconst total = items.reduce((sum, item) => sum + item);\n" });
+  const entry = { ...ENTRY, examples: [{ command: "test", text: "TypeError: Reduce of empty array", file: "src/a.ts", line: 2 }] };
+  gitApply(dir, await buildLintRulePatch(dir, "Reduce without initial value", entry, { key: "x", pattern: "Reduce of empty array" }));
+  const rule = read(dir, "eslint-rules/reduce-without-initial-value.mjs");
+  assert.ok(rule.includes("// Detected in command output by /Reduce of empty array/gi."));
+  assert.ok(rule.includes('    messages: { forbidden: "Matches recurring error pattern \\"Reduce without initial value\\"." },'));
+  const ruleModule = (await import(pathToFileURL(join(dir, "eslint-rules/reduce-without-initial-value.mjs")).href)).default;
+  assert.equal(ruleModule.meta.type, "problem");
+  assert.deepEqual(ruleModule.create({}), {});
+  const ruleTest = read(dir, "eslint-rules/reduce-without-initial-value.test.mjs");
+  assert.ok(ruleTest.includes('import rule from "./reduce-without-initial-value.mjs";'));
+  assert.ok(
+    ruleTest.includes(
+      '      { code: "const total = items.reduce((sum, item) => sum + item);", errors: [{ messageId: "forbidden" }] },',
+    ),
+  );
+
+  const withoutSource = await buildLintRulePatch(repo(), "x", { examples: [] });
+  assert.ok(withoutSource.includes("+      // TODO: add the code that produced the occurrences listed in the rule file."));
+});
@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  buildActionItems,
+  buildDispatchTasks,
+  describeRatchet,
+  evaluateRatchets,
+  normalizeRatchetsConfig,
+} from "../bin/compound-quality.mjs";
+
+const QUALIFIED = { qualified: true, unqualifiedMetrics: new Set(), coverageQualified: true };
+
+// Runs the configured ratchets over a series of metric snapshots, feeding each result into the next run.
+function runSeries(config, series, options = QUALIFIED) {
+  const ratchetConfig = normalizeRatchetsConfig(config);
+  let previous = {};
+  return series.map((metrics) => {
+    previous = evaluateRatchets(ratchetConfig, metrics, previous, options);
+    return previous;
+  });
+}
+
+test("ratchet config accepts a mode string, fills in the metric direction and rejects bad entries", () => {
+  assert.deepEqual(normalizeRatchetsConfig({ typeErrors: "no-increase", coveragePct: { mode: "max-regression", maxRegression: 1 } }), {
+    typeErrors: { mode: "no-increase", direction: "lower" },
+    coveragePct: { mode: "max-regression", maxRegression: 1, direction: "higher" },
+  });
+  assert.throws(() => normalizeRatchetsConfig({ score: "no-increase" }), /ratchets\.score is not a ratchetable metric/);
+  assert.throws(() => normalizeRatchetsConfig({ typeErrors: "strict" }), /ratchets\.typeErrors\.mode must be one of/);
+  assert.throws(() => normalizeRatchetsConfig({ typeErrors: { mode: "absolute" } }), /limit must be a number for absolute ratchets/);
+  assert.throws(
+    () => normalizeRatchetsConfig({ typeErrors: { mode: "no-increase", direction: "up" } }),
+    /direction must be "lower" or "higher"/,
+  );
+});
+
+test("no-increase keeps the best value seen and flags any regression from it", () => {
+  const [first, second, third, fourth] = runSeries({ typeErrors: "no-increase" }, [
+    { typeErrors: 5 },
+    { typeErrors: 3 },
+    { typeErrors: 4 },
+    { typeErrors: 3 },
+  ]);
+  assert.equal(first.typeErrors.status, "ok");
+  assert.equal(first.typeErrors.best, 5);
+  assert.equal(second.typeErrors.best, 3);
+  assert.deepEqual(
+    (({ value, limit, best, status }) => ({ value, limit, best, status }))(third.typeErrors),
+    { value: 4, limit: 3, best: 3, status: "violated" },
+  );
+  assert.equal(fourth.typeErrors.status, "ok");
+  assert.equal(fourth.typeErrors.bestAt, second.typeErrors.bestAt);
+});
+
+test("max-regression allows the larger of the absolute and percentage tolerance", () => {
+  const config = { buildTimeMs: { mode: "max-regression", maxRegression: 500, maxRegressionPct: 10 } };
+  const [, withinPct, beyondPct] = runSeries(config, [{ buildTimeMs: 10_000 }, { buildTimeMs: 10_900 }, { buildTimeMs: 11_001 }]);
+  assert.equal(withinPct.buildTimeMs.limit, 11_000);
+  assert.equal(withinPct.buildTimeMs.status, "ok");
+  // A regression within tolerance does not move the best value.
+  assert.equal(withinPct.buildTimeMs.best, 10_000);
+  assert.equal(beyondPct.buildTimeMs.status, "violated");
+
+  const [, coverage] = runSeries({ coveragePct: { mode: "max-regression", maxRegression: 0.5 } }, [
+    { coveragePct: 80 },
+    { coveragePct: 79.4 },
+  ]);
+  assert.equal(coverage.coveragePct.limit, 79.5);
+  assert.equal(coverage.coveragePct.status, "violated");
+});
+
+test("absolute ratchets compare against the configured limit from the first run", () => {
+  const [first] = runSeries({ testsFailed: { mode: "absolute", limit: 0 }, testsPassed: { mode: "absolute", limit: 100 } }, [
+    { testsFailed: 1, testsPassed: 120 },
+  ]);
+  assert.equal(first.testsFailed.status, "violated");
+  assert.equal(first.testsPassed.status, "ok");
+});
+
+test("unqualified runs never move the best value", () => {
+  const config = { lintViolations: "no-increase", coveragePct: "no-increase" };
+  const [, timedOut] = runSeries(config, [{ lintViolations: 9, coveragePct: 50 }, { lintViolations: 0, coveragePct: 90 }], {
+    qualified: false,
+    coverageQualified: true,
+  });
+  assert.equal(timedOut.lintViolations.best, null);
+
+  const previous = evaluateRatchets(normalizeRatchetsConfig(config), { lintViolations: 9, coveragePct: 50 }, {}, QUALIFIED);
+  const crashed = evaluateRatchets(normalizeRatchetsConfig(config), { lintViolations: 0, coveragePct: 10 }, previous, {
+    qualified: true,
+    unqualifiedMetrics: new Set(["lintViolations"]),
+    coverageQualified: false,
+  });
+  assert.equal(crashed.lintViolations.best, 9);
+  // Still reported, so a partial coverage run is visible, but the best value stays.
+  assert.equal(crashed.coveragePct.status, "violated");
+  assert.equal(crashed.coveragePct.best, 50);
+});
+
+test("a violated ratchet is an action item and the top dispatch task", () => {
+  const [, ratchets] = runSeries({ typeErrors: "no-increase", buildTimeMs: { mode: "absolute", limit: 60_000 } }, [
+    { typeErrors: 2, buildTimeMs: 1000 },
+    { typeErrors: 4, buildTimeMs: 90_000 },
+  ]);
+  assert.equal(describeRatchet("typeErrors", ratchets.typeErrors), "typeErrors is 4 (best 2, allowed 2, no-increase)");
+  assert.equal(describeRatchet("buildTimeMs", ratchets.buildTimeMs), "buildTimeMs is 90000 (limit 60000, absolute)");
+
+  const violations = Object.entries(ratchets).filter(([, ratchet]) => ratchet.status === "violated");
+  const actions = buildActionItems({
+    typeErrors: 4,
+    coverageQualified: true,
+    coveragePct: 0,
+    coverageFloor: 0,
+    ratchetViolations: violations,
+  });
+  assert.deepEqual(actions.slice(0, 2), [
+    "Ratchet violated: typeErrors is 4 (best 2, allowed 2, no-increase); restore it before merging.",
+    "Ratchet violated: buildTimeMs is 90000 (limit 60000, absolute); restore it before merging.",
+  ]);
+
+  const tasks = buildDispatchTasks(
+    { metrics: { typeErrors: 4 }, thresholds: { coverageQualified: true }, ratchets, commandResults: [] },
+    { patterns: {} },
+  );
+  assert.deepEqual(
+    tasks.slice(0, 2).map(({ id, priority }) => ({ id, priority })),
+    [
+      { id: "ratchet-typeerrors", priority: 120 },
+      { id: "ratchet-buildtimems", priority: 120 },
+    ],
+  );
+  assert.ok(tasks.slice(2).every((task) => task.priority < 120));
+});
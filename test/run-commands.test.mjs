@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+import { normalizeCommandEntry, runCommands, validateCommandDependencies } from "../bin/compound-quality.mjs";
+
+const NODE = JSON.stringify(process.execPath);
+const sleep = (ms) => `${NODE} -e "setTimeout(() => {}, ${ms})"`;
+
+const root = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+const entries = (commands) => Object.entries(commands).map(([name, spec]) => normalizeCommandEntry(name, spec));
+
+test("independent commands overlap up to the concurrency limit", async () => {
+  const commands = entries({ a: sleep(400), b: sleep(400), c: sleep(400) });
+  const { results, wallClockMs, concurrency } = await runCommands(root, commands, { concurrency: 3 });
+  assert.equal(concurrency, 3);
+  assert.deepEqual(results.map((result) => result.status), ["passed", "passed", "passed"]);
+  assert.ok(wallClockMs < results.reduce((sum, result) => sum + result.durationMs, 0), `wall clock ${wallClockMs}ms`);
+});
+
+test("concurrency 1 runs the commands one after another, in config order", async () => {
+  const { results } = await runCommands(root, entries({ a: sleep(100), b: sleep(100) }), { concurrency: 1 });
+  assert.ok(results[1].startOffsetMs >= results[0].startOffsetMs + results[0].durationMs - 5);
+});
+
+test("a command starts only after everything it dependsOn has finished", async () => {
+  const commands = entries({
+    test: { command: sleep(50), dependsOn: ["build"] },
+    build: sleep(300),
+    lint: sleep(50),
+  });
+  const { results } = await runCommands(root, commands, { concurrency: 3 });
+  const [testResult, build, lint] = results;
+  assert.deepEqual(results.map((result) => result.name), ["test", "build", "lint"]);
+  assert.ok(testResult.startOffsetMs >= build.startOffsetMs + build.durationMs - 5, JSON.stringify(results));
+  assert.ok(lint.startOffsetMs < build.startOffsetMs + build.durationMs);
+});
+
+test("a failed dependency does not stop the commands that depend on it", async () => {
+  const { results } = await runCommands(root, entries({ build: "exit 3", test: { command: "true", dependsOn: ["build"] } }));
+  assert.deepEqual(
+    results.map(({ name, status, exitCode }) => ({ name, status, exitCode })),
+    [
+      { name: "build", status: "failed", exitCode: 3 },
+      { name: "test", status: "passed", exitCode: 0 },
+    ],
+  );
+});
+
+test("unknown dependencies and cycles are rejected before anything runs", () => {
+  assert.throws(
+    () => validateCommandDependencies(entries({ test: { command: "true", dependsOn: ["biuld"] } })),
+    /commands\.test\.dependsOn references unknown command "biuld"/,
+  );
+  const cycle = entries({
+    a: { command: "true", dependsOn: ["b"] },
+    b: { command: "true", dependsOn: ["c"] },
+    c: { command: "true", dependsOn: ["a"] },
+  });
+  assert.throws(() => validateCommandDependencies(cycle), /Command dependency cycle: a -> b -> c -> a/);
+  assert.throws(() => normalizeCommandEntry("test", { command: "true", dependsOn: "build" }), /dependsOn must be an array/);
+});
@@ -0,0 +1,177 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { createSchemaValidator, loadSchemaDocuments } from "../bin/compound-quality.mjs";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+
+const dirs = [];
+after(() => dirs.forEach((dir) => rmSync(dir, { recursive: true, force: true })));
+
+function writeFiles(files) {
+  const dir = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+  dirs.push(dir);
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(dir, name)), { recursive: true });
+    writeFileSync(join(dir, name), typeof content === "string" ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+function verify(files, gate) {
+  const dir = writeFiles({
+    ".compound-quality.json": {
+      version: 1,
+      commands: { typecheck: "true" },
+      coverage: { packageDirs: ["."], expectedPackages: 1 },
+      verify: { enabled: true, gates: [{ id: "evidence", type: "json_schema", dataFile: "evidence.json", ...gate }] },
+    },
+    ...files,
+  });
+  const result = spawnSync(process.execPath, [CLI, "verify", "--json"], { cwd: dir, encoding: "utf8" });
+  return { status: result.status, gate: JSON.parse(result.stdout).gates.find((entry) => entry.id === "evidence") };
+}
+
+const COMMIT_SCHEMA = { $defs: { sha: { type: "string", pattern: "^[0-9a-f]{7,40}$" } }, type: "object", required: ["sha"] };
+
+test("relative file refs are read from the referring schema's directory, and nested refs are followed", async () => {
+  const dir = writeFiles({
+    "schemas/evidence.json": { properties: { commit: { $ref: "shared/commit.json" }, run: { $ref: "run.json#/$defs/run" } } },
+    "schemas/shared/commit.json": { properties: { sha: { $ref: "../sha.json" } } },
+    "schemas/sha.json": { type: "string" },
+    "schemas/run.json": { $defs: { run: { type: "integer" } } },
+  });
+  const { root, documents, missingRefs } = await loadSchemaDocuments(dir, join(dir, "schemas/evidence.json"));
+  assert.equal(root.label, "schemas/evidence.json");
+  assert.equal(root.uri, pathToFileURL(join(dir, "schemas/evidence.json")).href);
+  assert.deepEqual(documents.map((document) => document.label).sort(), [
+    "schemas/run.json",
+    "schemas/sha.json",
+    "schemas/shared/commit.json",
+  ]);
+  assert.deepEqual(missingRefs, []);
+});
+
+test("files that refer to each other are read once and validate together", async () => {
+  const dir = writeFiles({
+    "schemas/tree.json": { type: "object", properties: { children: { type: "array", items: { $ref: "node.json" } } } },
+    "schemas/node.json": { type: "object", required: ["name"], properties: { name: { type: "string" }, tree: { $ref: "tree.json" } } },
+  });
+  const schemaPath = join(dir, "schemas/tree.json");
+  const { root, documents, missingRefs } = await loadSchemaDocuments(dir, schemaPath);
+  assert.deepEqual(documents.map((document) => document.label), ["schemas/node.json"]);
+  assert.deepEqual(missingRefs, []);
+
+  const validator = createSchemaValidator(root.schema, { documents, baseUri: pathToFileURL(schemaPath).href });
+  assert.deepEqual(validator.schemaErrors, []);
+  assert.deepEqual(validator.validate({ children: [{ name: "a", tree: { children: [{ name: "b" }] } }] }), []);
+  assert.equal(validator.validate({ children: [{ name: "a", tree: { children: [{}] } }] }).length, 1);
+});
+
+test("refs to an $id are resolved against the files next to the schema that declares it", async () => {
+  const dir = writeFiles({
+    "schemas/evidence.json": {
+      $id: "https://example.org/schemas/evidence.json",
+      properties: { commit: { $ref: "commit.json" }, run: { $ref: "https://example.org/schemas/runs/run.json" } },
+    },
+    "schemas/commit.json": { type: "string" },
+    "schemas/runs/run.json": { type: "integer" },
+  });
+  const { root, documents, missingRefs } = await loadSchemaDocuments(dir, join(dir, "schemas/evidence.json"));
+  assert.equal(root.id, "https://example.org/schemas/evidence.json");
+  assert.deepEqual(
+    documents.map(({ label, aliases }) => ({ label, aliases })),
+    [
+      { label: "schemas/commit.json", aliases: ["https://example.org/schemas/commit.json"] },
+      { label: "schemas/runs/run.json", aliases: ["https://example.org/schemas/runs/run.json"] },
+    ],
+  );
+  assert.deepEqual(missingRefs, []);
+});
+
+test("preloaded files answer refs to their $id; anything else is reported as missing", async () => {
+  const dir = writeFiles({
+    "schemas/evidence.json": {
+      properties: {
+        commit: { $ref: "https://example.org/commit.json" },
+        run: { $ref: "nope.json#/$defs/run" },
+        owner: { $ref: "https://example.com/owner.json" },
+      },
+    },
+    "vendor/commit.json": { $id: "https://example.org/commit.json", type: "string" },
+  });
+  const { documents, missingRefs } = await loadSchemaDocuments(dir, join(dir, "schemas/evidence.json"), {
+    preload: [join(dir, "vendor/commit.json")],
+  });
+  assert.deepEqual(documents.map((document) => document.id), ["https://example.org/commit.json"]);
+  assert.deepEqual(missingRefs, [
+    { ref: "schemas/nope.json", from: "schemas/evidence.json" },
+    { ref: "https://example.com/owner.json", from: "schemas/evidence.json" },
+  ]);
+});
+
+test("the cache keeps parsed files for later loads, and missing or invalid schema files are errors", async () => {
+  const dir = writeFiles({
+    "schemas/evidence.json": { $ref: "commit.json" },
+    "schemas/commit.json": { type: "string" },
+    "schemas/broken.json": "{ not json",
+  });
+  const cache = new Map();
+  await loadSchemaDocuments(dir, join(dir, "schemas/evidence.json"), { cache });
+  assert.deepEqual([...cache.keys()].sort(), [join(dir, "schemas/commit.json"), join(dir, "schemas/evidence.json")]);
+  // Later loads in the same run see the cached schema, not the file.
+  writeFileSync(join(dir, "schemas/commit.json"), JSON.stringify({ type: "integer" }));
+  const { documents } = await loadSchemaDocuments(dir, join(dir, "schemas/evidence.json"), { cache });
+  assert.deepEqual(documents[0].schema, { type: "string" });
+
+  await assert.rejects(loadSchemaDocuments(dir, join(dir, "schemas/gone.json")), { message: "schema file not found: schemas/gone.json" });
+  await assert.rejects(loadSchemaDocuments(dir, join(dir, "schemas/broken.json")), {
+    message: /^invalid JSON in schema file schemas\/broken\.json: /,
+  });
+});
+
+test("a json_schema gate validates data against definitions shared through another file", () => {
+  const files = {
+    "schemas/evidence.json": {
+      type: "object",
+      required: ["commits"],
+      properties: { commits: { type: "array", items: { $ref: "commit.schema.json" } } },
+    },
+    "schemas/commit.schema.json": { ...COMMIT_SCHEMA, properties: { sha: { $ref: "#/$defs/sha" } } },
+  };
+  const passed = verify({ ...files, "evidence.json": { commits: [{ sha: "abc1234" }] } }, { schemaFile: "schemas/evidence.json" });
+  assert.equal(passed.status, 0, JSON.stringify(passed.gate));
+  assert.equal(passed.gate.status, "pass");
+  assert.equal(passed.gate.message, "schema validation passed (1 file(s))");
+
+  const failed = verify({ ...files, "evidence.json": { commits: [{ sha: "not a sha" }, {}] } }, { schemaFile: "schemas/evidence.json" });
+  assert.equal(failed.status, 1);
+  assert.equal(failed.gate.status, "fail");
+  assert.equal(failed.gate.checks[0].errors.length, 2, JSON.stringify(failed.gate.checks[0].errors));
+});
+
+test("a json_schema gate's preloadSchemas answer refs to their $id, and an unresolved ref fails the gate", () => {
+  const files = {
+    "schemas/evidence.json": { type: "object", properties: { commit: { $ref: "https://example.org/commit.schema.json" } } },
+    "vendor/commit.schema.json": { $id: "https://example.org/commit.schema.json", ...COMMIT_SCHEMA },
+    "evidence.json": { commit: { sha: "abc1234" } },
+  };
+  const preloaded = verify(files, { schemaFile: "schemas/evidence.json", preloadSchemas: ["vendor/commit.schema.json"] });
+  assert.equal(preloaded.status, 0, JSON.stringify(preloaded.gate));
+  assert.equal(preloaded.gate.status, "pass");
+
+  const rejected = verify({ ...files, "evidence.json": { commit: {} } }, {
+    schemaFile: "schemas/evidence.json",
+    preloadSchemas: ["vendor/commit.schema.json"],
+  });
+  assert.equal(rejected.gate.status, "fail");
+
+  const unresolved = verify(files, { schemaFile: "schemas/evidence.json" });
+  assert.equal(unresolved.status, 1);
+  assert.equal(unresolved.gate.status, "fail");
+  assert.deepEqual(unresolved.gate.checks[0].errors, ["$.commit: unresolved $ref https://example.org/commit.schema.json"]);
+});
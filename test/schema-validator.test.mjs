@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createSchemaValidator, validateJsonAgainstSchema } from "../bin/compound-quality.mjs";
+
+const DRAFT_07 = "http://json-schema.org/draft-07/schema#";
+
+test("errors name the JSON path and the failing keyword", () => {
+  const schema = {
+    type: "object",
+    required: ["id", "tags"],
+    properties: {
+      id: { type: ["string", "null"] },
+      n: { minimum: 1, exclusiveMaximum: 5 },
+      tags: { type: "array", uniqueItems: true, maxItems: 2, items: { maxLength: 3 } },
+    },
+    additionalProperties: false,
+  };
+  assert.deepEqual(validateJsonAgainstSchema(schema, { id: 1, n: 5, tags: ["a", "a", "long"], extra: true }), [
+    "$.id: expected type string or null, got number",
+    "$.n: must be < 5",
+    "$.tags: must have maxItems 2",
+    "$.tags: must have unique items (item 1 is a duplicate)",
+    "$.tags[2]: must have maxLength 3",
+    "$.extra: unexpected property",
+  ]);
+  assert.deepEqual(validateJsonAgainstSchema(schema, { id: null, n: 4.5, tags: ["a", "b"] }), []);
+});
+
+test("combinators, conditionals and dependent keywords are enforced", () => {
+  const cases = [
+    [{ anyOf: [{ type: "string" }, { type: "number" }] }, true, "$: must match at least one schema in anyOf"],
+    [{ oneOf: [{ minimum: 0 }, { maximum: 10 }] }, 5, "$: must match exactly one schema in oneOf (matched 2)"],
+    [{ not: { type: "null" } }, null, "$: must not match the schema in not"],
+    [
+      { if: { properties: { kind: { const: "a" } } }, then: { required: ["a"] }, else: { required: ["b"] } },
+      { kind: "b" },
+      '$: missing required property "b"',
+    ],
+    [{ dependentRequired: { card: ["cvv"] } }, { card: 1 }, '$: property "card" requires property "cvv"'],
+    [{ patternProperties: { "^x-": { type: "string" } } }, { "x-a": 2 }, "$.x-a: expected type string, got number"],
+    [{ unevaluatedProperties: false, allOf: [{ properties: { a: true } }] }, { a: 1, b: 2 }, "$.b: unexpected property"],
+  ];
+  for (const [schema, data, error] of cases) assert.deepEqual(validateJsonAgainstSchema(schema, data), [error], JSON.stringify(schema));
+});
+
+test("formats are asserted, not just annotated", () => {
+  assert.deepEqual(validateJsonAgainstSchema({ format: "date-time" }, "2026-02-30T10:00:00Z"), ["$: must be a valid date-time"]);
+  assert.deepEqual(validateJsonAgainstSchema({ format: "date-time" }, "2024-02-29T23:59:60Z"), []);
+  assert.deepEqual(validateJsonAgainstSchema({ format: "ipv4" }, "256.1.1.1"), ["$: must be a valid ipv4"]);
+  assert.deepEqual(validateJsonAgainstSchema({ format: "email" }, "first.last@example.com"), []);
+  assert.deepEqual(validateJsonAgainstSchema({ format: "email" }, "first..last@example.com"), ["$: must be a valid email"]);
+  // Formats only apply to strings.
+  assert.deepEqual(validateJsonAgainstSchema({ format: "uuid" }, 42), []);
+});
+
+test("recursive references validate nested data and a reference cycle is an error, not a hang", () => {
+  const tree = {
+    $schema: DRAFT_07,
+    definitions: {
+      node: { type: "object", required: ["name"], properties: { children: { type: "array", items: { $ref: "#/definitions/node" } } } },
+    },
+    $ref: "#/definitions/node",
+  };
+  assert.deepEqual(validateJsonAgainstSchema(tree, { name: "r", children: [{ name: "a", children: [{ children: [] }] }] }), [
+    '$.children[0].children[0]: missing required property "name"',
+  ]);
+  assert.deepEqual(validateJsonAgainstSchema({ $defs: { loop: { $ref: "#/$defs/loop" } }, $ref: "#/$defs/loop" }, 1), [
+    "$: circular $ref #/$defs/loop",
+  ]);
+  assert.deepEqual(validateJsonAgainstSchema({ $ref: "other.json" }, 1), ["$: unresolved $ref other.json"]);
+});
+
+test("the draft comes from $schema and decides how $ref treats its siblings", () => {
+  assert.equal(createSchemaValidator({ $schema: DRAFT_07 }).draft, "draft-07");
+  assert.equal(createSchemaValidator({ $schema: "https://json-schema.org/draft/2020-12/schema" }).draft, "2020-12");
+  assert.equal(createSchemaValidator({}).draft, "2020-12");
+  assert.throws(
+    () => createSchemaValidator({}, { draft: "draft-04" }),
+    /unsupported JSON Schema draft "draft-04"; use draft-07 or 2020-12/,
+  );
+
+  // In draft-07 a $ref replaces its siblings; from 2019-09 on they apply alongside it.
+  const draft07 = { $schema: DRAFT_07, definitions: { s: { type: "string" } }, $ref: "#/definitions/s", maxLength: 1 };
+  assert.deepEqual(validateJsonAgainstSchema(draft07, "abc"), []);
+  assert.deepEqual(validateJsonAgainstSchema({ $defs: { s: { type: "string" } }, $ref: "#/$defs/s", maxLength: 1 }, "abc"), [
+    "$: must have maxLength 1",
+  ]);
+});
+
+test("strict mode turns unknown keywords and formats into schema errors that fail every validation", () => {
+  const validator = createSchemaValidator({ format: "color", properties: { a: { minimum: 1, requried: [] } } }, { strict: true });
+  assert.deepEqual(validator.schemaErrors, ['schema #: unknown format "color"', 'schema #/properties/a: unknown keyword "requried"']);
+  assert.deepEqual(validator.validate({}), validator.schemaErrors);
+  assert.deepEqual(createSchemaValidator({ format: "color", requried: [] }).schemaErrors, []);
+});
@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  discoverErrorSignatures,
+  normalizeConfig,
+  normalizeErrorSignature,
+  signatureToRulePattern,
+  updateSignatureCandidates,
+} from "../bin/compound-quality.mjs";
+
+const DISCOVERY = normalizeConfig({
+  version: 1,
+  commands: { test: "true" },
+  coverage: { packageDirs: ["."] },
+  patterns: { discovery: { minOccurrences: 3, maxExamples: 2, maxTracked: 2 } },
+}).patterns.discovery;
+
+const result = (name, stdout, stderr = "") => ({ name, stdout, stderr });
+
+test("error lines are reduced to their shape", () => {
+  const cases = {
+    "TypeError: Cannot read properties of undefined (reading 'foo') at src/a.ts:12:5":
+      "TypeError: Cannot read properties of undefined (reading <str>) at <path>",
+    'TypeError: Cannot read properties of undefined (reading "bar") at lib/deep/b.js:7':
+      "TypeError: Cannot read properties of undefined (reading <str>) at <path>",
+    "Module not found: Cannot resolve @acme/ui-kit in packages/web/src": "Module not found: Cannot resolve <path> in <path>",
+    "error: userService.getById failed with code 0x1F after retry_count 3": "error: <id>.<id> failed with code <hex> after <id> <n>",
+    "panic:   index out of range [5] with length 3": "panic: index out of range [<n>] with length <n>",
+    "FAILED tests/test_api.py::test_create_user - AssertionError: assert 500 == 201":
+      "FAILED <path>::<id> - AssertionError: assert <n> == <n>",
+  };
+  for (const [line, signature] of Object.entries(cases)) assert.equal(normalizeErrorSignature(line), signature, line);
+});
+
+test("a signature turns into a rule pattern that matches every line it came from", () => {
+  const signature = "TypeError: Cannot read properties of undefined (reading <str>) at <path>";
+  const pattern = signatureToRulePattern(signature);
+  assert.equal(pattern, "TypeError: Cannot read properties of undefined \\(reading (?:\"[^\"]*\"|'[^']*'|`[^`]*`)\\) at \\S+");
+  const regex = new RegExp(pattern, "i");
+  assert.ok(regex.test("TypeError: Cannot read properties of undefined (reading 'foo') at src/a.ts:12:5"));
+  assert.ok(regex.test('TypeError: Cannot read properties of undefined (reading "bar") at lib/b.js:7'));
+  assert.ok(!regex.test("TypeError: Cannot read properties of null (reading 'foo') at src/a.ts:12:5"));
+  assert.equal(signatureToRulePattern("exit code <n> (<hex>) in <id>"), "exit code \\d+ \\(0x[0-9a-fA-F]+\\) in [\\w$]+");
+});
+
+test("discovery clusters unmatched error lines and keeps distinct examples per signature", () => {
+  const signatures = discoverErrorSignatures(
+    [
+      result(
+        "test",
+        [
+          "TypeError: Cannot read properties of undefined (reading 'foo') at src/a.ts:12:5",
+          "TypeError: Cannot read properties of undefined (reading 'foo') at src/a.ts:12:5",
+          "TypeError: Cannot read properties of undefined (reading 'bar') at src/b.ts:3:1",
+          "Tests: 0 failed, 12 passed",
+          "error TS2322: already covered by a rule",
+          "error: x",
+        ].join("\n"),
+      ),
+      result("build", "", "\u001b[31mTypeError: Cannot read properties of undefined (reading 'baz') at lib/c.js:9\u001b[39m\n"),
+    ],
+    [{ key: "ts-error", pattern: "error TS\\d+" }],
+    2,
+  );
+  const entries = Object.entries(signatures);
+  assert.equal(entries.length, 1);
+  const [key, entry] = entries[0];
+  assert.match(key, /^sig:[0-9a-f]{10}$/);
+  assert.equal(entry.signature, "TypeError: Cannot read properties of undefined (reading <str>) at <path>");
+  assert.equal(entry.count, 4);
+  assert.deepEqual(entry.examples, [
+    {
+      command: "test",
+      text: "TypeError: Cannot read properties of undefined (reading 'foo') at src/a.ts:12:5",
+      file: "src/a.ts",
+      line: 12,
+    },
+    {
+      command: "test",
+      text: "TypeError: Cannot read properties of undefined (reading 'bar') at src/b.ts:3:1",
+      file: "src/b.ts",
+      line: 3,
+    },
+  ]);
+});
+
+test("signatures become candidates once their cumulative count reaches minOccurrences", () => {
+  const found = (signature, count, text) => ({ signature, count, examples: [{ command: "test", text, file: null, line: null }] });
+  const first = updateSignatureCandidates(
+    {},
+    { "sig:a": found("Cannot connect to <path>", 2, "Cannot connect to db/main") },
+    DISCOVERY,
+    "2026-01-01T00:00:00.000Z",
+  );
+  assert.deepEqual(first.newCandidates, []);
+  assert.equal(first.signatures["sig:a"].candidate, false);
+  assert.deepEqual(first.signatures["sig:a"].suggestedRule, { key: "cannot-connect-to", pattern: "Cannot connect to \\S+", flags: "gi" });
+
+  const second = updateSignatureCandidates(
+    first.signatures,
+    { "sig:a": found("Cannot connect to <path>", 1, "Cannot connect to db/replica") },
+    DISCOVERY,
+    "2026-01-02T00:00:00.000Z",
+  );
+  assert.deepEqual(second.newCandidates, ["sig:a"]);
+  assert.deepEqual(
+    (({ count, candidate, firstSeenAt, lastSeenAt }) => ({ count, candidate, firstSeenAt, lastSeenAt }))(second.signatures["sig:a"]),
+    { count: 3, candidate: true, firstSeenAt: "2026-01-01T00:00:00.000Z", lastSeenAt: "2026-01-02T00:00:00.000Z" },
+  );
+  assert.deepEqual(
+    second.signatures["sig:a"].examples.map((example) => example.text),
+    ["Cannot connect to db/replica", "Cannot connect to db/main"],
+  );
+
+  // Already a candidate: not announced again. Past maxTracked, the least recently seen signature is dropped.
+  const third = updateSignatureCandidates(
+    second.signatures,
+    {
+      "sig:a": found("Cannot connect to <path>", 1, "Cannot connect to db/main"),
+      "sig:b": found("Unable to lock <path>", 1, "Unable to lock yarn.lock"),
+    },
+    DISCOVERY,
+    "2026-01-03T00:00:00.000Z",
+  );
+  assert.deepEqual(third.newCandidates, []);
+  const fourth = updateSignatureCandidates(
+    third.signatures,
+    { "sig:c": found("Out of memory in <id>", 5, "Out of memory in buildGraph") },
+    DISCOVERY,
+    "2026-01-04T00:00:00.000Z",
+  );
+  assert.deepEqual(fourth.newCandidates, ["sig:c"]);
+  assert.deepEqual(Object.keys(fourth.signatures), ["sig:c", "sig:a"]);
+});
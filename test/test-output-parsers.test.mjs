@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseTests } from "../bin/compound-quality.mjs";
+
+const OUTPUTS = {
+  vitest: `
+ ✓ src/sum.test.ts (3 tests) 4ms
+ ❯ src/api.test.ts (2 tests | 1 failed) 12ms
+
+ Test Files  1 failed | 1 passed (2)
+      Tests  1 failed | 3 passed | 1 skipped | 2 todo (7)
+   Start at  10:00:00
+`,
+  jest: `
+PASS src/sum.test.js
+FAIL src/api.test.js
+Test Suites: 1 failed, 1 passed, 2 total
+Tests:       2 failed, 1 skipped, 1 todo, 10 passed, 14 total
+Snapshots:   0 total
+`,
+  pytest: `
+tests/test_api.py ..F.s                                                   [100%]
+=========================== short test summary info ============================
+FAILED tests/test_api.py::test_timeout - TimeoutError
+=============== 1 failed, 3 passed, 1 skipped, 1 error, 1 xfailed in 0.42s ===============
+`,
+  go: `
+=== RUN   TestSum
+--- PASS: TestSum (0.00s)
+=== RUN   TestAPI
+--- FAIL: TestAPI (0.01s)
+    --- PASS: TestAPI/get (0.00s)
+    --- SKIP: TestAPI/post (0.00s)
+FAIL
+FAIL	example.com/api	0.012s
+`,
+  cargo: `
+running 3 tests
+test tests::adds ... ok
+test tests::fails ... FAILED
+test tests::slow ... ignored
+test result: FAILED. 1 passed; 1 failed; 1 ignored; 0 measured; 0 filtered out; finished in 0.00s
+
+running 2 tests
+test result: ok. 2 passed; 0 failed; 0 ignored; 0 measured; 0 filtered out; finished in 0.01s
+`,
+  mocha: `
+  sum
+    ✔ adds
+    1) subtracts
+    - multiplies
+
+  4 passing (12ms)
+  1 pending
+  1 failing
+`,
+  tap: `
+TAP version 13
+ok 1 - adds
+not ok 2 - subtracts
+ok 3 - multiplies # SKIP not yet
+1..3
+# tests 3
+# pass 1
+# fail 1
+# skipped 1
+# todo 0
+`,
+};
+
+const EXPECTED = {
+  vitest: { passed: 3, failed: 1, skipped: 3 },
+  jest: { passed: 10, failed: 2, skipped: 2 },
+  pytest: { passed: 3, failed: 2, skipped: 2 },
+  go: { passed: 2, failed: 1, skipped: 1 },
+  cargo: { passed: 3, failed: 1, skipped: 1 },
+  mocha: { passed: 4, failed: 1, skipped: 1 },
+  tap: { passed: 1, failed: 1, skipped: 1 },
+};
+
+for (const [parser, output] of Object.entries(OUTPUTS)) {
+  test(`the ${parser} parser counts passed, failed and skipped tests`, () => {
+    assert.deepEqual(parseTests(output, parser), { ...EXPECTED[parser], parsers: [parser] });
+  });
+
+  test(`auto detection recognizes ${parser} output and nothing else`, () => {
+    assert.deepEqual(parseTests(output), { ...EXPECTED[parser], parsers: [parser] });
+  });
+}
+
+test("go falls back to package lines when the output is not verbose", () => {
+  const output = "ok  \texample.com/sum\t0.003s\nok  \texample.com/util\t(cached)\nFAIL\texample.com/api\t0.012s\n";
+  assert.deepEqual(parseTests(output, "go"), { passed: 2, failed: 1, skipped: 0, parsers: ["go"] });
+});
+
+test("TAP without a summary counts the test points", () => {
+  const output = "ok 1 - a\nnot ok 2 - b\nnot ok 3 - c # TODO later\nok 4 - d # skip\n";
+  assert.deepEqual(parseTests(output, "tap"), { passed: 1, failed: 1, skipped: 2, parsers: ["tap"] });
+});
+
+test("ANSI colors are ignored and unrecognized output counts nothing", () => {
+  assert.deepEqual(parseTests("\u001b[32m      Tests  \u001b[1m5 passed\u001b[22m (5)\u001b[39m\n"), {
+    passed: 5,
+    failed: 0,
+    skipped: 0,
+    parsers: ["vitest"],
+  });
+  assert.deepEqual(parseTests("all good\n"), { passed: 0, failed: 0, skipped: 0, parsers: [] });
+  assert.deepEqual(parseTests(OUTPUTS.jest, "none"), { passed: 0, failed: 0, skipped: 0, parsers: [] });
+});
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { resolveGateTimeoutMs, runCommand } from "../bin/compound-quality.mjs";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+
+const root = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+// A killed process can linger as a zombie until its new parent reaps it, so give it a moment.
+async function isRunning(pid) {
+  for (let attempt = 0; attempt < 20; attempt += 1) {
+    try {
+      process.kill(pid, 0);
+    } catch {
+      return false;
+    }
+    await new Promise((settle) => setTimeout(settle, 100));
+  }
+  try {
+    return !/^State:\s+Z/m.test(readFileSync(`/proc/${pid}/status`, "utf8"));
+  } catch {
+    // Reaped between the last signal check and the read.
+    return false;
+  }
+}
+
+test("a command that outlives its timeout is timed_out and its whole process tree is killed", async () => {
+  const pidFile = join(root, "grandchild.pid");
+  const result = await runCommand(root, "slow", `sh -c 'sleep 30 & echo $! > ${pidFile}; wait'`, { timeoutMs: 300 });
+  assert.equal(result.status, "timed_out");
+  assert.equal(result.exitCode, null);
+  assert.equal(result.timeoutMs, 300);
+  assert.ok(result.durationMs < 5000, `took ${result.durationMs}ms`);
+  const grandchild = Number(readFileSync(pidFile, "utf8"));
+  assert.equal(await isRunning(grandchild), false, `grandchild ${grandchild} survived`);
+});
+
+test("a command that ignores SIGTERM is killed after the grace period", async () => {
+  const result = await runCommand(root, "stubborn", "trap '' TERM; while :; do sleep 0.1; done", { timeoutMs: 200 });
+  assert.equal(result.status, "timed_out");
+  assert.equal(result.signal, "SIGKILL");
+});
+
+test("a command that finishes in time keeps its exit status", async () => {
+  const passed = await runCommand(root, "fast", "echo ok", { timeoutMs: 5000 });
+  assert.deepEqual([passed.status, passed.exitCode, passed.stdout], ["passed", 0, "ok\n"]);
+  const failed = await runCommand(root, "fails", "exit 2", { timeoutMs: 5000 });
+  assert.deepEqual([failed.status, failed.exitCode], ["failed", 2]);
+});
+
+test("a gate uses its own timeoutMs, else the timeout of the command it runs", () => {
+  const context = { commandTimeouts: { test: 60000 } };
+  assert.equal(resolveGateTimeoutMs({ id: "t", command: "${commands.test}", timeoutMs: 1000 }, context), 1000);
+  assert.equal(resolveGateTimeoutMs({ id: "t", command: "${commands.test}" }, context), 60000);
+  assert.equal(resolveGateTimeoutMs({ id: "t", command: "${commands.test} --ci" }, context), null);
+  assert.equal(resolveGateTimeoutMs({ id: "t", command: "${commands.lint}" }, context), null);
+  assert.throws(() => resolveGateTimeoutMs({ id: "t", timeoutMs: 0 }, context), /gate "t" timeoutMs must be a positive integer/);
+});
+
+test("verify reports a gate that times out as timed_out and fails", () => {
+  const dir = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+  const config = {
+    version: 1,
+    commands: { typecheck: "true" },
+    coverage: { packageDirs: ["."], expectedPackages: 1 },
+    verify: { enabled: true, gates: [{ id: "slow", type: "command", command: "sleep 30", timeoutMs: 200 }] },
+  };
+  writeFileSync(join(dir, ".compound-quality.json"), JSON.stringify(config));
+  const result = spawnSync(process.execPath, [CLI, "verify", "--json"], { cwd: dir, encoding: "utf8", timeout: 20000 });
+  assert.equal(result.status, 1);
+  const verification = JSON.parse(result.stdout);
+  assert.equal(verification.gates[0].status, "timed_out");
+  assert.equal(verification.gateCounts.timedOut, 1);
+});
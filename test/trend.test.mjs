@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { analyzeMetricTrend, findScoreStreaks, findSignificantScoreDrops } from "../bin/compound-quality.mjs";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+const CONFIG = { version: 1, commands: { typecheck: "true" }, coverage: { packageDirs: ["."], expectedPackages: 1 } };
+
+const dirs = [];
+after(() => dirs.forEach((dir) => rmSync(dir, { recursive: true, force: true })));
+
+function runTrend(files, ...flags) {
+  const dir = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+  dirs.push(dir);
+  mkdirSync(join(dir, ".quality"));
+  writeFileSync(join(dir, ".compound-quality.json"), JSON.stringify(CONFIG));
+  for (const [name, content] of Object.entries(files)) writeFileSync(join(dir, ".quality", name), content);
+  return spawnSync(process.execPath, [CLI, "trend", ...flags], { cwd: dir, encoding: "utf8" });
+}
+
+function trend(history, ...flags) {
+  const result = runTrend({ "history.jsonl": history.map((entry) => `${JSON.stringify(entry)}\n`).join("") }, "--json", ...flags);
+  assert.equal(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout);
+}
+
+const runs = (scores) => scores.map((score, index) => ({ at: `2026-01-${String(index + 1).padStart(2, "0")}T00:00:00Z`, score }));
+
+test("ties for the best and worst run go to the earliest run, per metric and overall", () => {
+  const report = trend([
+    { at: "2026-01-01T00:00:00Z", score: 80, typeErrors: 3 },
+    { at: "2026-01-02T00:00:00Z", score: 90, typeErrors: 1 },
+    { at: "2026-01-03T00:00:00Z", score: 80, typeErrors: 3 },
+    { at: "2026-01-04T00:00:00Z", score: 90, typeErrors: 1 },
+  ]);
+  assert.equal(report.bestRun.at, "2026-01-02T00:00:00Z");
+  assert.equal(report.worstRun.at, "2026-01-01T00:00:00Z");
+  assert.deepEqual(report.metrics.score.best, { value: 90, at: report.bestRun.at });
+  assert.deepEqual(report.metrics.score.worst, { value: 80, at: report.worstRun.at });
+  assert.deepEqual(report.metrics.typeErrors.best, { value: 1, at: "2026-01-02T00:00:00Z" });
+  assert.deepEqual(report.metrics.typeErrors.worst, { value: 3, at: "2026-01-01T00:00:00Z" });
+});
+
+test("metric trends report deltas, the moving average and extremes over the runs that recorded the metric", () => {
+  const history = [{ typeErrors: 5 }, { typeErrors: 3 }, {}, { typeErrors: 4 }].map((entry, index) => ({ at: `run-${index}`, ...entry }));
+  assert.deepEqual(analyzeMetricTrend(history, "typeErrors", true, 2), {
+    direction: "lower",
+    latest: 4,
+    delta: 1,
+    deltaFromFirst: -1,
+    movingAverage: 3.5,
+    best: { value: 3, at: "run-1" },
+    worst: { value: 5, at: "run-0" },
+  });
+  assert.equal(analyzeMetricTrend(history.slice(0, 1), "typeErrors", true, 2).delta, null);
+  assert.equal(analyzeMetricTrend(history, "coveragePct", false, 2), null);
+});
+
+test("a streak runs until the score drops; equal scores keep it going", () => {
+  assert.deepEqual(findScoreStreaks(runs([80, 85, 85, 70, 75, 76, 77, 60])), {
+    longest: { runs: 4, from: "2026-01-04T00:00:00Z", to: "2026-01-07T00:00:00Z" },
+    current: 1,
+  });
+  assert.deepEqual(findScoreStreaks([]), { longest: { runs: 0, from: null, to: null }, current: 0 });
+});
+
+test("a drop is significant when it exceeds a point and two standard deviations of the preceding runs", () => {
+  assert.deepEqual(findSignificantScoreDrops(runs([90, 91, 90, 91, 80]), 5), [
+    { at: "2026-01-05T00:00:00Z", score: 80, movingAverage: 90.5, stdDev: 0.5, drop: 10.5 },
+  ]);
+  // Noisy history: a drop of 2 is within the usual spread.
+  assert.deepEqual(findSignificantScoreDrops(runs([70, 90, 70, 90, 78]), 5), []);
+  // Perfectly flat history: half a point is below the minimum drop.
+  assert.deepEqual(findSignificantScoreDrops(runs([90, 90, 90, 90, 89.5]), 5), []);
+  // Only the last `window` runs count: the old low scores no longer widen the spread.
+  assert.equal(findSignificantScoreDrops(runs([40, 100, 90, 90, 90, 85]), 3).length, 1);
+  assert.equal(findSignificantScoreDrops(runs([40, 100, 90, 90, 90, 85]), 5).length, 0);
+});
+
+test("trend reads history.jsonl, skips half-written lines and prepends older scorecard runs", () => {
+  const result = runTrend(
+    {
+      "scorecard.json": JSON.stringify({ history: runs([70, 75]) }),
+      "history.jsonl": [...runs([70, 75, 80, 60]).slice(2).map((entry) => JSON.stringify(entry)), '{"at":"2026-01-05T00:0'].join("\n"),
+    },
+    "--window",
+    "3",
+  );
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /^Runs: 4 \(2026-01-01T00:00:00Z \.\. 2026-01-04T00:00:00Z\)$/m);
+  assert.match(result.stdout, /^score: 60 \(-20 vs previous, -10 overall, 3-run avg 71\.67, best 80, worst 60\)$/m);
+  assert.match(result.stdout, /^Longest streak without a score regression: 3 runs .*; current streak: 1$/m);
+  assert.match(result.stdout, /^- 2026-01-04T00:00:00Z: 60 vs 3-run avg 75 \(-15, stddev 4\.08\)$/m);
+});
+
+test("trend rejects a window below two and an empty history", () => {
+  const tooSmall = runTrend({ "history.jsonl": `${JSON.stringify(runs([80])[0])}\n` }, "--window", "1");
+  assert.equal(tooSmall.status, 1);
+  assert.match(tooSmall.stderr, /--window must be an integer of at least 2/);
+  const empty = runTrend({});
+  assert.equal(empty.status, 1);
+  assert.match(empty.stderr, /No score history yet/);
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { dedupeDiagnostics, parseTypeDiagnostics, renderDiagnosticGroups } from "../bin/compound-quality.mjs";
+
+const ESC = String.fromCharCode(27);
+
+test("tsc diagnostics are parsed from plain, pretty and global error lines", () => {
+  const output = [
+    "src/a.ts(3,5): error TS2322: Type 'string' is not assignable to type 'number'.",
+    // tsc --pretty colours the location and the error code.
+    `${ESC}[96msrc/b.ts${ESC}[0m:${ESC}[93m10${ESC}[0m:${ESC}[93m1${ESC}[0m - ${ESC}[91merror${ESC}[0m${ESC}[90m TS2304: ${ESC}[0m` +
+      "Cannot find name 'foo'.",
+    "",
+    "10 foo();",
+    "   ~~~",
+    ".\\packages\\web\\src\\c.tsx(1,20): error TS7016: Could not find a declaration file for module 'x'.",
+    "error TS5023: Unknown compiler option 'strictest'.",
+    "Found 4 errors in 3 files.",
+  ].join("\n");
+  assert.deepEqual(parseTypeDiagnostics(output, "typecheck"), [
+    {
+      file: "src/a.ts",
+      line: 3,
+      column: 5,
+      code: "TS2322",
+      message: "Type 'string' is not assignable to type 'number'.",
+      command: "typecheck",
+    },
+    { file: "src/b.ts", line: 10, column: 1, code: "TS2304", message: "Cannot find name 'foo'.", command: "typecheck" },
+    {
+      file: "packages/web/src/c.tsx",
+      line: 1,
+      column: 20,
+      code: "TS7016",
+      message: "Could not find a declaration file for module 'x'.",
+      command: "typecheck",
+    },
+    { file: null, line: null, column: null, code: "TS5023", message: "Unknown compiler option 'strictest'.", command: "typecheck" },
+  ]);
+});
+
+test("output without tsc errors yields no diagnostics", () => {
+  assert.deepEqual(parseTypeDiagnostics("Found 0 errors. Watching for file changes.\nwarning TS6133: unused\n", "typecheck"), []);
+});
+
+test("the same error echoed by typecheck and build is counted once", () => {
+  const line = "src/a.ts(3,5): error TS2322: Type 'string' is not assignable to type 'number'.";
+  const diagnostics = dedupeDiagnostics([
+    ...parseTypeDiagnostics(line, "typecheck"),
+    ...parseTypeDiagnostics(`${line}\nsrc/a.ts(4,5): error TS2322: Type 'string' is not assignable to type 'number'.`, "build"),
+  ]);
+  assert.deepEqual(
+    diagnostics.map(({ line: lineNumber, command }) => ({ line: lineNumber, command })),
+    [
+      { line: 3, command: "typecheck" },
+      { line: 4, command: "build" },
+    ],
+  );
+});
+
+test("diagnostics are grouped by file and by code, largest groups first", () => {
+  const diagnostics = parseTypeDiagnostics(
+    [
+      "src/a.ts(1,1): error TS2322: x",
+      "src/a.ts(2,1): error TS2322: y",
+      "src/a.ts(3,1): error TS2304: z",
+      "src/b.ts(1,1): error TS2304: z",
+      "error TS5023: option",
+    ].join("\n"),
+    "typecheck",
+  );
+  assert.deepEqual(renderDiagnosticGroups(diagnostics), [
+    "### By file",
+    "- src/a.ts: 3 (TS2322 x2, TS2304)",
+    "- (global): 1 (TS5023)",
+    "- src/b.ts: 1 (TS2304)",
+    "",
+    "### By code",
+    "- TS2304: 2 (src/a.ts, src/b.ts)",
+    "- TS2322: 2 (src/a.ts x2)",
+    "- TS5023: 1 ((global))",
+  ]);
+  assert.deepEqual(renderDiagnosticGroups([]), ["- No diagnostics."]);
+});
+
+test("long group lists are truncated", () => {
+  const diagnostics = parseTypeDiagnostics(
+    Array.from({ length: 7 }, (_, index) => `src/f${index}.ts(1,1): error TS${2300 + index}: x`).join("\n"),
+    "typecheck",
+  );
+  const lines = renderDiagnosticGroups(diagnostics, "code", 2);
+  assert.deepEqual(lines.slice(0, 4), ["### By file", "- src/f0.ts: 1 (TS2300)", "- src/f1.ts: 1 (TS2301)", "- ...and 5 more files"]);
+  assert.equal(lines.at(-1), "- ...and 5 more codes");
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const CLI = join(dirname(dirname(fileURLToPath(import.meta.url))), "bin", "compound-quality.mjs");
+
+const dirs = [];
+after(() => dirs.forEach((dir) => rmSync(dir, { recursive: true, force: true })));
+
+for (const flag of ["--explain", "--dry-run"]) {
+  test(`verify ${flag} without a config fails without creating one`, () => {
+    const dir = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+    dirs.push(dir);
+    const result = spawnSync(process.execPath, [CLI, "verify", flag], { cwd: dir, encoding: "utf8" });
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Missing config at .*Run "compound-quality init" first\./);
+    assert.deepEqual(readdirSync(dir), []);
+  });
+}
+
+function planFor(config, ...flags) {
+  const dir = mkdtempSync(join(tmpdir(), "compound-quality-test-"));
+  dirs.push(dir);
+  writeFileSync(join(dir, ".compound-quality.json"), JSON.stringify(config));
+  return spawnSync(process.execPath, [CLI, "verify", ...flags, "--task-id", "CRO-1"], { cwd: dir, encoding: "utf8" });
+}
+
+const UNCONFIGURED_BUILD = {
+  version: 1,
+  commands: { typecheck: "true" },
+  coverage: { packageDirs: ["."], expectedPackages: 1 },
+  verify: {
+    enabled: true,
+    gates: [
+      { id: "typecheck", type: "command", command: "${commands.typecheck}" },
+      { id: "build", type: "command", command: "${commands.build}" },
+    ],
+  },
+};
+
+test("verify --dry-run shows a gate with an unconfigured command as skipped, like verify", () => {
+  const result = planFor(UNCONFIGURED_BUILD, "--dry-run");
+  assert.equal(result.status, 0, result.stdout);
+  assert.match(result.stdout, /build \[command, required, skip\]\n {2}SKIP command not configured: build/);
+  assert.match(result.stdout, /Unresolved placeholders: 0/);
+  assert.doesNotMatch(result.stdout, /ERROR/);
+});
+
+test("verify --explain --json reports the skip and no errors for the gate", () => {
+  const result = planFor(UNCONFIGURED_BUILD, "--explain", "--json");
+  assert.equal(result.status, 0, result.stdout);
+  const [typecheck, build] = JSON.parse(result.stdout).gates;
+  assert.equal(typecheck.skip, null);
+  assert.equal(build.skip, "command not configured: build");
+  assert.deepEqual(build.errors, []);
+});
+
+test("verify --dry-run still fails on a placeholder that does not resolve", () => {
+  const config = { ...UNCONFIGURED_BUILD, verify: { enabled: true, gates: [{ id: "evidence", type: "file_exists", path: "${nope}" }] } };
+  const result = planFor(config, "--dry-run");
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /ERROR path: \$\{nope\} is unresolved/);
+});